@@ -1,32 +1,129 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-const dbPath = path.join(__dirname, '..', 'water_monitor.db');
+// DATABASE_PATH overrides the file (the tests use ':memory:')
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'water_monitor.db');
 const db = new sqlite3.Database(dbPath);
 
-// Default settings for new users
+// Default settings for new users (tariff rates live in the tariffs table)
 const defaultSettings = {
-    'water_basic_monthly_cost': '91.79',
-    'water_block_1_limit': '6',
-    'water_block_1_rate': '29.67',
-    'water_block_2_limit': '15',
-    'water_block_2_rate': '57.32',
-    'water_block_3_limit': '25',
-    'water_block_3_rate': '68.50',
-    'water_block_4_limit': '35',
-    'water_block_4_rate': '95.12',
-    'water_block_5_rate': '133.43',
-    'sewage_block_1_limit': '6',
-    'sewage_block_1_rate': '22.25',
-    'sewage_block_2_limit': '15',
-    'sewage_block_2_rate': '42.99',
-    'sewage_block_3_limit': '25',
-    'sewage_block_3_rate': '51.38',
-    'sewage_block_4_rate': '71.34',
     'billing_start_day': '1',
-    'billing_end_day': '31'
+    'billing_end_day': '31',
+    'reminder_schedule': 'off',
+    'reminder_time': '07:00',
+    'reminder_days': '1',
+    'summary_weekly': '0',
+    'summary_period': '0'
 };
 
+// Tariff versions per user and utility, each in force from effective_from
+// until the next version's effective_from
+const TARIFFS_TABLE = `CREATE TABLE IF NOT EXISTS tariffs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    utility TEXT NOT NULL DEFAULT 'water',
+    effective_from DATE NOT NULL,
+    rates TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, utility, effective_from),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+)`;
+
+// Run one statement: method is 'get', 'all' or 'run' ('run' resolves to { lastID, changes })
+function query(method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db[method](sql, params, function(err, result) {
+            if (err) reject(err);
+            else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+        });
+    });
+}
+
+// Every request shares this connection, so a statement issued between a
+// transaction's BEGIN and COMMIT would become part of it (and be undone by its
+// ROLLBACK). While a transaction runs, the wrappers below hold statements back
+// until it ends, and it only begins once the statements already running finish.
+let transaction = null;
+let running = 0;
+let onIdle = [];
+
+async function outsideTransaction(method, sql, params) {
+    while (transaction) await transaction;
+    running++;
+    try {
+        return await query(method, sql, params);
+    } finally {
+        running--;
+        if (running === 0) onIdle.splice(0).forEach(resolve => resolve());
+    }
+}
+
+// Promise wrappers for use in async route handlers
+function dbGet(sql, params = []) {
+    return outsideTransaction('get', sql, params);
+}
+
+function dbAll(sql, params = []) {
+    return outsideTransaction('all', sql, params);
+}
+
+function dbRun(sql, params = []) {
+    return outsideTransaction('run', sql, params);
+}
+
+/**
+ * Run work(tx) in a transaction, one transaction at a time. work must issue
+ * its statements through tx.get, tx.all and tx.run (the dbGet, dbAll and
+ * dbRun wrappers wait for the transaction to end). Commits when work resolves
+ * and rolls back when it throws; resolves to work's result.
+ */
+async function withTransaction(work) {
+    while (transaction) await transaction;
+
+    let end;
+    transaction = new Promise(resolve => { end = resolve; });
+    try {
+        if (running > 0) await new Promise(resolve => onIdle.push(resolve));
+
+        const tx = {
+            get: (sql, params) => query('get', sql, params),
+            all: (sql, params) => query('all', sql, params),
+            run: (sql, params) => query('run', sql, params)
+        };
+        await query('run', 'BEGIN TRANSACTION');
+        try {
+            const result = await work(tx);
+            await query('run', 'COMMIT');
+            return result;
+        } catch (err) {
+            await query('run', 'ROLLBACK').catch(() => {});
+            throw err;
+        }
+    } finally {
+        transaction = null;
+        end();
+    }
+}
+
+// Get all settings for a user as a key/value object
+async function getUserSettings(userId) {
+    const rows = await dbAll("SELECT setting_key, setting_value FROM settings WHERE user_id = ?", [userId]);
+    const settings = {};
+    rows.forEach(row => {
+        settings[row.setting_key] = row.setting_value;
+    });
+    return settings;
+}
+
+// Add a column to an existing table (no-op if it already exists)
+function addColumnIfMissing(table, column, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+            console.error(`Error adding ${table}.${column}:`, err);
+        }
+    });
+}
+
 function initializeDatabase() {
     return new Promise((resolve, reject) => {
         db.serialize(() => {
@@ -74,6 +171,277 @@ function initializeDatabase() {
             db.run(`CREATE INDEX IF NOT EXISTS idx_readings_user_date ON readings(user_id, reading_date)`);
             db.run(`CREATE INDEX IF NOT EXISTS idx_settings_user_id ON settings(user_id)`);
 
+            // Track when readings were last edited
+            addColumnIfMissing('readings', 'updated_at', 'DATETIME');
+
+            // Meter events and sequence flags ('rollover' or a confirmed 'decrease')
+            addColumnIfMissing('readings', 'event_type', "TEXT DEFAULT 'reading'");
+            addColumnIfMissing('readings', 'previous_meter_final', 'REAL');
+            addColumnIfMissing('readings', 'flag', 'TEXT');
+
+            // Create meters table (multiple meters per user)
+            db.run(`CREATE TABLE IF NOT EXISTS meters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL DEFAULT 'main',
+                register_format TEXT NOT NULL DEFAULT 'tenths_liters',
+                register_capacity_kl REAL,
+                billed BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_meters_user_id ON meters(user_id)`);
+
+            addColumnIfMissing('readings', 'meter_id', 'INTEGER REFERENCES meters(id)');
+            db.run(`CREATE INDEX IF NOT EXISTS idx_readings_meter_date ON readings(meter_id, reading_date)`);
+
+            // What each meter measures (water, electricity or gas); see UTILITIES in utils/meters
+            addColumnIfMissing('meters', 'utility', "TEXT NOT NULL DEFAULT 'water'");
+
+            // Give users from before multi-meter support a default meter holding their readings
+            db.run(`INSERT INTO meters (user_id, name, type, register_capacity_kl)
+                    SELECT u.id, 'Main', 'main',
+                        (SELECT CAST(setting_value AS REAL) FROM settings
+                         WHERE user_id = u.id AND setting_key = 'register_capacity_kl')
+                    FROM users u
+                    WHERE NOT EXISTS (SELECT 1 FROM meters m WHERE m.user_id = u.id)`);
+            db.run(`UPDATE readings SET meter_id =
+                        (SELECT MIN(m.id) FROM meters m WHERE m.user_id = readings.user_id)
+                    WHERE meter_id IS NULL`);
+
+            // Create reading revisions table (audit trail of edits)
+            db.run(`CREATE TABLE IF NOT EXISTS reading_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                reading_id INTEGER NOT NULL,
+                changed_by INTEGER NOT NULL,
+                changes TEXT NOT NULL,
+                changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (reading_id) REFERENCES readings(id) ON DELETE CASCADE,
+                FOREIGN KEY (changed_by) REFERENCES users(id)
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_revisions_reading ON reading_revisions(reading_id)`);
+
+            // Create tariffs table (versioned rates per utility)
+            db.run(TARIFFS_TABLE);
+
+            // Move rates from before tariff versioning into each user's first tariff
+            db.run(`INSERT INTO tariffs (user_id, effective_from, rates)
+                    SELECT u.id, '2000-01-01',
+                        (SELECT json_group_object(setting_key, setting_value) FROM settings s
+                         WHERE s.user_id = u.id
+                           AND (s.setting_key LIKE 'water\\_%' ESCAPE '\\' OR s.setting_key LIKE 'sewage\\_%' ESCAPE '\\'))
+                    FROM users u
+                    WHERE NOT EXISTS (SELECT 1 FROM tariffs t WHERE t.user_id = u.id)`);
+
+            // Create statements table (closed billing periods with a snapshot of
+            // usage, tariff and costs at the time the period was closed)
+            db.run(`CREATE TABLE IF NOT EXISTS statements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                total_usage REAL NOT NULL,
+                total_cost REAL NOT NULL,
+                cost_breakdown TEXT NOT NULL,
+                tariff TEXT NOT NULL,
+                meters TEXT NOT NULL,
+                daily_usage TEXT NOT NULL,
+                closed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, period_start),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_statements_user ON statements(user_id, period_start)`);
+
+            // Create bills table (municipal bills as received, for reconciliation
+            // against the computed costs)
+            db.run(`CREATE TABLE IF NOT EXISTS bills (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                meter_id INTEGER,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                opening_reading REAL,
+                closing_reading REAL,
+                billed_usage REAL NOT NULL,
+                line_items TEXT NOT NULL DEFAULT '[]',
+                total REAL NOT NULL,
+                estimated INTEGER DEFAULT 0,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (meter_id) REFERENCES meters(id) ON DELETE SET NULL
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_bills_user ON bills(user_id, period_start)`);
+
+            // Create alert rules table (usage/cost thresholds per user, optionally
+            // for a single meter) and the alerts they raise
+            db.run(`CREATE TABLE IF NOT EXISTS alert_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                meter_id INTEGER,
+                name TEXT NOT NULL,
+                metric TEXT NOT NULL DEFAULT 'usage',
+                period TEXT NOT NULL,
+                condition TEXT NOT NULL DEFAULT 'above',
+                threshold REAL NOT NULL,
+                enabled INTEGER DEFAULT 1,
+                email INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (meter_id) REFERENCES meters(id) ON DELETE CASCADE
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id)`);
+
+            // window_key identifies the period a rule was evaluated over, so each
+            // rule raises at most one alert per window
+            db.run(`CREATE TABLE IF NOT EXISTS alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                rule_id INTEGER,
+                meter_id INTEGER,
+                window_key TEXT NOT NULL,
+                window_start TEXT NOT NULL,
+                window_end TEXT NOT NULL,
+                value REAL NOT NULL,
+                threshold REAL NOT NULL,
+                message TEXT NOT NULL,
+                state TEXT NOT NULL DEFAULT 'open',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                acknowledged_at DATETIME,
+                UNIQUE(rule_id, window_key),
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (rule_id) REFERENCES alert_rules(id) ON DELETE SET NULL
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts(user_id, state)`);
+
+            // Create devices table (smart meters pushing readings for one meter,
+            // authenticated by an API key stored as a SHA-256 hash)
+            db.run(`CREATE TABLE IF NOT EXISTS devices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                meter_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                key_prefix TEXT NOT NULL,
+                revoked_at DATETIME,
+                last_seen_at DATETIME,
+                reading_count INTEGER DEFAULT 0,
+                error_count INTEGER DEFAULT 0,
+                last_error TEXT,
+                last_error_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (meter_id) REFERENCES meters(id) ON DELETE CASCADE
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_devices_user ON devices(user_id)`);
+
+            // Last pulse count from devices publishing pulse counters over MQTT
+            addColumnIfMissing('devices', 'pulse_count', 'INTEGER');
+
+            // Devices controlling a shut-off valve, with the valve state they last confirmed
+            addColumnIfMissing('devices', 'has_valve', 'INTEGER DEFAULT 0');
+            addColumnIfMissing('devices', 'valve_state', 'TEXT');
+
+            // Valve to propose closing when an alert rule raises an alert
+            addColumnIfMissing('alert_rules', 'valve_device_id', 'INTEGER REFERENCES devices(id)');
+
+            // Create device commands table (valve open/close commands queued for
+            // devices, with their delivery and acknowledgement)
+            db.run(`CREATE TABLE IF NOT EXISTS device_commands (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                device_id INTEGER NOT NULL,
+                command TEXT NOT NULL,
+                state TEXT NOT NULL DEFAULT 'pending',
+                alert_id INTEGER,
+                message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                queued_at DATETIME,
+                delivered_at DATETIME,
+                completed_at DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+                FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE SET NULL
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_device_commands_device ON device_commands(device_id, state)`);
+
+            // Idempotency keys of readings pushed by devices, so a retried
+            // request does not store the same reading twice
+            db.run(`CREATE TABLE IF NOT EXISTS device_ingestions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id INTEGER NOT NULL,
+                idempotency_key TEXT NOT NULL,
+                reading_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(device_id, idempotency_key),
+                FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+            )`);
+
+            // Where a reading came from ('web', 'import', 'device' or 'mqtt');
+            // raw samples from devices are thinned after the retention window
+            addColumnIfMissing('readings', 'source', "TEXT DEFAULT 'web'");
+
+            // Date before which a meter's raw samples have been thinned; its
+            // rollups before then keep the hourly detail and are not rebuilt
+            addColumnIfMissing('meters', 'rollups_frozen_before', 'DATE');
+
+            // Usage rollups per meter and local hour (YYYY-MM-DD HH:00) and day,
+            // maintained as readings change. covered is the fraction of the hour
+            // or day spanned by readings (an hourly row holding a day's share of
+            // a long interval covers up to 24 hours); peak_flow_lpm the highest
+            // flow rate (L/min, water meters only) of the reading intervals
+            // overlapping it.
+            db.run(`CREATE TABLE IF NOT EXISTS usage_hourly (
+                meter_id INTEGER NOT NULL,
+                hour TEXT NOT NULL,
+                usage REAL NOT NULL,
+                covered REAL NOT NULL,
+                peak_flow_lpm REAL,
+                PRIMARY KEY (meter_id, hour),
+                FOREIGN KEY (meter_id) REFERENCES meters(id) ON DELETE CASCADE
+            )`);
+            db.run(`CREATE TABLE IF NOT EXISTS usage_daily (
+                meter_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                usage REAL NOT NULL,
+                covered REAL NOT NULL,
+                peak_flow_lpm REAL,
+                PRIMARY KEY (meter_id, date),
+                FOREIGN KEY (meter_id) REFERENCES meters(id) ON DELETE CASCADE
+            )`);
+
+            // Prepaid electricity: token purchases (amount paid including any
+            // fixed charges deducted, and the kWh credited) and balance readings
+            // (kWh left on the meter's display)
+            db.run(`CREATE TABLE IF NOT EXISTS prepaid_purchases (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                meter_id INTEGER NOT NULL,
+                purchase_date DATE NOT NULL,
+                purchase_time TEXT NOT NULL,
+                amount_paid REAL NOT NULL,
+                units REAL NOT NULL,
+                fixed_charges REAL NOT NULL DEFAULT 0,
+                token TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (meter_id) REFERENCES meters(id) ON DELETE CASCADE
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_prepaid_purchases_meter ON prepaid_purchases(meter_id, purchase_date)`);
+            db.run(`CREATE TABLE IF NOT EXISTS prepaid_balances (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                meter_id INTEGER NOT NULL,
+                reading_date DATE NOT NULL,
+                reading_time TEXT NOT NULL,
+                balance REAL NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (meter_id) REFERENCES meters(id) ON DELETE CASCADE
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_prepaid_balances_meter ON prepaid_balances(meter_id, reading_date)`);
+
             // Create password reset tokens table
             db.run(`CREATE TABLE IF NOT EXISTS password_reset_tokens (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -150,10 +518,53 @@ function migrateFromSingleUser() {
     });
 }
 
+// Migration: tariffs from before per-utility tariffs were unique per user and
+// date. Rebuild the table with the utility in its unique key; existing
+// versions become water tariffs.
+function migrateTariffUtilities() {
+    return new Promise((resolve, reject) => {
+        db.get("SELECT sql FROM sqlite_master WHERE type='table' AND name='tariffs'", [], (err, row) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            if (!row || row.sql.includes('utility')) {
+                resolve(false); // New database or already migrated
+                return;
+            }
+
+            db.serialize(() => {
+                db.run("BEGIN TRANSACTION");
+                db.run("ALTER TABLE tariffs RENAME TO tariffs_before_utilities");
+                db.run(TARIFFS_TABLE);
+                db.run(`INSERT INTO tariffs (id, user_id, utility, effective_from, rates, created_at)
+                        SELECT id, user_id, 'water', effective_from, rates, created_at FROM tariffs_before_utilities`);
+                db.run("DROP TABLE tariffs_before_utilities");
+                db.run("COMMIT", (err) => {
+                    if (err) {
+                        db.run("ROLLBACK");
+                        reject(err);
+                    } else {
+                        console.log('Migrated tariffs to per-utility versions');
+                        resolve(true);
+                    }
+                });
+            });
+        });
+    });
+}
+
 module.exports = {
     db,
+    dbGet,
+    dbAll,
+    dbRun,
+    withTransaction,
+    getUserSettings,
     initializeDatabase,
     initializeUserSettings,
     migrateFromSingleUser,
+    migrateTariffUtilities,
     defaultSettings
 };
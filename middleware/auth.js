@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { dbGet } = require('../config/database');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
 const JWT_EXPIRY = '7d';
@@ -25,6 +26,27 @@ function authenticateToken(req, res, next) {
     });
 }
 
+// Middleware to verify a device API key (Authorization: Bearer <key> or X-Device-Key)
+async function authenticateDevice(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const key = req.headers['x-device-key'] || (authHeader && authHeader.split(' ')[1]);
+
+    if (!key) {
+        return res.status(401).json({ error: 'Device key required' });
+    }
+
+    try {
+        const device = await dbGet("SELECT * FROM devices WHERE key_hash = ? AND revoked_at IS NULL", [hashToken(key)]);
+        if (!device) {
+            return res.status(403).json({ error: 'Invalid or revoked device key' });
+        }
+        req.device = device;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
 // Generate JWT token for user
 function generateToken(user) {
     return jwt.sign(
@@ -55,6 +77,7 @@ function hashToken(token) {
 
 module.exports = {
     authenticateToken,
+    authenticateDevice,
     generateToken,
     verifyToken,
     generateResetToken,
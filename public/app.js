@@ -1,6 +1,89 @@
 // API base URL - will work on local network
 const API_URL = '';
 
+// Billing period currently shown on the dashboard
+let currentBillingPeriod = null;
+
+// The user's meters, loaded at startup and after changes in Settings
+let meters = [];
+
+// What meters measure, with the unit of their readings and their register
+// formats, loaded from the server at startup
+let utilities = {};
+
+// Tariff versions of the utility shown in the Settings tab, oldest first, and the selected one
+let tariffs = [];
+let selectedTariffId = null;
+let tariffUtility = 'water';
+
+// Named tariff presets offered in the Settings tab
+let tariffPresets = [];
+
+// Charges and line items of the tariff being edited in the Settings tab, and
+// its time bands and seasons when it is priced by time of use
+let tariffDraft = [];
+let lineItemsDraft = [];
+let timeOfUseDraft = null;
+
+// Keys for time bands and seasons added in the editor (replaced by keys from
+// their names when the tariff is saved)
+let touKeyCounter = 0;
+
+// Alert rules, shown in the Alerts tab
+let alertRules = [];
+
+// Entered municipal bills, and the lines of the bill being edited in the Statements tab
+let bills = [];
+let billLinesDraft = [];
+
+// Smart meter devices, shown in the Settings tab
+let devices = [];
+
+// Labels for valve command states
+const COMMAND_STATE_LABELS = {
+    unconfirmed: 'awaiting confirmation',
+    pending: 'waiting for the device',
+    delivered: 'sent to the device',
+    done: 'done',
+    failed: 'failed',
+    cancelled: 'cancelled',
+    expired: 'expired (not picked up)'
+};
+
+// Most readings listed in the History tab (devices can push one a minute)
+const HISTORY_PAGE_SIZE = 500;
+
+const LINE_ITEM_TYPE_LABELS = {
+    fixed: 'Fixed monthly (R)',
+    per_kl: 'Per kL (R)'
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Day types with their own hourly schedule in a time-of-use season
+const TOU_DAY_TYPE_LABELS = {
+    weekday: 'Weekdays',
+    saturday: 'Saturdays',
+    sunday: 'Sundays'
+};
+
+// Entry hints for each meter register format
+const REGISTER_FORMAT_HINTS = {
+    tenths_liters: 'Enter the full 7-digit meter reading (last digit is decimal liters)',
+    liters: 'Enter the meter reading in whole liters',
+    kiloliters: 'Enter the meter reading in kiloliters',
+    units: 'Enter the meter reading as shown'
+};
+
+// Example entries for the water register formats (others are read in the meter's unit)
+const REGISTER_FORMAT_EXAMPLES = {
+    tenths_liters: 'e.g., 1287309 (= 128730.9 L = 128.73 kL)',
+    liters: 'e.g., 128730 (= 128.73 kL)',
+    kiloliters: 'e.g., 128.73 kL'
+};
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
     // Check authentication
@@ -15,10 +98,122 @@ document.addEventListener('DOMContentLoaded', async () => {
     initializeTabs();
     initializeForms();
     setDefaultDateTime();
+    await loadMeterFormats();
+    await loadMeters();
     loadSettings();
     loadDashboard();
+    updateAlertCount();
+    openDeepLink();
+    startLiveUpdates();
 });
 
+// Delay before reconnecting a dropped live update stream
+const LIVE_RETRY_MS = 5000;
+
+/**
+ * Follow the server's live update stream (Server-Sent Events from
+ * /api/stream), reconnecting when it drops. Read with fetch rather than
+ * EventSource so the auth token goes in a header instead of the URL.
+ */
+async function startLiveUpdates() {
+    for (;;) {
+        try {
+            const response = await apiCall(`${API_URL}/api/stream`);
+            if (response.ok) {
+                setLiveStatus(true);
+                await readEventStream(response.body, handleLiveEvent);
+            }
+        } catch (error) {
+            if (error.message === 'Authentication required') return;
+            console.error('Live updates disconnected:', error);
+        }
+
+        setLiveStatus(false);
+        await new Promise(resolve => setTimeout(resolve, LIVE_RETRY_MS));
+    }
+}
+
+// Parse an event stream body, calling onEvent(event, data) for each event
+async function readEventStream(body, onEvent) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += value;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach(block => {
+            let event = 'message';
+            const data = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+            });
+            if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+        });
+    }
+}
+
+function setLiveStatus(connected) {
+    const status = document.getElementById('live-status');
+    status.textContent = connected ? 'Live' : 'Offline';
+    status.className = `badge ${connected ? 'badge-success' : 'badge-warning'} live-status`;
+}
+
+function isTabActive(id) {
+    return document.getElementById(id).classList.contains('active');
+}
+
+// Apply a live update from the server
+function handleLiveEvent(event, data) {
+    switch (event) {
+        case 'statistics':
+            // The stream carries the all-meters view; a single meter is refetched
+            if (document.getElementById('dashboard-meter').value === '') {
+                renderDashboard(data);
+            } else if (isTabActive('dashboard')) {
+                loadDashboard();
+            }
+            break;
+        case 'readings':
+            if (isTabActive('history')) loadHistory();
+            break;
+        case 'alerts':
+            updateAlertCount();
+            if (isTabActive('alerts')) loadAlerts();
+            break;
+        case 'commands':
+            if (isTabActive('settings')) loadDevices();
+            if (isTabActive('alerts')) loadAlerts();
+            break;
+        case 'prepaid':
+            if (isTabActive('dashboard')) loadPrepaidCards(document.getElementById('dashboard-meter').value);
+            if (isTabActive('capture')) loadPrepaid();
+            break;
+    }
+}
+
+// Open the tab named in the URL, e.g. reading reminder emails link to
+// ?tab=capture&date=YYYY-MM-DD&time=HH:MM to prefill the reading form
+function openDeepLink() {
+    const params = new URLSearchParams(window.location.search);
+    const tab = document.querySelector(`.nav-tab[data-tab="${params.get('tab')}"]`);
+    if (!tab) return;
+
+    tab.click();
+    if (params.get('tab') === 'capture') {
+        if (params.get('date')) document.getElementById('reading-date').value = params.get('date');
+        if (params.get('time')) document.getElementById('reading-time').value = params.get('time');
+    }
+
+    // Keep a reload from reapplying the link
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
 // Display current user in header
 function displayCurrentUser() {
     const user = getCurrentUser();
@@ -58,9 +253,20 @@ function initializeTabs() {
                 case 'dashboard':
                     loadDashboard();
                     break;
+                case 'capture':
+                    loadPrepaid();
+                    break;
                 case 'history':
                     loadHistory();
                     break;
+                case 'statements':
+                    loadStatements();
+                    loadBills();
+                    break;
+                case 'alerts':
+                    loadAlerts();
+                    loadAlertRules();
+                    break;
                 case 'settings':
                     loadSettings();
                     break;
@@ -78,6 +284,44 @@ function initializeForms() {
         await saveReading();
     });
 
+    document.getElementById('meter-replaced').addEventListener('change', toggleMeterReplaced);
+    document.getElementById('reading-meter').addEventListener('change', updateReadingHint);
+
+    // Meter form
+    document.getElementById('meter-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveMeter();
+    });
+    updateMeterForm();
+
+    // Device form
+    document.getElementById('device-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveDevice();
+    });
+
+    // Prepaid electricity forms
+    document.getElementById('prepaid-purchase-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await savePrepaidPurchase();
+    });
+    document.getElementById('prepaid-balance-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await savePrepaidBalance();
+    });
+
+    // Alert rule form
+    document.getElementById('alert-rule-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveAlertRule();
+    });
+
+    // Bill form
+    document.getElementById('bill-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveBill();
+    });
+
     // Settings form
     const settingsForm = document.getElementById('settings-form');
     settingsForm.addEventListener('submit', async (e) => {
@@ -85,45 +329,12 @@ function initializeForms() {
         await saveSettings();
     });
 
-    // Update tariff block start values when limits change
-    document.getElementById('water-block-1-limit').addEventListener('input', updateTariffBlockStarts);
-    document.getElementById('water-block-2-limit').addEventListener('input', updateTariffBlockStarts);
-    document.getElementById('water-block-3-limit').addEventListener('input', updateTariffBlockStarts);
-    document.getElementById('water-block-4-limit').addEventListener('input', updateTariffBlockStarts);
-
-    document.getElementById('sewage-block-1-limit').addEventListener('input', updateTariffBlockStarts);
-    document.getElementById('sewage-block-2-limit').addEventListener('input', updateTariffBlockStarts);
-    document.getElementById('sewage-block-3-limit').addEventListener('input', updateTariffBlockStarts);
-}
-
-// Update tariff block start values
-function updateTariffBlockStarts() {
-    // Water blocks
-    const waterBlock1Limit = document.getElementById('water-block-1-limit').value;
-    const waterBlock2Limit = document.getElementById('water-block-2-limit').value;
-    const waterBlock3Limit = document.getElementById('water-block-3-limit').value;
-    const waterBlock4Limit = document.getElementById('water-block-4-limit').value;
-
-    document.getElementById('water-block-2-start').textContent =
-        waterBlock1Limit ? (parseFloat(waterBlock1Limit) + 0.001).toFixed(3) : '7';
-    document.getElementById('water-block-3-start').textContent =
-        waterBlock2Limit ? (parseFloat(waterBlock2Limit) + 0.001).toFixed(3) : '16';
-    document.getElementById('water-block-4-start').textContent =
-        waterBlock3Limit ? (parseFloat(waterBlock3Limit) + 0.001).toFixed(3) : '26';
-    document.getElementById('water-block-5-start').textContent =
-        waterBlock4Limit || '35';
-
-    // Sewage blocks
-    const sewageBlock1Limit = document.getElementById('sewage-block-1-limit').value;
-    const sewageBlock2Limit = document.getElementById('sewage-block-2-limit').value;
-    const sewageBlock3Limit = document.getElementById('sewage-block-3-limit').value;
-
-    document.getElementById('sewage-block-2-start').textContent =
-        sewageBlock1Limit ? (parseFloat(sewageBlock1Limit) + 0.001).toFixed(3) : '7';
-    document.getElementById('sewage-block-3-start').textContent =
-        sewageBlock2Limit ? (parseFloat(sewageBlock2Limit) + 0.001).toFixed(3) : '16';
-    document.getElementById('sewage-block-4-start').textContent =
-        sewageBlock3Limit || '25';
+    // Tariff form
+    document.getElementById('tariff-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveTariff();
+    });
+
 }
 
 // Set default date and time for new reading
@@ -134,6 +345,10 @@ function setDefaultDateTime() {
 
     document.getElementById('reading-date').value = dateStr;
     document.getElementById('reading-time').value = timeStr;
+    for (const form of ['prepaid-purchase', 'prepaid-balance']) {
+        document.getElementById(`${form}-date`).value = dateStr;
+        document.getElementById(`${form}-time`).value = timeStr;
+    }
 
     // Also set history filter dates
     const startDate = new Date();
@@ -144,79 +359,295 @@ function setDefaultDateTime() {
 
 // Load dashboard data
 async function loadDashboard() {
+    const meterId = document.getElementById('dashboard-meter').value;
+
     try {
-        const response = await apiCall(`${API_URL}/api/statistics`);
-        const stats = await response.json();
-
-        // Update billing period display
-        document.getElementById('billing-period-display').textContent =
-            `${formatDate(stats.billingPeriod.start)} - ${formatDate(stats.billingPeriod.end)}`;
-
-        // Update statistics
-        document.getElementById('total-usage').textContent = stats.totalUsage || '0';
-        document.getElementById('avg-daily').textContent = stats.avgDailyUsage || '0';
-        document.getElementById('current-cost').textContent = stats.currentCost || '0';
-        document.getElementById('projected-cost').textContent = stats.projectedCost || '0';
-
-        // Update cost breakdown if available
-        if (stats.costBreakdown) {
-            document.getElementById('current-water-basic').textContent = stats.costBreakdown.current.waterBasic || '0.00';
-            document.getElementById('current-water-usage').textContent = stats.costBreakdown.current.waterUsage || '0.00';
-            document.getElementById('current-sewage').textContent = stats.costBreakdown.current.sewage || '0.00';
-            document.getElementById('current-total').textContent = stats.costBreakdown.current.total || '0.00';
-
-            document.getElementById('projected-water-basic').textContent = stats.costBreakdown.projected.waterBasic || '0.00';
-            document.getElementById('projected-water-usage').textContent = stats.costBreakdown.projected.waterUsage || '0.00';
-            document.getElementById('projected-sewage').textContent = stats.costBreakdown.projected.sewage || '0.00';
-            document.getElementById('projected-total').textContent = stats.costBreakdown.projected.total || '0.00';
-        }
-
-        // Display daily usage
-        const dailyUsageList = document.getElementById('daily-usage-list');
-        if (stats.dailyUsage && stats.dailyUsage.length > 0) {
-            dailyUsageList.innerHTML = stats.dailyUsage
-                .map(day => `
-                    <div class="usage-item">
-                        <span>${formatDate(day.date)}</span>
-                        <span><strong>${day.usage.toFixed(3)} kL</strong></span>
-                    </div>
-                `).join('');
-        } else {
-            dailyUsageList.innerHTML = '<p>No usage data available. Add at least 2 readings to see daily usage.</p>';
-        }
+        const params = new URLSearchParams();
+        if (meterId) params.append('meter_id', meterId);
+
+        const response = await apiCall(`${API_URL}/api/statistics?${params}`);
+        renderDashboard(await response.json());
     } catch (error) {
         console.error('Error loading dashboard:', error);
     }
+
+    loadLeakWarning(meterId);
+    loadPrepaidCards(meterId);
+}
+
+// Show billing period statistics on the dashboard
+function renderDashboard(stats) {
+    currentBillingPeriod = stats.billingPeriod;
+
+    // Update billing period display
+    document.getElementById('billing-period-display').textContent =
+        `${formatDate(stats.billingPeriod.start)} - ${formatDate(stats.billingPeriod.end)}`;
+
+    // Note tariff changes within the period (costs are pro-rated between versions)
+    const tariffNote = document.getElementById('tariff-periods-note');
+    if (stats.tariffPeriods && stats.tariffPeriods.length > 1) {
+        tariffNote.textContent = 'Tariff changes during this period: ' + stats.tariffPeriods
+            .map(period => `${formatDate(period.start)} - ${formatDate(period.end)} (${period.days} days)`)
+            .join(', ');
+    } else {
+        tariffNote.textContent = '';
+    }
+
+    // Update statistics
+    const unit = stats.unit || 'kL';
+    document.querySelectorAll('.usage-unit').forEach(span => { span.textContent = unit; });
+    document.getElementById('total-usage').textContent = stats.totalUsage || '0';
+    document.getElementById('avg-daily').textContent = stats.avgDailyUsage || '0';
+    document.getElementById('current-cost').textContent = stats.currentCost || '0';
+    document.getElementById('projected-cost').textContent = stats.projectedCost || '0';
+
+    // Update cost breakdown if available
+    if (stats.costBreakdown) {
+        renderCostBreakdown(stats.costBreakdown, unit);
+    }
+    renderBlockLimitsNote(stats.tariffPeriods || [], unit);
+
+    // Per-meter usage when showing all meters
+    const breakdownSection = document.getElementById('meter-breakdown-section');
+    if (stats.meters && stats.meters.length > 1) {
+        breakdownSection.style.display = 'block';
+        document.getElementById('meter-breakdown-list').innerHTML = stats.meters
+            .map(m => `
+                <div class="usage-item">
+                    <span>${m.meter.name}${m.meter.billed ? '' : ' <span class="badge badge-info">Not billed</span>'}</span>
+                    <span><strong>${parseFloat(m.totalUsage).toFixed(3)} ${unit}</strong></span>
+                </div>
+            `).join('');
+    } else {
+        breakdownSection.style.display = 'none';
+    }
+
+    // Display daily usage
+    const dailyUsageList = document.getElementById('daily-usage-list');
+    if (stats.dailyUsage && stats.dailyUsage.length > 0) {
+        dailyUsageList.innerHTML = stats.dailyUsage
+            .map(day => `
+                <div class="usage-item">
+                    <span>${formatDate(day.date)}</span>
+                    <span><strong>${day.usage.toFixed(3)} ${unit}</strong></span>
+                </div>
+            `).join('');
+    } else {
+        dailyUsageList.innerHTML = '<p>No usage data available. Add at least 2 readings to see daily usage.</p>';
+    }
+}
+
+// Flag suspected leaks over the last two weeks (overnight or continuous flow)
+async function loadLeakWarning(meterId) {
+    const warning = document.getElementById('leak-warning');
+
+    // Leak detection only looks at water meters
+    const meter = meters.find(m => String(m.id) === meterId);
+    if (meter && meter.utility !== 'water') {
+        warning.style.display = 'none';
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams();
+        if (meterId) params.append('meter_id', meterId);
+
+        const response = await apiCall(`${API_URL}/api/analysis/leaks?${params}`);
+        const analysis = await response.json();
+        const suspected = (analysis.meters || []).filter(m => m.suspectedDays.length > 0);
+
+        if (suspected.length === 0) {
+            warning.style.display = 'none';
+            return;
+        }
+
+        warning.innerHTML = `
+            <h3>Possible leak detected</h3>
+            ${suspected.map(m => {
+                const days = m.days.filter(day => day.suspected);
+                const worst = days.reduce((a, b) => b.score > a.score ? b : a);
+                return `
+                    <p>
+                        <strong>${m.meter.name}</strong>: ${days.length} day(s) since ${formatDate(days[0].date)}
+                        (likelihood up to ${Math.round(worst.score * 100)}%)
+                    </p>
+                    <ul>${worst.evidence.map(reason => `<li>${reason}</li>`).join('')}</ul>
+                `;
+            }).join('')}
+            <p class="section-hint">Check taps, toilets and irrigation for running water between ${analysis.nightWindow.start} and ${analysis.nightWindow.end}.</p>
+            ${valveDevices()
+                .filter(device => suspected.some(m => m.meter.id === device.meter_id))
+                .map(device => `<button class="btn-small" onclick="sendValveCommand(${device.id}, 'close')">Close valve on ${device.name}</button>`)
+                .join(' ')}
+        `;
+        warning.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading leak analysis:', error);
+    }
+}
+
+// Prepaid electricity status per electricity meter (the selected one, or all
+// of them in the combined view), flagging a balance that is running low
+async function loadPrepaidCards(meterId) {
+    const container = document.getElementById('prepaid-cards');
+    const prepaidMeters = meters.filter(m => m.utility === 'electricity' && (!meterId || String(m.id) === meterId));
+
+    try {
+        const statuses = [];
+        for (const meter of prepaidMeters) {
+            const response = await apiCall(`${API_URL}/api/prepaid?meter_id=${meter.id}`);
+            const status = await response.json();
+            // Meters without any purchases or balance readings are not prepaid
+            if (response.ok && (status.latestBalance || status.lastPurchase)) statuses.push(status);
+        }
+
+        container.innerHTML = statuses.map(status => `
+            <div class="prepaid-card${status.lowBalance ? ' low' : ''}">
+                <h3>Prepaid Electricity - ${status.meter.name}</h3>
+                ${status.lowBalance ? `<p class="prepaid-warning">Low balance: about ${status.daysRemaining} days of units left. Buy electricity before ${formatDate(status.emptyDate)}.</p>` : ''}
+                <div class="prepaid-stats">
+                    <div>
+                        <span class="section-hint">Units left (estimated)</span>
+                        <strong>${status.estimatedBalance !== null ? `${status.estimatedBalance.toFixed(1)} kWh` : '-'}</strong>
+                    </div>
+                    <div>
+                        <span class="section-hint">Days until empty</span>
+                        <strong>${status.daysRemaining !== null ? `${status.daysRemaining} (${formatDate(status.emptyDate)})` : '-'}</strong>
+                    </div>
+                    <div>
+                        <span class="section-hint">Recent daily usage</span>
+                        <strong>${status.dailyUsage !== null ? `${status.dailyUsage.toFixed(2)} kWh` : '-'}</strong>
+                    </div>
+                    <div>
+                        <span class="section-hint">Effective price</span>
+                        <strong>${status.price ? `R ${status.price.effectiveRate.toFixed(2)}/kWh` : '-'}</strong>
+                    </div>
+                </div>
+                <p class="section-hint">
+                    ${status.latestBalance
+                        ? `Last balance reading: ${status.latestBalance.balance} kWh on ${formatDate(status.latestBalance.reading_date)} ${status.latestBalance.reading_time}.`
+                        : 'Record a balance reading to estimate the units left.'}
+                    ${status.usageSource === 'readings' ? 'Usage is taken from meter readings.' : ''}
+                    ${status.price ? `Energy only (without fixed charges): R ${status.price.energyRate.toFixed(2)}/kWh.` : ''}
+                </p>
+            </div>
+        `).join('');
+        container.style.display = statuses.length > 0 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Error loading prepaid status:', error);
+    }
+}
+
+// Cost breakdown grid: basic and usage rows per charge (usage per time band
+// for time-of-use tariffs) and a row per line item, then VAT separately,
+// current vs projected
+function renderCostBreakdown(costBreakdown, unit) {
+    const { current, projected } = costBreakdown;
+    const rows = [];
+
+    projected.charges.forEach(charge => {
+        const now = current.charges.find(c => c.key === charge.key) || { basic: '0.00', usage: '0.00' };
+        if (parseFloat(charge.basic) > 0) {
+            rows.push({ label: `${charge.name} Basic`, current: now.basic, projected: charge.basic });
+        }
+        if (!charge.bands) {
+            rows.push({ label: `${charge.name} Usage`, current: now.usage, projected: charge.usage });
+            return;
+        }
+
+        // Name the season only when the period spans more than one
+        const seasons = new Set(charge.bands.map(band => band.season));
+        charge.bands.forEach(band => {
+            const nowBand = (now.bands || []).find(b => b.season === band.season && b.band === band.band && b.rate === band.rate);
+            const season = seasons.size > 1 ? ` (${band.seasonName})` : '';
+            rows.push({
+                label: `${charge.name} ${band.name}${season} at R ${band.rate}/${unit}`,
+                current: nowBand ? nowBand.cost : '0.00',
+                projected: band.cost
+            });
+        });
+    });
+
+    projected.lineItems.forEach(item => {
+        const now = current.lineItems.find(i => i.key === item.key) || { amount: '0.00' };
+        rows.push({ label: item.name, current: now.amount, projected: item.amount });
+    });
+
+    if (parseFloat(projected.vat) > 0) {
+        rows.push({ label: 'Subtotal (excl. VAT)', current: current.subtotal, projected: projected.subtotal });
+        rows.push({ label: 'VAT', current: current.vat, projected: projected.vat });
+    }
+
+    document.getElementById('cost-breakdown-grid').innerHTML = `
+        <div class="cost-header">Component</div>
+        <div class="cost-header">Current (R)</div>
+        <div class="cost-header">Projected (R)</div>
+        ${rows.map(row => `
+            <div class="cost-label">${row.label}</div>
+            <div class="cost-value">${row.current}</div>
+            <div class="cost-value">${row.projected}</div>
+        `).join('')}
+        <div class="cost-label total">Total</div>
+        <div class="cost-value total">${current.total || '0.00'}</div>
+        <div class="cost-value total">${projected.total || '0.00'}</div>
+    `;
+}
+
+// Show the block limits used when they are pro-rated to the period length
+function renderBlockLimitsNote(tariffPeriods, unit) {
+    const note = document.getElementById('block-limits-note');
+    const prorated = tariffPeriods.filter(period => period.blockProration === 'daily' && period.type !== 'time_of_use');
+
+    note.innerHTML = prorated.map(period => `
+        Block limits pro-rated to ${period.days} days:
+        ${period.blockLimits
+            .filter(charge => charge.limits.length > 0)
+            .map(charge => `${charge.name} ${charge.limits.join(' / ')} ${unit}`)
+            .join('; ')}
+    `).join('<br>');
 }
 
 // Save water reading
 async function saveReading() {
-    let readingValue = document.getElementById('reading-value').value;
+    const readingValue = document.getElementById('reading-value').value;
     const readingDate = document.getElementById('reading-date').value;
     const readingTime = document.getElementById('reading-time').value;
+    const meterReplaced = document.getElementById('meter-replaced').checked;
+    const previousFinal = document.getElementById('previous-meter-final').value;
+    const meter = selectedMeter('reading-meter');
+    const format = meter ? meter.register_format : undefined;
 
     const messageDiv = document.getElementById('capture-message');
 
-    // Convert meter reading to kiloliters
-    let readingInKL = parseFloat(readingValue);
-    if (readingInKL > 1000) {
-        const readingInLiters = readingInKL / 10;
-        readingInKL = readingInLiters / 1000;
+    const payload = {
+        reading_value: toKiloliters(readingValue, format),
+        reading_date: readingDate,
+        reading_time: readingTime
+    };
+
+    if (meter) payload.meter_id = meter.id;
+
+    if (meterReplaced) {
+        payload.event_type = 'meter_replaced';
+        if (previousFinal) payload.previous_meter_final = toKiloliters(previousFinal, format);
     }
 
     try {
-        const response = await apiCall(`${API_URL}/api/readings`, {
-            method: 'POST',
-            body: JSON.stringify({
-                reading_value: readingInKL,
-                reading_date: readingDate,
-                reading_time: readingTime
-            })
-        });
+        const response = await submitReading(`${API_URL}/api/readings`, 'POST', payload);
+        if (!response) return;
 
         if (response.ok) {
-            showMessage(messageDiv, 'Reading saved successfully!', 'success');
+            const reading = await response.json();
+            const note = reading.flag === 'rollover' ? ' (meter register rollover detected)' : '';
+            if (reading.alerts && reading.alerts.length > 0) {
+                showMessage(messageDiv, `Reading saved${note}. Alerts: ${reading.alerts.map(a => a.message).join('; ')}`, 'error');
+                updateAlertCount();
+            } else {
+                showMessage(messageDiv, `Reading saved successfully!${note}`, 'success');
+            }
             document.getElementById('reading-form').reset();
+            if (meter) document.getElementById('reading-meter').value = meter.id;
+            toggleMeterReplaced();
             setDefaultDateTime();
 
             if (document.getElementById('dashboard').classList.contains('active')) {
@@ -224,7 +655,7 @@ async function saveReading() {
             }
         } else {
             const error = await response.json();
-            showMessage(messageDiv, `Error: ${error.error}`, 'error');
+            showMessage(messageDiv, `Error: ${error.error || error.errors?.[0]?.msg}`, 'error');
         }
     } catch (error) {
         showMessage(messageDiv, 'Error saving reading', 'error');
@@ -232,31 +663,201 @@ async function saveReading() {
     }
 }
 
+// Send a reading, asking for confirmation if the server reports it is lower
+// than the previous reading. Returns null if the user cancels.
+async function submitReading(url, method, payload) {
+    let response = await apiCall(url, { method, body: JSON.stringify(payload) });
+
+    if (response.status === 409) {
+        const error = await response.json();
+        if (error.code !== 'READING_DECREASED' ||
+            !confirm(`${error.error}.\n\nSave it anyway? Usage for this interval will be counted as zero.`)) {
+            return null;
+        }
+        response = await apiCall(url, { method, body: JSON.stringify({ ...payload, confirm_decrease: true }) });
+    }
+
+    return response;
+}
+
+// Show the old meter final reading field when recording a meter replacement
+function toggleMeterReplaced() {
+    const replaced = document.getElementById('meter-replaced').checked;
+    document.getElementById('previous-final-group').style.display = replaced ? 'block' : 'none';
+    updateReadingHint();
+}
+
+// Show the entry unit and hint for the selected meter's utility and register format
+function updateReadingHint() {
+    const meter = selectedMeter('reading-meter');
+    const format = meter ? meter.register_format : 'tenths_liters';
+    const unit = format === 'tenths_liters' || format === 'liters' ? 'Liters' : meterUnit(meter);
+    const replaced = document.getElementById('meter-replaced').checked;
+
+    document.getElementById('reading-value-label').textContent =
+        replaced ? `New Meter Starting Reading (${unit})` : `Meter Reading (${unit})`;
+    document.getElementById('previous-meter-final-label').textContent = `Old Meter Final Reading (${unit})`;
+    document.getElementById('reading-value').placeholder = REGISTER_FORMAT_EXAMPLES[format] || `e.g., 45231.7 ${unit}`;
+    document.getElementById('reading-value-hint').textContent = REGISTER_FORMAT_HINTS[format];
+}
+
+// Purchases and balance readings of the electricity meter selected in the
+// Capture tab's prepaid section
+async function loadPrepaid() {
+    const meterId = document.getElementById('prepaid-meter').value;
+    if (!meterId) return;
+
+    try {
+        const purchases = await (await apiCall(`${API_URL}/api/prepaid/purchases?meter_id=${meterId}`)).json();
+        const balances = await (await apiCall(`${API_URL}/api/prepaid/balances?meter_id=${meterId}`)).json();
+
+        document.getElementById('prepaid-purchase-list').innerHTML = purchases.length === 0
+            ? '<p>No purchases recorded yet.</p>'
+            : purchases.map(purchase => `
+                <div class="history-item">
+                    <div class="history-info">
+                        <div class="history-date">${formatDate(purchase.purchase_date)} ${purchase.purchase_time}</div>
+                        <div class="history-value">
+                            R ${purchase.amount_paid.toFixed(2)} - ${purchase.units} kWh
+                            ${purchase.fixed_charges > 0 ? `(R ${purchase.fixed_charges.toFixed(2)} fixed charges)` : ''}
+                        </div>
+                        ${purchase.token ? `<div class="section-hint">Token ${purchase.token}</div>` : ''}
+                    </div>
+                    <div class="history-actions">
+                        <button class="btn-danger" onclick="deletePrepaid('purchases', ${purchase.id})">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+
+        document.getElementById('prepaid-balance-list').innerHTML = balances.length === 0
+            ? '<p>No balance readings recorded yet.</p>'
+            : balances.map(reading => `
+                <div class="history-item">
+                    <div class="history-info">
+                        <div class="history-date">${formatDate(reading.reading_date)} ${reading.reading_time}</div>
+                        <div class="history-value">${reading.balance} kWh left</div>
+                    </div>
+                    <div class="history-actions">
+                        <button class="btn-danger" onclick="deletePrepaid('balances', ${reading.id})">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading prepaid records:', error);
+    }
+}
+
+async function savePrepaidPurchase() {
+    await savePrepaid('purchases', 'prepaid-purchase-form', {
+        purchase_date: document.getElementById('prepaid-purchase-date').value,
+        purchase_time: document.getElementById('prepaid-purchase-time').value,
+        amount_paid: parseFloat(document.getElementById('prepaid-amount').value),
+        units: parseFloat(document.getElementById('prepaid-units').value),
+        fixed_charges: parseFloat(document.getElementById('prepaid-fixed').value) || 0,
+        token: document.getElementById('prepaid-token').value.trim() || null
+    }, 'Purchase saved');
+}
+
+async function savePrepaidBalance() {
+    await savePrepaid('balances', 'prepaid-balance-form', {
+        reading_date: document.getElementById('prepaid-balance-date').value,
+        reading_time: document.getElementById('prepaid-balance-time').value,
+        balance: parseFloat(document.getElementById('prepaid-balance').value)
+    }, 'Balance saved');
+}
+
+async function savePrepaid(kind, formId, payload, successMessage) {
+    const messageDiv = document.getElementById('prepaid-message');
+    const meterId = document.getElementById('prepaid-meter').value;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/prepaid/${kind}`, {
+            method: 'POST',
+            body: JSON.stringify({ ...payload, meter_id: meterId })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            if (result.alerts && result.alerts.length > 0) {
+                showMessage(messageDiv, `${successMessage}. Alerts: ${result.alerts.map(a => a.message).join('; ')}`, 'error');
+                updateAlertCount();
+            } else {
+                showMessage(messageDiv, successMessage, 'success');
+            }
+            document.getElementById(formId).reset();
+            setDefaultDateTime();
+            loadPrepaid();
+        } else {
+            showMessage(messageDiv, `Error: ${result.error || result.errors?.[0]?.msg}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error saving prepaid record', 'error');
+        console.error('Error:', error);
+    }
+}
+
+async function deletePrepaid(kind, id) {
+    if (!confirm(kind === 'purchases' ? 'Delete this purchase?' : 'Delete this balance reading?')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/prepaid/${kind}/${id}`, { method: 'DELETE' });
+        if (response.ok) loadPrepaid();
+    } catch (error) {
+        console.error('Error deleting prepaid record:', error);
+    }
+}
+
 // Load history
 async function loadHistory() {
     const startDate = document.getElementById('history-start').value;
     const endDate = document.getElementById('history-end').value;
+    const meterId = document.getElementById('history-meter').value;
 
     try {
         const params = new URLSearchParams();
         if (startDate) params.append('start_date', startDate);
         if (endDate) params.append('end_date', endDate);
+        if (meterId) params.append('meter_id', meterId);
+        params.append('limit', HISTORY_PAGE_SIZE);
 
         const response = await apiCall(`${API_URL}/api/readings?${params}`);
         const readings = await response.json();
+        const total = parseInt(response.headers.get('X-Total-Count')) || readings.length;
 
         const historyList = document.getElementById('history-list');
 
         if (readings.length > 0) {
-            historyList.innerHTML = readings.map(reading => `
-                <div class="history-item">
-                    <div class="history-info">
-                        <div class="history-date">${formatDate(reading.reading_date)} ${reading.reading_time}</div>
-                        <div class="history-value">${parseFloat(reading.reading_value).toFixed(4)} kL</div>
+            const note = total > readings.length
+                ? `<p class="history-note">Showing the latest ${readings.length} of ${total} readings. Narrow the dates to see older readings.</p>`
+                : '';
+            historyList.innerHTML = note + readings.map(reading => {
+                const unit = meterUnit(meters.find(m => m.id === reading.meter_id));
+                return `
+                <div class="history-item" id="reading-${reading.id}">
+                    <div class="history-view">
+                        <div class="history-info">
+                            <div class="history-date">${formatDate(reading.reading_date)} ${reading.reading_time}${meters.length > 1 ? ` &middot; ${meterName(reading.meter_id)}` : ''}</div>
+                            <div class="history-value">${parseFloat(reading.reading_value).toFixed(4)} ${unit}</div>
+                            ${readingBadges(reading, unit)}
+                            ${reading.updated_at ? `<div class="history-edited">Edited ${reading.updated_at}</div>` : ''}
+                        </div>
+                        <div class="history-actions">
+                            <button class="btn-small" onclick="editReading(${reading.id})">Edit</button>
+                            <button class="btn-small" onclick="toggleRevisions(${reading.id})">Changes</button>
+                            <button class="btn-danger" onclick="deleteReading(${reading.id})">Delete</button>
+                        </div>
                     </div>
-                    <button class="btn-danger" onclick="deleteReading(${reading.id})">Delete</button>
+                    <form class="history-edit" onsubmit="event.preventDefault(); saveReadingEdit(${reading.id})">
+                        <input type="number" name="reading_value" step="0.0001" value="${reading.reading_value}" required>
+                        <input type="date" name="reading_date" value="${reading.reading_date}" required>
+                        <input type="time" name="reading_time" value="${reading.reading_time.slice(0, 5)}" required>
+                        <button type="submit" class="btn-small">Save</button>
+                        <button type="button" class="btn-small" onclick="cancelReadingEdit(${reading.id})">Cancel</button>
+                    </form>
+                    <div class="history-revisions"></div>
                 </div>
-            `).join('');
+            `;
+            }).join('');
         } else {
             historyList.innerHTML = '<p>No readings found for this period.</p>';
         }
@@ -265,6 +866,88 @@ async function loadHistory() {
     }
 }
 
+// Badges for meter events and flagged readings in the history list
+function readingBadges(reading, unit) {
+    const badges = [];
+    if (reading.event_type === 'meter_replaced') {
+        const final = reading.previous_meter_final !== null
+            ? ` (old meter final ${parseFloat(reading.previous_meter_final).toFixed(4)} ${unit})`
+            : '';
+        badges.push(`<span class="badge badge-info">Meter replaced${final}</span>`);
+    }
+    if (reading.flag === 'rollover') {
+        badges.push('<span class="badge badge-info">Register rollover</span>');
+    }
+    if (reading.flag === 'decrease') {
+        badges.push('<span class="badge badge-warning">Lower than previous</span>');
+    }
+    return badges.length ? `<div>${badges.join(' ')}</div>` : '';
+}
+
+// Switch a history item into edit mode
+function editReading(id) {
+    document.getElementById(`reading-${id}`).classList.add('editing');
+}
+
+function cancelReadingEdit(id) {
+    document.getElementById(`reading-${id}`).classList.remove('editing');
+}
+
+// Save an edited reading
+async function saveReadingEdit(id) {
+    const form = document.querySelector(`#reading-${id} .history-edit`);
+
+    try {
+        // The edit field holds the stored value (kL or the meter's unit), not the register digits
+        const response = await submitReading(`${API_URL}/api/readings/${id}`, 'PATCH', {
+            reading_value: parseFloat(form.reading_value.value),
+            reading_date: form.reading_date.value,
+            reading_time: form.reading_time.value
+        });
+        if (!response) return;
+
+        if (response.ok) {
+            loadHistory();
+        } else {
+            const error = await response.json();
+            alert(`Error: ${error.error || error.errors?.[0]?.msg}`);
+        }
+    } catch (error) {
+        console.error('Error updating reading:', error);
+    }
+}
+
+// Show or hide the change history of a reading
+async function toggleRevisions(id) {
+    const container = document.querySelector(`#reading-${id} .history-revisions`);
+
+    if (container.innerHTML) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await apiCall(`${API_URL}/api/readings/${id}/revisions`);
+        const revisions = await response.json();
+
+        if (revisions.length === 0) {
+            container.innerHTML = '<p>No changes recorded.</p>';
+            return;
+        }
+
+        container.innerHTML = revisions.map(revision => `
+            <div class="revision-item">
+                <div class="revision-meta">${revision.changed_at} by ${revision.changed_by || 'unknown'}</div>
+                ${Object.entries(revision.changes).map(([field, change]) => `
+                    <div>${field.replace('reading_', '')}: ${change.from} &rarr; ${change.to}</div>
+                `).join('')}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading revisions:', error);
+    }
+}
+
 // Delete reading
 async function deleteReading(id) {
     if (confirm('Are you sure you want to delete this reading?')) {
@@ -285,65 +968,1363 @@ async function deleteReading(id) {
     }
 }
 
-// Load settings
-async function loadSettings() {
-    try {
-        const response = await apiCall(`${API_URL}/api/settings`);
-        const settings = await response.json();
+// Download an export file (needs the auth header, so fetch it as a blob)
+async function downloadExport(scope, format, startDate, endDate, meterId) {
+    const params = new URLSearchParams({ scope, format });
+    if (startDate && endDate) {
+        params.append('start_date', startDate);
+        params.append('end_date', endDate);
+    }
+    if (meterId) params.append('meter_id', meterId);
 
-        // Populate form fields
-        document.getElementById('billing-start').value = settings.billing_start_day || '1';
-        document.getElementById('billing-end').value = settings.billing_end_day || '31';
+    await downloadFile(`${API_URL}/api/export?${params}`, `water-${scope}.${format}`);
+}
 
-        document.getElementById('water-basic').value = settings.water_basic_monthly_cost || '0';
-        document.getElementById('water-block-1-limit').value = settings.water_block_1_limit || '6';
-        document.getElementById('water-block-1-rate').value = settings.water_block_1_rate || '22.25';
-        document.getElementById('water-block-2-limit').value = settings.water_block_2_limit || '15';
-        document.getElementById('water-block-2-rate').value = settings.water_block_2_rate || '42.99';
-        document.getElementById('water-block-3-limit').value = settings.water_block_3_limit || '25';
-        document.getElementById('water-block-3-rate').value = settings.water_block_3_rate || '68.50';
-        document.getElementById('water-block-4-limit').value = settings.water_block_4_limit || '35';
-        document.getElementById('water-block-4-rate').value = settings.water_block_4_rate || '95.12';
-        document.getElementById('water-block-5-rate').value = settings.water_block_5_rate || '133.43';
-
-        document.getElementById('sewage-block-1-limit').value = settings.sewage_block_1_limit || '6';
-        document.getElementById('sewage-block-1-rate').value = settings.sewage_block_1_rate || '22.25';
-        document.getElementById('sewage-block-2-limit').value = settings.sewage_block_2_limit || '15';
-        document.getElementById('sewage-block-2-rate').value = settings.sewage_block_2_rate || '42.99';
-        document.getElementById('sewage-block-3-limit').value = settings.sewage_block_3_limit || '25';
-        document.getElementById('sewage-block-3-rate').value = settings.sewage_block_3_rate || '51.38';
-        document.getElementById('sewage-block-4-rate').value = settings.sewage_block_4_rate || '71.34';
-
-        updateTariffBlockStarts();
-    } catch (error) {
+// Download an authenticated response as a file, named by its Content-Disposition
+async function downloadFile(url, fallbackName) {
+    try {
+        const response = await apiCall(url);
+        if (!response.ok) {
+            const error = await response.json();
+            alert(`Export failed: ${error.error}`);
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : fallbackName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting data:', error);
+    }
+}
+
+// Export using the History tab date filter
+function exportHistory(scope, format) {
+    const startDate = document.getElementById('history-start').value;
+    const endDate = document.getElementById('history-end').value;
+    downloadExport(scope, format, startDate, endDate, document.getElementById('history-meter').value);
+}
+
+// Export the billing period shown on the dashboard
+function exportDashboard(scope, format) {
+    const period = currentBillingPeriod || {};
+    downloadExport(scope, format, period.start, period.end, document.getElementById('dashboard-meter').value);
+}
+
+// Send the selected import file to the server, as a dry run or for real
+async function submitImport(dryRun) {
+    const file = document.getElementById('import-file').files[0];
+    if (!file) {
+        throw new Error('Choose a file to import');
+    }
+
+    const response = await apiCall(`${API_URL}/api/readings/import`, {
+        method: 'POST',
+        body: JSON.stringify({
+            content: await file.text(),
+            meter_id: document.getElementById('import-meter').value,
+            date_format: document.getElementById('import-date-format').value,
+            value_format: document.getElementById('import-value-format').value,
+            dry_run: dryRun
+        })
+    });
+
+    const result = await response.json();
+    if (!response.ok && !result.rows) {
+        throw new Error(result.error || 'Import failed');
+    }
+
+    return result;
+}
+
+// Preview an import file with per-row errors and duplicates
+async function previewImport() {
+    const preview = document.getElementById('import-preview');
+    const messageDiv = document.getElementById('import-message');
+
+    try {
+        const result = await submitImport(true);
+        const { summary } = result;
+
+        preview.innerHTML = `
+            <div class="import-summary">
+                ${summary.total} rows: ${summary.valid} to import, ${summary.duplicates} duplicate, ${summary.errors} with errors
+                (dates read as ${result.date_format})
+            </div>
+            <div class="import-table">
+                ${result.rows.map(row => `
+                    <div class="import-row ${row.status}">
+                        <span>#${row.line}</span>
+                        <span>${row.reading_date ? formatDate(row.reading_date) : '-'} ${row.reading_time || ''}</span>
+                        <span>${row.reading_value !== null ? row.reading_value.toFixed(4) + ' kL' : '-'}</span>
+                        <span>${row.status === 'error' ? row.error : row.status === 'duplicate' ? 'Duplicate - will be skipped' : 'OK'}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${summary.errors === 0 && summary.valid > 0
+                ? `<button type="button" onclick="commitImport()" class="btn-primary">Import ${summary.valid} Readings</button>`
+                : ''}
+        `;
+    } catch (error) {
+        preview.innerHTML = '';
+        showMessage(messageDiv, error.message, 'error');
+    }
+}
+
+// Commit the previewed import
+async function commitImport() {
+    const messageDiv = document.getElementById('import-message');
+
+    try {
+        const result = await submitImport(false);
+
+        if (result.error) {
+            showMessage(messageDiv, `Error: ${result.error}`, 'error');
+            return;
+        }
+
+        document.getElementById('import-preview').innerHTML = '';
+        document.getElementById('import-file').value = '';
+        showMessage(messageDiv, `Imported ${result.imported} readings`, 'success');
+        loadHistory();
+    } catch (error) {
+        showMessage(messageDiv, error.message, 'error');
+    }
+}
+
+// Load closed billing periods with the change from the period before
+async function loadStatements() {
+    const list = document.getElementById('statements-list');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/statements`);
+        const statements = await response.json();
+
+        if (statements.length === 0) {
+            list.innerHTML = '<p>No closed billing periods yet.</p>';
+            return;
+        }
+
+        list.innerHTML = `
+            <div class="statement-table">
+                <div class="cost-header">Period</div>
+                <div class="cost-header">Usage (kL)</div>
+                <div class="cost-header">Cost (R)</div>
+                <div class="cost-header">Change</div>
+                ${statements.map((statement, i) => {
+                    const previous = statements[i + 1];
+                    const change = previous && previous.total_cost > 0
+                        ? `${((statement.total_cost - previous.total_cost) / previous.total_cost * 100).toFixed(1)}%`
+                        : '-';
+                    return `
+                        <div class="cost-label"><a href="#" onclick="event.preventDefault(); showStatement(${statement.id})">${formatDate(statement.period_start)} - ${formatDate(statement.period_end)}</a></div>
+                        <div class="cost-value">${statement.total_usage.toFixed(3)}</div>
+                        <div class="cost-value">${statement.total_cost.toFixed(2)}</div>
+                        <div class="cost-value">${change}</div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading statements:', error);
+    }
+}
+
+// Show a statement's cost breakdown, per-meter usage and the tariff it was billed at
+async function showStatement(id) {
+    const detail = document.getElementById('statement-detail');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/statements/${id}`);
+        const statement = await response.json();
+        const cost = statement.cost_breakdown;
+
+        detail.innerHTML = `
+            <div class="statement-detail">
+                <h3>${formatDate(statement.period_start)} - ${formatDate(statement.period_end)}</h3>
+                ${cost.charges.map(charge => `
+                    ${parseFloat(charge.basic) > 0 ? `<div class="usage-item"><span>${charge.name} Basic</span><span>R ${charge.basic}</span></div>` : ''}
+                    <div class="usage-item"><span>${charge.name} Usage</span><span>R ${charge.usage}</span></div>
+                `).join('')}
+                ${cost.lineItems.map(item => `
+                    <div class="usage-item"><span>${item.name}</span><span>R ${item.amount}</span></div>
+                `).join('')}
+                ${parseFloat(cost.vat) > 0 ? `
+                    <div class="usage-item"><span>Subtotal (excl. VAT)</span><span>R ${cost.subtotal}</span></div>
+                    <div class="usage-item"><span>VAT</span><span>R ${cost.vat}</span></div>
+                ` : ''}
+                <div class="usage-item"><span><strong>Total</strong></span><span><strong>R ${cost.total}</strong></span></div>
+
+                <h4>Usage by Meter</h4>
+                ${statement.meters.map(meter => `
+                    <div class="usage-item">
+                        <span>${meter.name}${meter.billed ? '' : ' (not billed)'}</span>
+                        <span>${meter.usage.toFixed(3)} kL</span>
+                    </div>
+                `).join('')}
+
+                ${statement.tariff.map(tariff => `
+                    <h4>Tariff from ${formatDate(tariff.effective_from)} (${tariff.days} days of this period)</h4>
+                    ${tariff.charges.map(charge => `
+                        <div class="usage-item"><span><strong>${charge.name}</strong>${charge.vatable ? ' (VAT)' : ''}</span><span>Basic R ${charge.basic_charge}</span></div>
+                        ${(charge.blocks || []).map((block, i) => `
+                            <div class="usage-item">
+                                <span>${i === 0 ? 0 : charge.blocks[i - 1].limit} - ${block.limit === null ? 'and above' : block.limit + ' kL'}</span>
+                                <span>R ${block.rate} / kL</span>
+                            </div>
+                        `).join('')}
+                    `).join('')}
+                    ${tariff.line_items.map(item => `
+                        <div class="usage-item">
+                            <span>${item.name}${item.vatable ? ' (VAT)' : ''}</span>
+                            <span>R ${item.amount}${item.type === 'per_kl' ? ' / kL' : ' / month'}</span>
+                        </div>
+                    `).join('')}
+                    <div class="usage-item"><span>VAT rate</span><span>${tariff.vat_rate}%</span></div>
+                    ${tariff.block_proration === 'daily' ? `
+                        <div class="usage-item"><span>Block limits</span><span>Pro-rated to ${tariff.days} days</span></div>
+                    ` : ''}
+                `).join('')}
+
+                <button type="button" class="btn-danger" onclick="reopenStatement(${statement.id})">Reopen Period</button>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading statement:', error);
+    }
+}
+
+// Close the most recently ended billing period
+async function closeStatement() {
+    const messageDiv = document.getElementById('statements-message');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/statements`, { method: 'POST', body: JSON.stringify({}) });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage(messageDiv, `Closed ${formatDate(result.period_start)} - ${formatDate(result.period_end)}`, 'success');
+            loadStatements();
+        } else {
+            showMessage(messageDiv, `Error: ${result.error || result.errors?.[0]?.msg}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error closing billing period', 'error');
+        console.error('Error:', error);
+    }
+}
+
+// Delete a statement so the period can be closed again
+async function reopenStatement(id) {
+    if (!confirm('Reopen this billing period? Its saved statement will be deleted.')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/statements/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            document.getElementById('statement-detail').innerHTML = '';
+            loadStatements();
+        }
+    } catch (error) {
+        console.error('Error reopening statement:', error);
+    }
+}
+
+// Show the number of open alerts on the Alerts tab
+async function updateAlertCount() {
+    try {
+        const response = await apiCall(`${API_URL}/api/alerts?state=open`);
+        const open = await response.json();
+        const badge = document.getElementById('alerts-count');
+        badge.textContent = open.length;
+        badge.style.display = open.length > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Error loading alert count:', error);
+    }
+}
+
+async function loadAlerts() {
+    try {
+        const response = await apiCall(`${API_URL}/api/alerts`);
+        const alerts = await response.json();
+
+        const render = (list, empty) => list.length === 0 ? `<p>${empty}</p>` : list.map(alert => `
+            <div class="history-item">
+                <div class="history-info">
+                    <div class="history-date">${alert.message}</div>
+                    <div class="history-value">
+                        ${alert.window_start === alert.window_end ? alert.window_start : `${alert.window_start} - ${alert.window_end}`}
+                        ${alert.acknowledged_at ? ` (acknowledged ${alert.acknowledged_at})` : ''}
+                    </div>
+                    ${alert.command_id ? `<div class="section-hint">Close valve on ${alert.valve_name || 'deleted device'}: ${COMMAND_STATE_LABELS[alert.command_state]}</div>` : ''}
+                </div>
+                <div class="history-actions">
+                    ${alert.command_state === 'unconfirmed' ? `
+                        <button class="btn-danger" onclick="confirmValveCommand(${alert.command_device_id}, ${alert.command_id})">Close Valve</button>
+                        <button class="btn-small" onclick="cancelValveCommand(${alert.command_device_id}, ${alert.command_id})">Keep Open</button>
+                    ` : ''}
+                    ${alert.state === 'open' ? `<button class="btn-small" onclick="acknowledgeAlert(${alert.id})">Acknowledge</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        document.getElementById('open-alerts-list').innerHTML = render(alerts.filter(a => a.state === 'open'), 'No open alerts.');
+        document.getElementById('acknowledged-alerts-list').innerHTML = render(alerts.filter(a => a.state === 'acknowledged'), 'No acknowledged alerts.');
+        updateAlertCount();
+    } catch (error) {
+        console.error('Error loading alerts:', error);
+    }
+}
+
+async function acknowledgeAlert(id) {
+    try {
+        const response = await apiCall(`${API_URL}/api/alerts/${id}/acknowledge`, { method: 'POST' });
+        if (response.ok) loadAlerts();
+    } catch (error) {
+        console.error('Error acknowledging alert:', error);
+    }
+}
+
+// Evaluate the alert rules now
+async function checkAlerts() {
+    const messageDiv = document.getElementById('alerts-message');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/alerts/check`, { method: 'POST' });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage(messageDiv, result.alerts.length > 0 ? `${result.alerts.length} new alert(s)` : 'No new alerts', 'success');
+            loadAlerts();
+        } else {
+            showMessage(messageDiv, `Error: ${result.error}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error checking alerts', 'error');
+        console.error('Error:', error);
+    }
+}
+
+async function loadAlertRules() {
+    try {
+        const response = await apiCall(`${API_URL}/api/alerts/rules`);
+        alertRules = await response.json();
+
+        const describe = rule => {
+            if (rule.metric === 'prepaid_days') {
+                return `Prepaid units left below ${rule.threshold} days - ${rule.meter_name || 'All electricity meters'}`;
+            }
+            const usageUnit = meterUnit(meters.find(m => m.id === rule.meter_id));
+            const unit = rule.metric === 'cost' ? 'R' : (rule.period === 'hourly' ? `${usageUnit}/h` : usageUnit);
+            const limit = rule.condition === 'deviation' ? `${rule.threshold}% above average` : `above ${rule.threshold} ${unit}`;
+            const period = document.querySelector(`#alert-rule-period option[value="${rule.period}"]`).textContent;
+            return `${period} ${rule.metric === 'cost' ? 'projected bill' : 'usage'} ${limit} - ${rule.meter_name || 'All meters'}`;
+        };
+
+        document.getElementById('alert-rule-list').innerHTML = alertRules.map(rule => `
+            <div class="history-item">
+                <div class="history-info">
+                    <div class="history-date">
+                        ${rule.name}
+                        ${rule.enabled ? '' : '<span class="badge badge-info">Disabled</span>'}
+                    </div>
+                    <div class="history-value">${describe(rule)}</div>
+                    ${rule.valve_name ? `<div class="section-hint">Proposes closing the valve on ${rule.valve_name}</div>` : ''}
+                </div>
+                <div class="history-actions">
+                    <button class="btn-small" onclick="editAlertRule(${rule.id})">Edit</button>
+                    <button class="btn-danger" onclick="deleteAlertRule(${rule.id})">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading alert rules:', error);
+    }
+}
+
+// Cost rules only work per billing period above a fixed amount, and prepaid
+// rules daily below a number of days
+function updateAlertRuleForm() {
+    const metric = document.getElementById('alert-rule-metric').value;
+    const period = document.getElementById('alert-rule-period');
+    const condition = document.getElementById('alert-rule-condition');
+
+    if (metric === 'cost') {
+        period.value = 'monthly';
+        condition.value = 'above';
+    } else if (metric === 'prepaid_days') {
+        period.value = 'daily';
+        condition.value = 'below';
+    } else if (condition.value === 'below') {
+        condition.value = 'above';
+    }
+    period.disabled = metric === 'cost' || metric === 'prepaid_days';
+    condition.disabled = metric === 'cost' || metric === 'prepaid_days';
+
+    const usageUnit = meterUnit(selectedMeter('alert-rule-meter'));
+    const unit = metric === 'cost' ? 'R' : (period.value === 'hourly' ? `${usageUnit}/h` : usageUnit);
+    document.getElementById('alert-rule-threshold-label').textContent =
+        metric === 'prepaid_days' ? 'Days of Units Left'
+            : condition.value === 'deviation' ? 'Above Average By (%)' : `Threshold (${unit})`;
+}
+
+function editAlertRule(id) {
+    const rule = alertRules.find(r => r.id === id);
+    if (!rule) return;
+
+    document.getElementById('alert-rule-id').value = rule.id;
+    document.getElementById('alert-rule-name').value = rule.name;
+    document.getElementById('alert-rule-meter').value = rule.meter_id || '';
+    document.getElementById('alert-rule-metric').value = rule.metric;
+    document.getElementById('alert-rule-period').value = rule.period;
+    document.getElementById('alert-rule-condition').value = rule.condition;
+    document.getElementById('alert-rule-threshold').value = rule.threshold;
+    document.getElementById('alert-rule-enabled').checked = !!rule.enabled;
+    document.getElementById('alert-rule-email').checked = !!rule.email;
+    document.getElementById('alert-rule-valve').value = rule.valve_device_id || '';
+    document.getElementById('alert-rule-submit').textContent = 'Update Rule';
+    document.getElementById('alert-rule-cancel').style.display = 'inline-block';
+    updateAlertRuleForm();
+}
+
+function resetAlertRuleForm() {
+    document.getElementById('alert-rule-form').reset();
+    document.getElementById('alert-rule-id').value = '';
+    document.getElementById('alert-rule-submit').textContent = 'Add Rule';
+    document.getElementById('alert-rule-cancel').style.display = 'none';
+    updateAlertRuleForm();
+}
+
+async function saveAlertRule() {
+    const messageDiv = document.getElementById('alert-rule-message');
+    const id = document.getElementById('alert-rule-id').value;
+
+    const rule = {
+        name: document.getElementById('alert-rule-name').value,
+        meter_id: document.getElementById('alert-rule-meter').value || null,
+        metric: document.getElementById('alert-rule-metric').value,
+        period: document.getElementById('alert-rule-period').value,
+        condition: document.getElementById('alert-rule-condition').value,
+        threshold: parseFloat(document.getElementById('alert-rule-threshold').value),
+        enabled: document.getElementById('alert-rule-enabled').checked,
+        email: document.getElementById('alert-rule-email').checked,
+        valve_device_id: parseInt(document.getElementById('alert-rule-valve').value) || null
+    };
+
+    try {
+        const response = await apiCall(id ? `${API_URL}/api/alerts/rules/${id}` : `${API_URL}/api/alerts/rules`, {
+            method: id ? 'PUT' : 'POST',
+            body: JSON.stringify(rule)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage(messageDiv, id ? 'Rule updated' : 'Rule added', 'success');
+            resetAlertRuleForm();
+            loadAlertRules();
+        } else {
+            showMessage(messageDiv, `Error: ${result.error || result.errors?.[0]?.msg}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error saving rule', 'error');
+        console.error('Error:', error);
+    }
+}
+
+async function deleteAlertRule(id) {
+    if (!confirm('Delete this alert rule? Alerts it already raised are kept.')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/alerts/rules/${id}`, { method: 'DELETE' });
+        if (response.ok) loadAlertRules();
+    } catch (error) {
+        console.error('Error deleting alert rule:', error);
+    }
+}
+
+// Load entered municipal bills
+async function loadBills() {
+    try {
+        const response = await apiCall(`${API_URL}/api/bills`);
+        bills = await response.json();
+
+        // New bills start with the current tariff's lines
+        if (tariffs.length === 0) {
+            tariffs = await (await apiCall(`${API_URL}/api/tariffs`)).json();
+        }
+
+        document.getElementById('bills-list').innerHTML = bills.length === 0
+            ? '<p>No bills entered yet.</p>'
+            : bills.map(bill => `
+                <div class="history-item">
+                    <div class="history-info">
+                        <div class="history-date">
+                            ${formatDate(bill.period_start)} - ${formatDate(bill.period_end)}
+                            ${bill.estimated ? '<span class="badge badge-warning">Estimated</span>' : ''}
+                        </div>
+                        <div class="history-value">${bill.billed_usage} kL - R ${bill.total.toFixed(2)}</div>
+                    </div>
+                    <div class="history-actions">
+                        <button class="btn-small" onclick="showReconciliation(${bill.id})">Reconcile</button>
+                        <button class="btn-small" onclick="editBill(${bill.id})">Edit</button>
+                        <button class="btn-danger" onclick="deleteBill(${bill.id})">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+
+        if (billLinesDraft.length === 0 && !document.getElementById('bill-id').value) {
+            resetBillForm();
+        }
+    } catch (error) {
+        console.error('Error loading bills:', error);
+    }
+}
+
+function renderBillLines() {
+    document.getElementById('bill-lines').innerHTML = billLinesDraft.map((line, i) => `
+        <div class="tariff-block">
+            <input type="text" value="${line.name}" placeholder="e.g. Water" oninput="billLinesDraft[${i}].name = this.value" required>
+            <input type="number" step="0.01" placeholder="Amount (R)" value="${line.amount}" oninput="billLinesDraft[${i}].amount = this.value" required>
+            <button type="button" class="btn-small" onclick="removeBillLine(${i})">Remove</button>
+        </div>
+    `).join('');
+}
+
+function addBillLine() {
+    billLinesDraft.push({ name: '', amount: '' });
+    renderBillLines();
+}
+
+function removeBillLine(i) {
+    billLinesDraft.splice(i, 1);
+    renderBillLines();
+}
+
+// Start a new bill with a line for each charge, line item and VAT in the current tariff
+function resetBillForm() {
+    document.getElementById('bill-form').reset();
+    document.getElementById('bill-id').value = '';
+    document.getElementById('bill-submit').textContent = 'Add Bill';
+    document.getElementById('bill-cancel').style.display = 'none';
+
+    const current = tariffs.find(t => t.current);
+    billLinesDraft = current
+        ? [...current.charges, ...current.line_items].map(item => ({ name: item.name, amount: '' })).concat([{ name: 'VAT', amount: '' }])
+        : [];
+    renderBillLines();
+}
+
+function editBill(id) {
+    const bill = bills.find(b => b.id === id);
+    if (!bill) return;
+
+    document.getElementById('bill-id').value = bill.id;
+    document.getElementById('bill-period-start').value = bill.period_start;
+    document.getElementById('bill-period-end').value = bill.period_end;
+    document.getElementById('bill-opening').value = bill.opening_reading ?? '';
+    document.getElementById('bill-closing').value = bill.closing_reading ?? '';
+    document.getElementById('bill-usage').value = bill.billed_usage;
+    document.getElementById('bill-total').value = bill.total;
+    if (bill.meter_id) document.getElementById('bill-meter').value = bill.meter_id;
+    document.getElementById('bill-estimated').checked = bill.estimated;
+    document.getElementById('bill-notes').value = bill.notes || '';
+    billLinesDraft = bill.line_items.map(line => ({ ...line }));
+    renderBillLines();
+
+    document.getElementById('bill-submit').textContent = 'Update Bill';
+    document.getElementById('bill-cancel').style.display = 'inline-block';
+}
+
+async function saveBill() {
+    const messageDiv = document.getElementById('bill-message');
+    const id = document.getElementById('bill-id').value;
+    const optionalNumber = (elementId) => {
+        const value = document.getElementById(elementId).value;
+        return value === '' ? null : parseFloat(value);
+    };
+
+    const bill = {
+        period_start: document.getElementById('bill-period-start').value,
+        period_end: document.getElementById('bill-period-end').value,
+        opening_reading: optionalNumber('bill-opening'),
+        closing_reading: optionalNumber('bill-closing'),
+        billed_usage: parseFloat(document.getElementById('bill-usage').value),
+        total: parseFloat(document.getElementById('bill-total').value),
+        meter_id: document.getElementById('bill-meter').value || null,
+        estimated: document.getElementById('bill-estimated').checked,
+        notes: document.getElementById('bill-notes').value || null,
+        // Lines left blank are not on this bill
+        line_items: billLinesDraft.filter(line => line.name && line.amount !== '')
+    };
+
+    try {
+        const response = await apiCall(id ? `${API_URL}/api/bills/${id}` : `${API_URL}/api/bills`, {
+            method: id ? 'PUT' : 'POST',
+            body: JSON.stringify(bill)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage(messageDiv, id ? 'Bill updated' : 'Bill added', 'success');
+            resetBillForm();
+            await loadBills();
+            showReconciliation(result.id);
+        } else {
+            showMessage(messageDiv, `Error: ${result.error || result.errors?.[0]?.msg}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error saving bill', 'error');
+        console.error('Error:', error);
+    }
+}
+
+async function deleteBill(id) {
+    if (!confirm('Delete this bill?')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/bills/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            document.getElementById('bill-reconciliation').innerHTML = '';
+            loadBills();
+        }
+    } catch (error) {
+        console.error('Error deleting bill:', error);
+    }
+}
+
+// Compare a bill with the usage and costs calculated from our readings,
+// highlighting variances beyond tolerance
+async function showReconciliation(id) {
+    const container = document.getElementById('bill-reconciliation');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/bills/${id}/reconciliation`);
+        const result = await response.json();
+        const { bill, usage, readings, totals, lines, flags } = result;
+
+        const format = (value, decimals) => value === null || value === undefined ? '-' : Number(value).toFixed(decimals);
+        const row = (label, billed, computed, variance, decimals, tolerance) => `
+            <div class="cost-label">${label}</div>
+            <div class="cost-value">${format(billed, decimals)}</div>
+            <div class="cost-value">${format(computed, decimals)}</div>
+            <div class="cost-value ${variance !== null && Math.abs(variance) > tolerance ? 'variance' : ''}">${format(variance, decimals)}</div>
+        `;
+        const readingRow = (label, comparison) => comparison
+            ? row(`${label}${comparison.date ? ` (yours on ${formatDate(comparison.date)})` : ''}`, comparison.billed, comparison.ours, comparison.variance, 3, 0.5)
+            : '';
+
+        container.innerHTML = `
+            <div class="statement-detail">
+                <h3>Bill ${formatDate(bill.period_start)} - ${formatDate(bill.period_end)}</h3>
+                ${flags.map(flag => `<div class="message error">${flag.message}</div>`).join('')}
+                ${flags.length === 0 ? '<div class="message success">The bill matches your readings and tariff</div>' : ''}
+
+                <div class="statement-table">
+                    <div class="cost-header">Item</div>
+                    <div class="cost-header">Billed</div>
+                    <div class="cost-header">Calculated</div>
+                    <div class="cost-header">Variance</div>
+                    ${row('Usage (kL)', usage.billed, usage.computed, usage.variance, 3, 0.5)}
+                    ${readingRow('Opening reading', readings.opening)}
+                    ${readingRow('Closing reading', readings.closing)}
+                    ${lines.map(line => row(`${line.name} (R)`, line.billed, line.computed, line.variance, 2, 1)).join('')}
+                    ${row('Total at billed usage (R)', totals.billed, totals.atBilledUsage, totals.rateVariance, 2, 1)}
+                    ${row('Total at your usage (R)', totals.billed, totals.computed, totals.variance, 2, 1)}
+                </div>
+                <p class="section-hint">Bill lines are compared with your tariff applied to the billed usage, so their variances show differences in rates.</p>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error reconciling bill:', error);
+    }
+}
+
+// Load settings
+async function loadSettings() {
+    try {
+        const response = await apiCall(`${API_URL}/api/settings`);
+        const settings = await response.json();
+
+        // Populate form fields
+        document.getElementById('billing-start').value = settings.billing_start_day || '1';
+        document.getElementById('billing-end').value = settings.billing_end_day || '31';
+        renderReminderSettings(settings);
+        document.getElementById('summary-weekly').checked = settings.summary_weekly === '1';
+        document.getElementById('summary-period').checked = settings.summary_period === '1';
+
+        await loadTariffs();
+        await loadDevices();
+    } catch (error) {
         console.error('Error loading settings:', error);
     }
 }
 
+// Load the selected utility's tariff versions and show the selected one (the current one by default)
+async function loadTariffs() {
+    try {
+        const response = await apiCall(`${API_URL}/api/tariffs?utility=${tariffUtility}`);
+        tariffs = await response.json();
+
+        if (!tariffs.some(t => t.id === selectedTariffId)) {
+            const current = tariffs.find(t => t.current) || tariffs[tariffs.length - 1];
+            selectedTariffId = current ? current.id : null;
+        }
+
+        renderTariffList();
+        if (selectedTariffId) {
+            selectTariff(selectedTariffId);
+        } else {
+            startTariff();
+        }
+        await loadTariffPresets();
+    } catch (error) {
+        console.error('Error loading tariffs:', error);
+    }
+}
+
+// Show another utility's tariffs
+function changeTariffUtility() {
+    tariffUtility = document.getElementById('tariff-utility').value;
+    selectedTariffId = null;
+    loadTariffs();
+}
+
+// Start the first tariff of a utility with a single charge
+function startTariff() {
+    document.getElementById('tariff-id').value = '';
+    document.getElementById('tariff-effective-from').value = '2000-01-01';
+    document.getElementById('tariff-vat-rate').value = 15;
+    document.getElementById('tariff-block-proration').value = 'monthly';
+    document.getElementById('tariff-type').value = 'blocks';
+    timeOfUseDraft = null;
+    tariffDraft = [{ name: utilities[tariffUtility].name, basic_charge: 0, vatable: true, blocks: [{ limit: null, rate: 0 }] }];
+    lineItemsDraft = [];
+    renderTariffEditor();
+}
+
+// Offer the presets for the selected utility
+async function loadTariffPresets() {
+    if (tariffPresets.length === 0) {
+        const response = await apiCall(`${API_URL}/api/tariffs/presets`);
+        tariffPresets = await response.json();
+    }
+
+    const presets = tariffPresets.filter(preset => preset.utility === tariffUtility);
+    document.getElementById('tariff-preset').innerHTML = presets.length > 0
+        ? presets.map(preset => `<option value="${preset.id}">${preset.name}</option>`).join('')
+        : `<option value="">No ${utilities[tariffUtility].name.toLowerCase()} presets</option>`;
+    showPresetNotes();
+}
+
+function showPresetNotes() {
+    const preset = tariffPresets.find(p => p.id === document.getElementById('tariff-preset').value);
+    document.getElementById('tariff-preset-notes').textContent = preset && preset.notes ? preset.notes : '';
+}
+
+async function exportTariff(id) {
+    const tariff = tariffs.find(t => t.id === id);
+    await downloadFile(`${API_URL}/api/tariffs/${id}/export`, `tariff-${tariffUtility}-${tariff ? tariff.effective_from : id}.json`);
+}
+
+// Add the selected preset as a new tariff version
+async function applyTariffPreset() {
+    const presetId = document.getElementById('tariff-preset').value;
+    if (!presetId) return;
+    await addTariffFrom(`${API_URL}/api/tariffs/presets/${presetId}`, {}, 'Preset added as a new tariff version');
+}
+
+// Import a tariff file as a new tariff version
+async function importTariff() {
+    const messageDiv = document.getElementById('tariff-message');
+    const file = document.getElementById('tariff-import-file').files[0];
+    if (!file) {
+        showMessage(messageDiv, 'Choose a tariff file to import', 'error');
+        return;
+    }
+
+    let tariff;
+    try {
+        tariff = JSON.parse(await file.text());
+    } catch (error) {
+        showMessage(messageDiv, 'The file is not valid JSON', 'error');
+        return;
+    }
+
+    if (await addTariffFrom(`${API_URL}/api/tariffs/import`, { tariff }, 'Tariff file imported as a new version')) {
+        document.getElementById('tariff-import-file').value = '';
+    }
+}
+
+// Post a preset or imported tariff, in force from the chosen date if one is set
+async function addTariffFrom(url, payload, successMessage) {
+    const messageDiv = document.getElementById('tariff-message');
+    const effectiveFrom = document.getElementById('tariff-import-effective-from').value;
+    if (effectiveFrom) payload.effective_from = effectiveFrom;
+
+    try {
+        const response = await apiCall(url, { method: 'POST', body: JSON.stringify(payload) });
+        const result = await response.json();
+
+        if (!response.ok) {
+            showMessage(messageDiv, `Error: ${result.error || result.errors?.[0]?.msg}`, 'error');
+            return false;
+        }
+
+        // Presets and files carry their own utility
+        tariffUtility = result.utility;
+        document.getElementById('tariff-utility').value = tariffUtility;
+        selectedTariffId = result.id;
+        showMessage(messageDiv, successMessage, 'success');
+        await loadTariffs();
+        return true;
+    } catch (error) {
+        showMessage(messageDiv, 'Error adding tariff', 'error');
+        console.error('Error:', error);
+        return false;
+    }
+}
+
+function renderTariffList() {
+    const today = new Date().toISOString().split('T')[0];
+
+    document.getElementById('tariff-list').innerHTML = tariffs.map(tariff => `
+        <div class="history-item ${tariff.id === selectedTariffId ? 'selected' : ''}">
+            <div class="history-info">
+                <div class="history-date">
+                    From ${formatDate(tariff.effective_from)}
+                    ${tariff.current ? '<span class="badge badge-info">Current</span>' : ''}
+                    ${tariff.type === 'time_of_use' ? '<span class="badge badge-info">Time of use</span>' : ''}
+                    ${tariff.effective_from > today ? '<span class="badge badge-warning">Future</span>' : ''}
+                </div>
+            </div>
+            <div class="history-actions">
+                <button class="btn-small" onclick="selectTariff(${tariff.id})">Edit</button>
+                <button class="btn-small" onclick="exportTariff(${tariff.id})">Export</button>
+                <button class="btn-danger" onclick="deleteTariff(${tariff.id})">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Load a tariff version into the editor
+function selectTariff(id) {
+    const tariff = tariffs.find(t => t.id === id);
+    if (!tariff) return;
+
+    selectedTariffId = id;
+    document.getElementById('tariff-id').value = tariff.id;
+    document.getElementById('tariff-effective-from').value = tariff.effective_from;
+    document.getElementById('tariff-vat-rate').value = tariff.vat_rate;
+    document.getElementById('tariff-block-proration').value = tariff.block_proration;
+    document.getElementById('tariff-type').value = tariff.type;
+    timeOfUseDraft = tariff.type === 'time_of_use' ? JSON.parse(JSON.stringify(tariff.time_of_use)) : null;
+    tariffDraft = JSON.parse(JSON.stringify(tariff.charges));
+    lineItemsDraft = JSON.parse(JSON.stringify(tariff.line_items));
+
+    renderTariffEditor();
+    renderTariffList();
+}
+
+// Render the charges being edited, each with its list of blocks (or rates per
+// season and time band), the time-of-use bands and seasons, and the line items
+function renderTariffEditor() {
+    const unit = utilities[tariffUtility].unit;
+    document.querySelectorAll('.tariff-unit').forEach(span => { span.textContent = unit; });
+
+    // Time of use is offered for electricity, or when a tariff already uses it
+    document.getElementById('tariff-type').closest('.form-group').style.display =
+        tariffUtility === 'electricity' || timeOfUseDraft ? 'block' : 'none';
+    document.getElementById('tariff-time-of-use').style.display = timeOfUseDraft ? 'block' : 'none';
+    document.getElementById('tariff-block-proration-group').style.display = timeOfUseDraft ? 'none' : 'block';
+    if (timeOfUseDraft) {
+        renderTimeOfUseEditor();
+    } else {
+        document.getElementById('tou-bands').innerHTML = '';
+        document.getElementById('tou-seasons').innerHTML = '';
+    }
+
+    document.getElementById('tariff-charges').innerHTML = tariffDraft.map((charge, ci) => `
+        <div class="tariff-charge">
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Charge</label>
+                    <input type="text" value="${charge.name}" placeholder="e.g. ${utilities[tariffUtility].name}" oninput="tariffDraft[${ci}].name = this.value" required>
+                </div>
+
+                <div class="form-group">
+                    <label>Basic Monthly Charge (R)</label>
+                    <input type="number" step="0.01" min="0" value="${charge.basic_charge}" oninput="tariffDraft[${ci}].basic_charge = this.value">
+                </div>
+            </div>
+
+            <div class="form-group checkbox-group">
+                <label><input type="checkbox" ${charge.vatable ? 'checked' : ''} onchange="tariffDraft[${ci}].vatable = this.checked"> VAT applies</label>
+            </div>
+
+            ${timeOfUseDraft ? renderBandRates(charge, ci, unit) : `
+            <h4>Blocks (per ${unit})</h4>
+            ${charge.blocks.map((block, bi) => {
+                const last = bi === charge.blocks.length - 1;
+                const from = bi === 0 ? 0 : charge.blocks[bi - 1].limit;
+                return `
+                    <div class="tariff-block">
+                        <label>
+                            <span id="block-start-${ci}-${bi}">${from}</span> -
+                            ${last
+                                ? 'and above'
+                                : `<input type="number" step="0.001" min="0" class="inline-input" value="${block.limit}" oninput="updateBlockLimit(${ci}, ${bi}, this.value)" required> ${unit}`}
+                        </label>
+                        <input type="number" step="0.01" min="0" placeholder="Rate" value="${block.rate}" oninput="tariffDraft[${ci}].blocks[${bi}].rate = this.value" required>
+                        <button type="button" class="btn-small" onclick="removeTariffBlock(${ci}, ${bi})">Remove</button>
+                    </div>
+                `;
+            }).join('')}
+
+            <button type="button" class="btn-small" onclick="addTariffBlock(${ci})">Add Block</button>
+            `}
+            <button type="button" class="btn-small" onclick="removeTariffCharge(${ci})">Remove Charge</button>
+        </div>
+    `).join('');
+
+    document.getElementById('tariff-line-items').innerHTML = lineItemsDraft.map((item, li) => `
+        <div class="tariff-block">
+            <input type="text" value="${item.name}" placeholder="e.g. Refuse" oninput="lineItemsDraft[${li}].name = this.value" required>
+            <select onchange="lineItemsDraft[${li}].type = this.value">
+                ${Object.entries(LINE_ITEM_TYPE_LABELS).map(([type, label]) => `
+                    <option value="${type}" ${item.type === type ? 'selected' : ''}>${type === 'per_kl' ? `Per ${unit} (R)` : label}</option>
+                `).join('')}
+            </select>
+            <input type="number" step="0.01" min="0" placeholder="Amount" value="${item.amount}" oninput="lineItemsDraft[${li}].amount = this.value" required>
+            <label><input type="checkbox" ${item.vatable ? 'checked' : ''} onchange="lineItemsDraft[${li}].vatable = this.checked"> VAT</label>
+            <button type="button" class="btn-small" onclick="removeTariffLineItem(${li})">Remove</button>
+        </div>
+    `).join('');
+}
+
+// A time-of-use charge's rates: a row per season, a column per time band
+function renderBandRates(charge, ci, unit) {
+    const { bands, seasons } = timeOfUseDraft;
+    return `
+        <h4>Rates (R per ${unit})</h4>
+        <table class="tou-rates">
+            <tr><th></th>${bands.map(band => `<th>${band.name}</th>`).join('')}</tr>
+            ${seasons.map(season => `
+                <tr>
+                    <th>${season.name}</th>
+                    ${bands.map(band => `
+                        <td><input type="number" step="0.0001" min="0" value="${charge.band_rates[season.key][band.key]}" oninput="tariffDraft[${ci}].band_rates['${season.key}']['${band.key}'] = this.value" required></td>
+                    `).join('')}
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// The time bands, and each season's months and hourly schedule per day type
+function renderTimeOfUseEditor() {
+    const { bands, seasons } = timeOfUseDraft;
+    const bandIndex = key => bands.findIndex(band => band.key === key);
+
+    document.getElementById('tou-bands').innerHTML = bands.map((band, i) => `
+        <div class="tariff-block">
+            <span class="tou-hour tou-band-${i % 4}">${band.name.charAt(0)}</span>
+            <input type="text" value="${band.name}" placeholder="e.g. Peak" oninput="timeOfUseDraft.bands[${i}].name = this.value" onchange="renderTariffEditor()" required>
+            <button type="button" class="btn-small" onclick="removeTouBand(${i})">Remove</button>
+        </div>
+    `).join('');
+
+    document.getElementById('tou-seasons').innerHTML = seasons.map((season, si) => `
+        <div class="tariff-charge">
+            <div class="tariff-block">
+                <input type="text" value="${season.name}" placeholder="e.g. Winter" oninput="timeOfUseDraft.seasons[${si}].name = this.value" onchange="renderTariffEditor()" required>
+                <button type="button" class="btn-small" onclick="removeTouSeason(${si})">Remove Season</button>
+            </div>
+            <div class="tou-months">
+                ${MONTH_NAMES.map((name, m) => `
+                    <label><input type="checkbox" ${season.months.includes(m + 1) ? 'checked' : ''} onchange="toggleTouMonth(${si}, ${m + 1}, this.checked)"> ${name}</label>
+                `).join('')}
+            </div>
+            <table class="tou-schedule">
+                <tr><th></th>${season.weekday.map((band, hour) => `<th>${String(hour).padStart(2, '0')}</th>`).join('')}</tr>
+                ${Object.entries(TOU_DAY_TYPE_LABELS).map(([dayType, label]) => `
+                    <tr>
+                        <th>${label}</th>
+                        ${season[dayType].map((key, hour) => `
+                            <td><button type="button" class="tou-hour tou-band-${bandIndex(key) % 4}" title="${bands[bandIndex(key)].name}" onclick="cycleTouHour(${si}, '${dayType}', ${hour})">${bands[bandIndex(key)].name.charAt(0)}</button></td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+    `).join('');
+}
+
+// Switch the tariff being edited between usage blocks and time of use,
+// carrying each charge's first rate over
+function changeTariffType() {
+    const type = document.getElementById('tariff-type').value;
+
+    if (type === 'time_of_use' && !timeOfUseDraft) {
+        timeOfUseDraft = defaultTimeOfUse();
+        tariffDraft.forEach(charge => {
+            charge.band_rates = bandRatesFilled(charge.blocks ? charge.blocks[0].rate : 0);
+            delete charge.blocks;
+        });
+    } else if (type === 'blocks' && timeOfUseDraft) {
+        const { bands, seasons } = timeOfUseDraft;
+        tariffDraft.forEach(charge => {
+            charge.blocks = [{ limit: null, rate: charge.band_rates[seasons[0].key][bands[0].key] }];
+            delete charge.band_rates;
+        });
+        timeOfUseDraft = null;
+    }
+    renderTariffEditor();
+}
+
+// Peak, standard and off-peak bands over a single all-year season, with
+// weekday peaks in the morning and evening and off-peak weekends
+function defaultTimeOfUse() {
+    const weekday = Array.from({ length: 24 }, (_, hour) => {
+        if ((hour >= 7 && hour < 10) || (hour >= 18 && hour < 20)) return 'peak';
+        if (hour >= 6 && hour < 22) return 'standard';
+        return 'off_peak';
+    });
+    return {
+        bands: [
+            { key: 'peak', name: 'Peak' },
+            { key: 'standard', name: 'Standard' },
+            { key: 'off_peak', name: 'Off-peak' }
+        ],
+        seasons: [{
+            key: 'all_year',
+            name: 'All year',
+            months: MONTH_NAMES.map((name, m) => m + 1),
+            weekday,
+            saturday: Array(24).fill('off_peak'),
+            sunday: Array(24).fill('off_peak')
+        }]
+    };
+}
+
+// Rates for every season and time band of the draft, all at one rate
+function bandRatesFilled(rate) {
+    const { bands, seasons } = timeOfUseDraft;
+    return Object.fromEntries(seasons.map(season => [
+        season.key,
+        Object.fromEntries(bands.map(band => [band.key, rate]))
+    ]));
+}
+
+function addTouBand() {
+    const key = `new_${++touKeyCounter}`;
+    timeOfUseDraft.bands.push({ key, name: '' });
+    tariffDraft.forEach(charge => {
+        Object.values(charge.band_rates).forEach(rates => { rates[key] = 0; });
+    });
+    renderTariffEditor();
+}
+
+// Remove a time band; its hours move to the first remaining band
+function removeTouBand(i) {
+    const { bands, seasons } = timeOfUseDraft;
+    if (bands.length === 1) return;
+
+    const [removed] = bands.splice(i, 1);
+    seasons.forEach(season => {
+        Object.keys(TOU_DAY_TYPE_LABELS).forEach(dayType => {
+            season[dayType] = season[dayType].map(key => key === removed.key ? bands[0].key : key);
+        });
+    });
+    tariffDraft.forEach(charge => {
+        Object.values(charge.band_rates).forEach(rates => { delete rates[removed.key]; });
+    });
+    renderTariffEditor();
+}
+
+// Add a season with the first season's schedule and rates and no months yet
+function addTouSeason() {
+    const first = timeOfUseDraft.seasons[0];
+    const key = `new_${++touKeyCounter}`;
+    timeOfUseDraft.seasons.push({
+        key,
+        name: '',
+        months: [],
+        ...Object.fromEntries(Object.keys(TOU_DAY_TYPE_LABELS).map(dayType => [dayType, [...first[dayType]]]))
+    });
+    tariffDraft.forEach(charge => {
+        charge.band_rates[key] = { ...charge.band_rates[first.key] };
+    });
+    renderTariffEditor();
+}
+
+function removeTouSeason(si) {
+    const { seasons } = timeOfUseDraft;
+    if (seasons.length === 1) return;
+
+    const [removed] = seasons.splice(si, 1);
+    tariffDraft.forEach(charge => { delete charge.band_rates[removed.key]; });
+    renderTariffEditor();
+}
+
+// Put a month in a season, taking it out of any other (each month is in one season)
+function toggleTouMonth(si, month, checked) {
+    timeOfUseDraft.seasons.forEach((season, i) => {
+        season.months = season.months.filter(m => m !== month);
+        if (checked && i === si) season.months.push(month);
+    });
+    renderTariffEditor();
+}
+
+// Move an hour of a season's schedule to the next time band
+function cycleTouHour(si, dayType, hour) {
+    const { bands, seasons } = timeOfUseDraft;
+    const schedule = seasons[si][dayType];
+    const next = (bands.findIndex(band => band.key === schedule[hour]) + 1) % bands.length;
+    schedule[hour] = bands[next].key;
+    renderTariffEditor();
+}
+
+// The time-of-use draft and charges keyed by band and season names, as saved
+function keyedTimeOfUse() {
+    const nameKey = name => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const { bands, seasons } = timeOfUseDraft;
+    const bandKeys = Object.fromEntries(bands.map(band => [band.key, nameKey(band.name)]));
+    const seasonKeys = Object.fromEntries(seasons.map(season => [season.key, nameKey(season.name)]));
+
+    return {
+        time_of_use: {
+            bands: bands.map(band => ({ key: bandKeys[band.key], name: band.name })),
+            seasons: seasons.map(season => ({
+                key: seasonKeys[season.key],
+                name: season.name,
+                months: season.months,
+                ...Object.fromEntries(Object.keys(TOU_DAY_TYPE_LABELS).map(dayType => [dayType, season[dayType].map(key => bandKeys[key])]))
+            }))
+        },
+        charges: tariffDraft.map(charge => ({
+            ...charge,
+            band_rates: Object.fromEntries(seasons.map(season => [
+                seasonKeys[season.key],
+                Object.fromEntries(bands.map(band => [bandKeys[band.key], charge.band_rates[season.key][band.key]]))
+            ]))
+        }))
+    };
+}
+
+// Update a block's upper limit and the start shown on the next block
+function updateBlockLimit(ci, bi, value) {
+    tariffDraft[ci].blocks[bi].limit = value;
+    const nextStart = document.getElementById(`block-start-${ci}-${bi + 1}`);
+    if (nextStart) nextStart.textContent = value || '?';
+}
+
+// Add a block below the open-ended top block
+function addTariffBlock(ci) {
+    const blocks = tariffDraft[ci].blocks;
+    const top = blocks[blocks.length - 1];
+    const previousLimit = blocks.length > 1 ? parseFloat(blocks[blocks.length - 2].limit) || 0 : 0;
+    blocks.splice(blocks.length - 1, 0, { limit: previousLimit + 10, rate: top.rate });
+    renderTariffEditor();
+}
+
+function removeTariffBlock(ci, bi) {
+    const blocks = tariffDraft[ci].blocks;
+    if (blocks.length === 1) return;
+    blocks.splice(bi, 1);
+    blocks[blocks.length - 1].limit = null;
+    renderTariffEditor();
+}
+
+function addTariffCharge() {
+    tariffDraft.push(timeOfUseDraft
+        ? { name: '', basic_charge: 0, band_rates: bandRatesFilled(0) }
+        : { name: '', basic_charge: 0, blocks: [{ limit: null, rate: 0 }] });
+    renderTariffEditor();
+}
+
+function removeTariffCharge(ci) {
+    tariffDraft.splice(ci, 1);
+    renderTariffEditor();
+}
+
+function addTariffLineItem() {
+    lineItemsDraft.push({ name: '', type: 'fixed', amount: 0, vatable: true });
+    renderTariffEditor();
+}
+
+function removeTariffLineItem(li) {
+    lineItemsDraft.splice(li, 1);
+    renderTariffEditor();
+}
+
+// Check block limits ascend, or every month has a season, before sending (the server validates too)
+function validateTariffDraft() {
+    if (timeOfUseDraft) {
+        const months = timeOfUseDraft.seasons.reduce((count, season) => count + season.months.length, 0);
+        return months === 12 ? null : 'Every month must be in a season';
+    }
+
+    for (const charge of tariffDraft) {
+        let previous = 0;
+        for (const block of charge.blocks.slice(0, -1)) {
+            if (!(parseFloat(block.limit) > previous)) {
+                return `${charge.name || 'Charge'}: block limits must be ascending`;
+            }
+            previous = parseFloat(block.limit);
+        }
+    }
+    return null;
+}
+
+// Save the form as a new tariff version from its effective date
+async function saveTariff() {
+    await submitTariff(`${API_URL}/api/tariffs`, 'POST', 'Tariff version added');
+}
+
+// Overwrite the selected tariff version (e.g. to correct a typo)
+async function updateTariff() {
+    const id = document.getElementById('tariff-id').value;
+    if (!id) return;
+    await submitTariff(`${API_URL}/api/tariffs/${id}`, 'PUT', 'Tariff version updated');
+}
+
+async function submitTariff(url, method, successMessage) {
+    const messageDiv = document.getElementById('tariff-message');
+
+    const error = validateTariffDraft();
+    if (error) {
+        showMessage(messageDiv, error, 'error');
+        return;
+    }
+
+    const timeOfUse = timeOfUseDraft ? keyedTimeOfUse() : null;
+
+    try {
+        const response = await apiCall(url, {
+            method,
+            body: JSON.stringify({
+                utility: tariffUtility,
+                effective_from: document.getElementById('tariff-effective-from').value,
+                type: timeOfUse ? 'time_of_use' : 'blocks',
+                time_of_use: timeOfUse ? timeOfUse.time_of_use : undefined,
+                charges: timeOfUse ? timeOfUse.charges : tariffDraft,
+                line_items: lineItemsDraft,
+                vat_rate: document.getElementById('tariff-vat-rate').value,
+                block_proration: document.getElementById('tariff-block-proration').value
+            })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            selectedTariffId = result.id;
+            showMessage(messageDiv, successMessage, 'success');
+            await loadTariffs();
+
+            if (document.getElementById('dashboard').classList.contains('active')) {
+                loadDashboard();
+            }
+        } else {
+            showMessage(messageDiv, `Error: ${result.error || result.errors?.[0]?.msg}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error saving tariff', 'error');
+        console.error('Error:', error);
+    }
+}
+
+async function deleteTariff(id) {
+    if (!confirm('Delete this tariff version? Periods it covered will be costed at the previous version.')) return;
+
+    const messageDiv = document.getElementById('tariff-message');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/tariffs/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            await loadTariffs();
+        } else {
+            const error = await response.json();
+            showMessage(messageDiv, `Error: ${error.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('Error deleting tariff:', error);
+    }
+}
+
+// Fill the reading reminder fields (days are 0 = Sunday to 6)
+function renderReminderSettings(settings) {
+    const days = (settings.reminder_days || '1').split(',');
+
+    document.getElementById('reminder-schedule').value = settings.reminder_schedule || 'off';
+    document.getElementById('reminder-time').value = settings.reminder_time || '07:00';
+    document.getElementById('reminder-weekday').innerHTML = WEEKDAY_NAMES
+        .map((name, day) => `<option value="${day}" ${String(day) === days[0] ? 'selected' : ''}>${name}</option>`)
+        .join('');
+    document.getElementById('reminder-days').innerHTML = WEEKDAY_NAMES
+        .map((name, day) => `
+            <label><input type="checkbox" value="${day}" ${days.includes(String(day)) ? 'checked' : ''}> ${name.slice(0, 3)}</label>
+        `).join('');
+    updateReminderForm();
+}
+
+function updateReminderForm() {
+    const schedule = document.getElementById('reminder-schedule').value;
+    document.getElementById('reminder-time').disabled = schedule === 'off';
+    document.getElementById('reminder-weekday-group').style.display = schedule === 'weekly' ? 'block' : 'none';
+    document.getElementById('reminder-days-group').style.display = schedule === 'days' ? 'block' : 'none';
+}
+
+// Email a weekly or billing period summary now
+async function previewSummary(type) {
+    const messageDiv = document.getElementById('settings-message');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/summaries/preview`, {
+            method: 'POST',
+            body: JSON.stringify({ type })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showMessage(messageDiv, result.message, 'success');
+        } else {
+            showMessage(messageDiv, result.error || result.errors?.[0]?.msg || 'Error sending summary', 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error sending summary', 'error');
+        console.error('Error:', error);
+    }
+}
+
 // Save settings
 async function saveSettings() {
     const settings = {
         billing_start_day: document.getElementById('billing-start').value,
         billing_end_day: document.getElementById('billing-end').value,
-        water_basic_monthly_cost: document.getElementById('water-basic').value,
-        water_block_1_limit: document.getElementById('water-block-1-limit').value,
-        water_block_1_rate: document.getElementById('water-block-1-rate').value,
-        water_block_2_limit: document.getElementById('water-block-2-limit').value,
-        water_block_2_rate: document.getElementById('water-block-2-rate').value,
-        water_block_3_limit: document.getElementById('water-block-3-limit').value,
-        water_block_3_rate: document.getElementById('water-block-3-rate').value,
-        water_block_4_limit: document.getElementById('water-block-4-limit').value,
-        water_block_4_rate: document.getElementById('water-block-4-rate').value,
-        water_block_5_rate: document.getElementById('water-block-5-rate').value,
-        sewage_block_1_limit: document.getElementById('sewage-block-1-limit').value,
-        sewage_block_1_rate: document.getElementById('sewage-block-1-rate').value,
-        sewage_block_2_limit: document.getElementById('sewage-block-2-limit').value,
-        sewage_block_2_rate: document.getElementById('sewage-block-2-rate').value,
-        sewage_block_3_limit: document.getElementById('sewage-block-3-limit').value,
-        sewage_block_3_rate: document.getElementById('sewage-block-3-rate').value,
-        sewage_block_4_rate: document.getElementById('sewage-block-4-rate').value
+        reminder_schedule: document.getElementById('reminder-schedule').value,
+        reminder_time: document.getElementById('reminder-time').value,
+        summary_weekly: document.getElementById('summary-weekly').checked ? '1' : '0',
+        summary_period: document.getElementById('summary-period').checked ? '1' : '0'
     };
 
+    if (settings.reminder_schedule === 'weekly') {
+        settings.reminder_days = document.getElementById('reminder-weekday').value;
+    } else if (settings.reminder_schedule === 'days') {
+        const days = [...document.querySelectorAll('#reminder-days input:checked')].map(input => input.value);
+        if (days.length === 0) {
+            showMessage(document.getElementById('settings-message'), 'Choose at least one day for reading reminders', 'error');
+            return;
+        }
+        settings.reminder_days = days.join(',');
+    }
+
     const messageDiv = document.getElementById('settings-message');
 
     try {
@@ -367,6 +2348,415 @@ async function saveSettings() {
     }
 }
 
+// Load the user's meters and fill the meter selectors
+// Load what meters can measure and their register formats
+async function loadMeterFormats() {
+    try {
+        const response = await apiCall(`${API_URL}/api/meters/formats`);
+        ({ utilities } = await response.json());
+    } catch (error) {
+        console.error('Error loading meter formats:', error);
+    }
+}
+
+async function loadMeters() {
+    try {
+        const response = await apiCall(`${API_URL}/api/meters`);
+        meters = await response.json();
+
+        const options = meters.map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+
+        // Combined views cover water meters; other utilities are shown per meter
+        const allLabel = meters.some(m => m.utility !== 'water') ? 'All water meters' : 'All meters';
+        for (const id of ['reading-meter', 'import-meter', 'bill-meter', 'device-meter']) {
+            const select = document.getElementById(id);
+            const current = select.value;
+            select.innerHTML = options;
+            if (meters.some(m => String(m.id) === current)) select.value = current;
+        }
+        for (const id of ['dashboard-meter', 'history-meter', 'alert-rule-meter']) {
+            const select = document.getElementById(id);
+            const current = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>${options}`;
+            if (meters.some(m => String(m.id) === current)) select.value = current;
+        }
+
+        // Prepaid tracking is only offered for electricity meters
+        const prepaidSelect = document.getElementById('prepaid-meter');
+        const prepaidCurrent = prepaidSelect.value;
+        const electricityMeters = meters.filter(m => m.utility === 'electricity');
+        prepaidSelect.innerHTML = electricityMeters.map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+        if (electricityMeters.some(m => String(m.id) === prepaidCurrent)) prepaidSelect.value = prepaidCurrent;
+        document.getElementById('prepaid-capture').style.display = electricityMeters.length > 0 ? 'block' : 'none';
+
+        updateReadingHint();
+        renderMeterList();
+    } catch (error) {
+        console.error('Error loading meters:', error);
+    }
+}
+
+function selectedMeter(selectId) {
+    const id = document.getElementById(selectId).value;
+    return meters.find(m => String(m.id) === id);
+}
+
+function meterName(meterId) {
+    const meter = meters.find(m => m.id === meterId);
+    return meter ? meter.name : 'Unknown meter';
+}
+
+// Unit of a meter's readings and usage (combined views without a meter are water)
+function meterUnit(meter) {
+    return (utilities[meter && meter.utility] || utilities.water).unit;
+}
+
+// List meters in the Settings tab
+function renderMeterList() {
+    document.getElementById('meter-list').innerHTML = meters.map(meter => `
+        <div class="history-item">
+            <div class="history-info">
+                <div class="history-date">${meter.name} <span class="badge badge-info">${utilities[meter.utility].name}</span> <span class="badge badge-info">${meter.type}</span>${meter.billed ? '' : ' <span class="badge badge-warning">Not billed</span>'}</div>
+                <div class="section-hint">Register: ${meter.register_format.replace('_', ' ')}, capacity ${meter.register_capacity_kl || utilities[meter.utility].registerCapacity} ${meterUnit(meter)}</div>
+            </div>
+            <div class="history-actions">
+                <button class="btn-small" onclick="editMeter(${meter.id})">Edit</button>
+                <button class="btn-danger" onclick="deleteMeter(${meter.id})">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Load a meter into the form for editing
+function editMeter(id) {
+    const meter = meters.find(m => m.id === id);
+    if (!meter) return;
+
+    document.getElementById('meter-id').value = meter.id;
+    document.getElementById('meter-name').value = meter.name;
+    document.getElementById('meter-utility').value = meter.utility;
+    updateMeterForm();
+    document.getElementById('meter-type').value = meter.type;
+    document.getElementById('meter-register-format').value = meter.register_format;
+    document.getElementById('meter-capacity').value = meter.register_capacity_kl || '';
+    document.getElementById('meter-billed').checked = !!meter.billed;
+    document.getElementById('meter-submit').textContent = 'Save Meter';
+    document.getElementById('meter-cancel').style.display = 'inline-block';
+}
+
+function resetMeterForm() {
+    document.getElementById('meter-form').reset();
+    document.getElementById('meter-id').value = '';
+    document.getElementById('meter-submit').textContent = 'Add Meter';
+    document.getElementById('meter-cancel').style.display = 'none';
+    updateMeterForm();
+}
+
+// Offer the register formats and capacity unit of the chosen utility
+function updateMeterForm() {
+    const utility = utilities[document.getElementById('meter-utility').value];
+    const format = document.getElementById('meter-register-format');
+
+    Array.from(format.options).forEach(option => {
+        option.hidden = !utility.registerFormats.includes(option.value);
+    });
+    if (!utility.registerFormats.includes(format.value)) {
+        format.value = utility.registerFormats[0];
+    }
+
+    document.getElementById('meter-capacity-label').textContent = `Register Capacity (${utility.unit})`;
+    document.getElementById('meter-capacity').placeholder = utility.registerCapacity;
+}
+
+// Create or update a meter
+async function saveMeter() {
+    const id = document.getElementById('meter-id').value;
+    const capacity = document.getElementById('meter-capacity').value;
+    const messageDiv = document.getElementById('meter-message');
+
+    const payload = {
+        name: document.getElementById('meter-name').value,
+        utility: document.getElementById('meter-utility').value,
+        type: document.getElementById('meter-type').value,
+        register_format: document.getElementById('meter-register-format').value,
+        register_capacity_kl: capacity ? parseFloat(capacity) : null,
+        billed: document.getElementById('meter-billed').checked
+    };
+
+    try {
+        const response = await apiCall(id ? `${API_URL}/api/meters/${id}` : `${API_URL}/api/meters`, {
+            method: id ? 'PUT' : 'POST',
+            body: JSON.stringify(payload)
+        });
+
+        if (response.ok) {
+            showMessage(messageDiv, id ? 'Meter updated' : 'Meter added', 'success');
+            resetMeterForm();
+            await loadMeters();
+        } else {
+            const error = await response.json();
+            showMessage(messageDiv, `Error: ${error.error || error.errors?.[0]?.msg}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error saving meter', 'error');
+        console.error('Error:', error);
+    }
+}
+
+// Delete a meter (only allowed once it has no readings)
+async function deleteMeter(id) {
+    if (!confirm('Are you sure you want to delete this meter?')) return;
+
+    const messageDiv = document.getElementById('meter-message');
+
+    try {
+        const response = await apiCall(`${API_URL}/api/meters/${id}`, { method: 'DELETE' });
+
+        if (response.ok) {
+            await loadMeters();
+        } else {
+            const error = await response.json();
+            showMessage(messageDiv, `Error: ${error.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('Error deleting meter:', error);
+    }
+}
+
+async function loadDevices() {
+    try {
+        const response = await apiCall(`${API_URL}/api/devices`);
+        devices = await response.json();
+        renderDeviceList();
+        renderValveOptions();
+    } catch (error) {
+        console.error('Error loading devices:', error);
+    }
+}
+
+// List devices in the Settings tab with their last contact and errors
+function renderDeviceList() {
+    const list = document.getElementById('device-list');
+    if (devices.length === 0) {
+        list.innerHTML = '<p>No devices registered.</p>';
+        return;
+    }
+
+    list.innerHTML = devices.map(device => `
+        <div class="history-item" id="device-${device.id}">
+            <div class="history-info">
+                <div class="history-date">
+                    ${device.name} <span class="badge badge-info">${device.meter_name || 'Unknown meter'}</span>
+                    ${device.revoked_at ? '<span class="badge badge-warning">Revoked</span>' : ''}
+                    ${device.has_valve ? `<span class="badge ${device.valve_state === 'closed' ? 'badge-warning' : 'badge-success'}">Valve ${device.valve_state || 'state unknown'}</span>` : ''}
+                </div>
+                <div class="section-hint">
+                    Key ${device.key_prefix}... |
+                    Last seen: ${device.last_seen_at ? formatTimestamp(device.last_seen_at) : 'never'} |
+                    ${device.reading_count} readings, ${device.error_count} errors
+                </div>
+                ${device.last_error ? `<div class="section-hint">Last error (${formatTimestamp(device.last_error_at)}): ${device.last_error}</div>` : ''}
+            </div>
+            <div class="history-actions">
+                ${device.has_valve && !device.revoked_at ? `
+                    <button class="btn-small" onclick="sendValveCommand(${device.id}, 'open')">Open Valve</button>
+                    <button class="btn-small" onclick="sendValveCommand(${device.id}, 'close')">Close Valve</button>
+                    <button class="btn-small" onclick="toggleDeviceCommands(${device.id})">Commands</button>
+                ` : ''}
+                <button class="btn-small" onclick="rotateDeviceKey(${device.id})">New Key</button>
+                ${device.revoked_at ? '' : `<button class="btn-small" onclick="revokeDevice(${device.id})">Revoke</button>`}
+                <button class="btn-danger" onclick="deleteDevice(${device.id})">Delete</button>
+            </div>
+            <div class="history-revisions"></div>
+        </div>
+    `).join('');
+}
+
+// Devices with a shut-off valve that can still receive commands
+function valveDevices() {
+    return devices.filter(device => device.has_valve && !device.revoked_at);
+}
+
+// Fill the alert rule form's valve selector
+function renderValveOptions() {
+    const select = document.getElementById('alert-rule-valve');
+    const current = select.value;
+    select.innerHTML = '<option value="">Don\'t close a valve</option>' + valveDevices()
+        .map(device => `<option value="${device.id}">Propose closing ${device.name}</option>`)
+        .join('');
+    if (valveDevices().some(device => String(device.id) === current)) select.value = current;
+}
+
+// Show a device's recent valve commands below it
+async function toggleDeviceCommands(id) {
+    const container = document.querySelector(`#device-${id} .history-revisions`);
+
+    if (container.innerHTML) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await apiCall(`${API_URL}/api/devices/${id}/commands`);
+        const commands = await response.json();
+
+        if (commands.length === 0) {
+            container.innerHTML = '<p>No commands sent.</p>';
+            return;
+        }
+
+        container.innerHTML = commands.map(command => `
+            <div class="revision-item">
+                <div class="revision-meta">${formatTimestamp(command.created_at)}${command.alert_id ? ' (from an alert)' : ''}</div>
+                <div>
+                    ${command.command === 'close' ? 'Close' : 'Open'} valve: ${COMMAND_STATE_LABELS[command.state]}
+                    ${command.completed_at ? ` at ${formatTimestamp(command.completed_at)}` : ''}
+                    ${command.message ? ` - ${command.message}` : ''}
+                    ${['unconfirmed', 'pending'].includes(command.state) ? `<button class="btn-small" onclick="cancelValveCommand(${id}, ${command.id})">Cancel</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading device commands:', error);
+    }
+}
+
+// Queue a valve command for a device, after confirming
+async function sendValveCommand(id, command) {
+    const device = devices.find(d => d.id === id);
+    const question = command === 'close'
+        ? `Close the water valve on ${device.name}? Water will stop flowing until it is opened again.`
+        : `Open the water valve on ${device.name}?`;
+    if (!confirm(question)) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/devices/${id}/commands`, {
+            method: 'POST',
+            body: JSON.stringify({ command })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            alert(`Error: ${result.error || result.errors?.[0]?.msg}`);
+            return;
+        }
+        await loadDevices();
+    } catch (error) {
+        console.error('Error sending valve command:', error);
+    }
+}
+
+// Confirm a valve shut-off proposed by an alert
+async function confirmValveCommand(deviceId, commandId) {
+    if (!confirm('Close the water valve? Water will stop flowing until it is opened again.')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/devices/${deviceId}/commands/${commandId}/confirm`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) alert(`Error: ${result.error}`);
+        loadAlerts();
+    } catch (error) {
+        console.error('Error confirming valve command:', error);
+    }
+}
+
+async function cancelValveCommand(deviceId, commandId) {
+    try {
+        const response = await apiCall(`${API_URL}/api/devices/${deviceId}/commands/${commandId}/cancel`, { method: 'POST' });
+        if (response.ok) {
+            if (isTabActive('alerts')) loadAlerts();
+            if (isTabActive('settings')) await loadDevices();
+        }
+    } catch (error) {
+        console.error('Error cancelling valve command:', error);
+    }
+}
+
+// Show a new API key; it is not shown again once dismissed
+function showDeviceKey(device) {
+    const box = document.getElementById('device-key');
+    box.innerHTML = `
+        <p><strong>API key for ${device.name}</strong> - copy it now, it will not be shown again:</p>
+        <code>${device.api_key}</code>
+        <button type="button" class="btn-small" onclick="hideDeviceKey()">Done</button>
+    `;
+    box.style.display = 'block';
+}
+
+function hideDeviceKey() {
+    const box = document.getElementById('device-key');
+    box.innerHTML = '';
+    box.style.display = 'none';
+}
+
+async function saveDevice() {
+    const messageDiv = document.getElementById('device-message');
+    const payload = {
+        name: document.getElementById('device-name').value,
+        meter_id: parseInt(document.getElementById('device-meter').value),
+        has_valve: document.getElementById('device-has-valve').checked
+    };
+
+    try {
+        const response = await apiCall(`${API_URL}/api/devices`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            document.getElementById('device-form').reset();
+            showDeviceKey(result);
+            await loadDevices();
+        } else {
+            showMessage(messageDiv, `Error: ${result.error || result.errors?.[0]?.msg}`, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Error adding device', 'error');
+        console.error('Error:', error);
+    }
+}
+
+async function rotateDeviceKey(id) {
+    if (!confirm('Issue a new API key? The current key will stop working immediately.')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/devices/${id}/rotate-key`, { method: 'POST' });
+        if (response.ok) {
+            showDeviceKey(await response.json());
+            await loadDevices();
+        }
+    } catch (error) {
+        console.error('Error rotating device key:', error);
+    }
+}
+
+async function revokeDevice(id) {
+    if (!confirm('Revoke this device? It will no longer be able to send readings.')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/devices/${id}/revoke`, { method: 'POST' });
+        if (response.ok) {
+            await loadDevices();
+        }
+    } catch (error) {
+        console.error('Error revoking device:', error);
+    }
+}
+
+// Delete a device (readings it sent are kept)
+async function deleteDevice(id) {
+    if (!confirm('Are you sure you want to delete this device? Its readings are kept.')) return;
+
+    try {
+        const response = await apiCall(`${API_URL}/api/devices/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            await loadDevices();
+        }
+    } catch (error) {
+        console.error('Error deleting device:', error);
+    }
+}
+
 // Helper function to show messages
 function showMessage(element, message, type) {
     element.textContent = message;
@@ -378,7 +2768,25 @@ function showMessage(element, message, type) {
     }, 3000);
 }
 
+// Convert a meter reading to kiloliters using the meter's register format
+// 7-digit readings have decimal liters as the last digit: 1287309 → 128730.9 L → 128.7309 kL
+function toKiloliters(value, format = 'tenths_liters') {
+    const reading = parseFloat(value);
+    if (format === 'liters') {
+        return reading / 1000;
+    }
+    if (format === 'tenths_liters' && reading > 1000) {
+        return reading / 10 / 1000;
+    }
+    return reading;
+}
+
 // Helper function to format dates
+// Format a database timestamp (UTC, "YYYY-MM-DD HH:MM:SS") in local time
+function formatTimestamp(timestamp) {
+    return new Date(timestamp.replace(' ', 'T') + 'Z').toLocaleString();
+}
+
 function formatDate(dateStr) {
     const date = new Date(dateStr);
     const options = { year: 'numeric', month: 'short', day: 'numeric' };
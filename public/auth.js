@@ -21,14 +21,21 @@ async function login(username, password) {
     localStorage.setItem(AUTH_TOKEN_KEY, data.token);
     localStorage.setItem(AUTH_USER_KEY, JSON.stringify(data.user));
 
-    // Redirect to main app
-    window.location.href = '/';
+    // Redirect to main app, or back to the page that required login
+    window.location.href = nextPage();
+}
+
+// Page to return to after login (only same-site paths from ?next=)
+function nextPage() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return next && next.startsWith('/') && !next.startsWith('//') ? next : '/';
 }
 
 // Register new user
-async function register(username, password, email) {
+async function register(username, password, email, tariffPreset) {
     const body = { username, password };
     if (email) body.email = email;
+    if (tariffPreset) body.tariff_preset = tariffPreset;
 
     const response = await fetch('/api/auth/register', {
         method: 'POST',
@@ -123,7 +130,9 @@ async function apiCall(url, options = {}) {
 // Require authentication - redirect to login if not authenticated
 async function requireAuth() {
     if (!isAuthenticated()) {
-        window.location.href = '/login.html';
+        // Come back here after login (e.g. links from reminder emails)
+        const next = window.location.pathname + window.location.search;
+        window.location.href = next === '/' ? '/login.html' : `/login.html?next=${encodeURIComponent(next)}`;
         return false;
     }
 
@@ -0,0 +1,256 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveMeter } = require('../utils/meters');
+const { PREPAID_UTILITY } = require('../utils/prepaid');
+const {
+    ALERT_METRICS,
+    ALERT_PERIODS,
+    ALERT_CONDITIONS,
+    ALERT_STATES,
+    evaluateAlertRules
+} = require('../utils/alerts');
+
+const router = express.Router();
+
+// Validation rules (PUT allows partial updates)
+function ruleValidation(partial) {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Rule name must be 1-50 characters'),
+        field('period')
+            .isIn(ALERT_PERIODS)
+            .withMessage(`Period must be one of: ${ALERT_PERIODS.join(', ')}`),
+        field('threshold')
+            .isFloat({ gt: 0 })
+            .withMessage('Threshold must be a positive number'),
+        body('metric')
+            .optional()
+            .isIn(ALERT_METRICS)
+            .withMessage(`Metric must be one of: ${ALERT_METRICS.join(', ')}`),
+        body('condition')
+            .optional()
+            .isIn(ALERT_CONDITIONS)
+            .withMessage(`Condition must be one of: ${ALERT_CONDITIONS.join(', ')}`),
+        body('meter_id')
+            .optional({ values: 'null' })
+            .isInt()
+            .withMessage('Invalid meter'),
+        body(['enabled', 'email'])
+            .optional()
+            .isBoolean()
+            .withMessage('Enabled and email must be true or false'),
+        body('valve_device_id')
+            .optional({ values: 'null' })
+            .isInt()
+            .withMessage('Invalid valve device')
+    ];
+}
+
+// A device with a valve the user owns, for rules that propose closing it
+function getValveDevice(userId, deviceId) {
+    return dbGet("SELECT id FROM devices WHERE id = ? AND user_id = ? AND has_valve = 1", [deviceId, userId]);
+}
+
+// Cost is only known per billing period, and has no usage average to deviate
+// from. Prepaid units left are checked daily and alert when they fall below.
+function checkRule(rule) {
+    if (rule.metric === 'cost' && (rule.period !== 'monthly' || rule.condition !== 'above')) {
+        return 'Cost rules must use the monthly period and the above condition';
+    }
+    if (rule.metric === 'prepaid_days' && (rule.period !== 'daily' || rule.condition !== 'below')) {
+        return 'Prepaid rules must use the daily period and the below condition';
+    }
+    if (rule.metric !== 'prepaid_days' && rule.condition === 'below') {
+        return 'Only prepaid rules can use the below condition';
+    }
+    return null;
+}
+
+// Check the meter a rule is for: the user must own it, and prepaid rules need an
+// electricity meter. Resolves to null, or { status, error } for the response.
+async function checkRuleMeter(userId, metric, meterId) {
+    const meter = await resolveMeter(userId, meterId);
+    if (!meter) return { status: 404, error: 'Meter not found' };
+    if (metric === 'prepaid_days' && meter.utility !== PREPAID_UTILITY) {
+        return { status: 400, error: 'Prepaid rules are only available for electricity meters' };
+    }
+    return null;
+}
+
+// GET /api/alerts - List alerts, newest first (optionally ?state=open|acknowledged)
+router.get('/', authenticateToken, [
+    query('state').optional().isIn(ALERT_STATES).withMessage(`State must be one of: ${ALERT_STATES.join(', ')}`)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        // Valve shut-offs proposed by the alert are included with their state
+        let sql = `SELECT a.*, r.name AS rule_name, m.name AS meter_name,
+                          c.id AS command_id, c.state AS command_state, c.device_id AS command_device_id, d.name AS valve_name
+                   FROM alerts a
+                   LEFT JOIN alert_rules r ON r.id = a.rule_id
+                   LEFT JOIN meters m ON m.id = a.meter_id
+                   LEFT JOIN device_commands c ON c.alert_id = a.id
+                   LEFT JOIN devices d ON d.id = c.device_id
+                   WHERE a.user_id = ?`;
+        const params = [req.user.id];
+        if (req.query.state) {
+            sql += " AND a.state = ?";
+            params.push(req.query.state);
+        }
+        sql += " ORDER BY a.created_at DESC, a.id DESC LIMIT 200";
+
+        res.json(await dbAll(sql, params));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/alerts/check - Evaluate the user's rules now
+router.post('/check', authenticateToken, async (req, res) => {
+    try {
+        res.json({ alerts: await evaluateAlertRules(req.user.id) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/alerts/:id/acknowledge - Mark an alert as seen
+router.post('/:id/acknowledge', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun(
+            "UPDATE alerts SET state = 'acknowledged', acknowledged_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND state = 'open'",
+            [req.params.id, req.user.id]
+        );
+        if (result.changes === 0) {
+            const alert = await dbGet("SELECT id FROM alerts WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+            if (!alert) {
+                return res.status(404).json({ error: 'Alert not found' });
+            }
+        }
+        res.json(await dbGet("SELECT * FROM alerts WHERE id = ?", [req.params.id]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/alerts/rules - List the user's alert rules
+router.get('/rules', authenticateToken, async (req, res) => {
+    try {
+        const rules = await dbAll(
+            `SELECT r.*, m.name AS meter_name, d.name AS valve_name FROM alert_rules r
+             LEFT JOIN meters m ON m.id = r.meter_id
+             LEFT JOIN devices d ON d.id = r.valve_device_id
+             WHERE r.user_id = ? ORDER BY r.id`,
+            [req.user.id]
+        );
+        res.json(rules);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/alerts/rules - Create an alert rule (meter_id null covers all meters;
+// with valve_device_id, each alert proposes closing that device's valve)
+router.post('/rules', authenticateToken, ruleValidation(false), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, period, threshold, metric = 'usage', condition = 'above', meter_id = null, enabled = true, email = true,
+        valve_device_id = null } = req.body;
+
+    try {
+        const error = checkRule({ metric, period, condition });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const meterError = meter_id !== null && await checkRuleMeter(req.user.id, metric, meter_id);
+        if (meterError) {
+            return res.status(meterError.status).json({ error: meterError.error });
+        }
+        if (valve_device_id !== null && !(await getValveDevice(req.user.id, valve_device_id))) {
+            return res.status(404).json({ error: 'Valve device not found' });
+        }
+
+        const result = await dbRun(
+            `INSERT INTO alert_rules (user_id, meter_id, name, metric, period, condition, threshold, enabled, email, valve_device_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, meter_id, name, metric, period, condition, threshold, enabled ? 1 : 0, email ? 1 : 0, valve_device_id]
+        );
+        res.status(201).json(await dbGet("SELECT * FROM alert_rules WHERE id = ?", [result.lastID]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/alerts/rules/:id - Update an alert rule
+router.put('/rules/:id', authenticateToken, ruleValidation(true), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const rule = await dbGet("SELECT * FROM alert_rules WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        const updated = { ...rule };
+        for (const field of ['name', 'metric', 'period', 'condition', 'threshold', 'meter_id', 'valve_device_id']) {
+            if (req.body[field] !== undefined) updated[field] = req.body[field];
+        }
+        for (const field of ['enabled', 'email']) {
+            if (req.body[field] !== undefined) updated[field] = req.body[field] ? 1 : 0;
+        }
+
+        const error = checkRule(updated);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const meterError = updated.meter_id !== null && await checkRuleMeter(req.user.id, updated.metric, updated.meter_id);
+        if (meterError) {
+            return res.status(meterError.status).json({ error: meterError.error });
+        }
+        if (req.body.valve_device_id !== undefined && req.body.valve_device_id !== null &&
+            !(await getValveDevice(req.user.id, req.body.valve_device_id))) {
+            return res.status(404).json({ error: 'Valve device not found' });
+        }
+
+        await dbRun(
+            `UPDATE alert_rules SET meter_id = ?, name = ?, metric = ?, period = ?, condition = ?, threshold = ?, enabled = ?, email = ?,
+                 valve_device_id = ?
+             WHERE id = ?`,
+            [updated.meter_id, updated.name, updated.metric, updated.period, updated.condition, updated.threshold,
+                updated.enabled, updated.email, updated.valve_device_id, rule.id]
+        );
+        res.json(await dbGet("SELECT * FROM alert_rules WHERE id = ?", [rule.id]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/alerts/rules/:id - Delete an alert rule (its past alerts are kept)
+router.delete('/rules/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun("DELETE FROM alert_rules WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json({ message: 'Alert rule deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { DEFAULT_UTILITY, getUserMeters, resolveMeter } = require('../utils/meters');
+const { MS_PER_DAY, formatISODate } = require('../utils/statistics');
+const { DEFAULT_NIGHT_WINDOW, LEAK_SCORE_THRESHOLD, analyzeMeter } = require('../utils/leaks');
+
+const router = express.Router();
+
+// Days analysed when no range is given, and the longest range analysed at once
+const DEFAULT_LEAK_DAYS = 14;
+const MAX_LEAK_DAYS = 92;
+
+const leakValidation = [
+    query(['start_date', 'end_date'])
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Dates must be in YYYY-MM-DD format'),
+    query(['night_start', 'night_end'])
+        .optional()
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Night window times must be in HH:MM format'),
+    query('meter_id')
+        .optional()
+        .isInt()
+        .withMessage('Invalid meter')
+];
+
+function parseDate(str) {
+    const [year, month, day] = str.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// GET /api/analysis/leaks - Leak likelihood per day and water meter
+// Query: start_date, end_date (default the last 14 days), meter_id,
+// night_start, night_end (default 00:00-05:00)
+router.get('/leaks', authenticateToken, leakValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const today = new Date();
+    const endDate = req.query.end_date ? parseDate(req.query.end_date) : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const startDate = req.query.start_date
+        ? parseDate(req.query.start_date)
+        : new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - DEFAULT_LEAK_DAYS + 1);
+    if (startDate > endDate) {
+        return res.status(400).json({ error: 'Start date must not be after end date' });
+    }
+    if (Math.round((endDate - startDate) / MS_PER_DAY) + 1 > MAX_LEAK_DAYS) {
+        return res.status(400).json({ error: `Leak analysis is limited to ${MAX_LEAK_DAYS} days` });
+    }
+
+    const window = {
+        start: req.query.night_start || DEFAULT_NIGHT_WINDOW.start,
+        end: req.query.night_end || DEFAULT_NIGHT_WINDOW.end
+    };
+
+    try {
+        let meters;
+        if (req.query.meter_id) {
+            const meter = await resolveMeter(req.user.id, req.query.meter_id);
+            if (!meter) {
+                return res.status(404).json({ error: 'Meter not found' });
+            }
+            if (meter.utility !== DEFAULT_UTILITY) {
+                return res.status(400).json({ error: 'Leak detection is only available for water meters' });
+            }
+            meters = [meter];
+        } else {
+            meters = await getUserMeters(req.user.id, DEFAULT_UTILITY);
+        }
+
+        const results = [];
+        for (const meter of meters) {
+            results.push(await analyzeMeter(req.user.id, meter, startDate, endDate, window));
+        }
+
+        res.json({
+            start: formatISODate(startDate),
+            end: formatISODate(endDate),
+            nightWindow: window,
+            threshold: LEAK_SCORE_THRESHOLD,
+            suspected: results.some(result => result.suspectedDays.length > 0),
+            meters: results
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
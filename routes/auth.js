@@ -4,6 +4,8 @@ const { body, validationResult } = require('express-validator');
 const { db, initializeUserSettings } = require('../config/database');
 const { generateToken, authenticateToken, generateResetToken, hashToken } = require('../middleware/auth');
 const { sendPasswordResetEmail } = require('../utils/email');
+const { DEFAULT_UTILITY, createDefaultMeter } = require('../utils/meters');
+const { createInitialTariff, getTariffPreset, documentUtility } = require('../utils/tariffs');
 
 const router = express.Router();
 const BCRYPT_ROUNDS = 12;
@@ -23,7 +25,11 @@ const registerValidation = [
         .optional()
         .isEmail()
         .withMessage('Invalid email format')
-        .normalizeEmail()
+        .normalizeEmail(),
+    body('tariff_preset')
+        .optional()
+        .custom(id => getTariffPreset(id) !== null && documentUtility(getTariffPreset(id)) === DEFAULT_UTILITY)
+        .withMessage('Unknown water tariff preset')
 ];
 
 const loginValidation = [
@@ -38,7 +44,7 @@ router.post('/register', registerValidation, async (req, res) => {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, password, email } = req.body;
+    const { username, password, email, tariff_preset } = req.body;
 
     try {
         // Check if username already exists
@@ -82,8 +88,10 @@ router.post('/register', registerValidation, async (req, res) => {
             );
         });
 
-        // Initialize default settings for new user
+        // Initialize default settings, meter and tariff for new user
         await initializeUserSettings(result.id);
+        await createDefaultMeter(result.id);
+        await createInitialTariff(result.id, tariff_preset);
 
         // Generate token
         const token = generateToken({ id: result.id, username });
@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveMeter } = require('../utils/meters');
+const { parseBill, reconcileBill } = require('../utils/bills');
+
+const router = express.Router();
+
+const BILL_FIELDS = ['meter_id', 'period_start', 'period_end', 'opening_reading', 'closing_reading',
+    'billed_usage', 'line_items', 'total', 'estimated', 'notes'];
+
+// Validation rules (PUT allows partial updates)
+function billValidation(partial) {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('period_start')
+            .matches(/^\d{4}-\d{2}-\d{2}$/)
+            .withMessage('Period start must be in YYYY-MM-DD format'),
+        field('period_end')
+            .matches(/^\d{4}-\d{2}-\d{2}$/)
+            .withMessage('Period end must be in YYYY-MM-DD format'),
+        field('billed_usage')
+            .isFloat({ min: 0 })
+            .withMessage('Billed usage must be a positive number'),
+        field('total')
+            .isFloat()
+            .withMessage('Total must be a number'),
+        body(['opening_reading', 'closing_reading'])
+            .optional({ values: 'null' })
+            .isFloat({ min: 0 })
+            .withMessage('Readings must be positive numbers'),
+        body('meter_id')
+            .optional({ values: 'null' })
+            .isInt()
+            .withMessage('Invalid meter'),
+        body('line_items')
+            .optional()
+            .custom(lines => {
+                if (!Array.isArray(lines)) throw new Error('Line items must be a list');
+                for (const line of lines) {
+                    if (!line || typeof line.name !== 'string' || !line.name.trim()) {
+                        throw new Error('Each line item needs a name');
+                    }
+                    if (line.amount === '' || line.amount === null || isNaN(parseFloat(line.amount))) {
+                        throw new Error(`${line.name}: amount must be a number`);
+                    }
+                }
+                return true;
+            }),
+        body('estimated')
+            .optional()
+            .isBoolean()
+            .withMessage('Estimated must be true or false'),
+        body('notes')
+            .optional({ values: 'null' })
+            .isLength({ max: 500 })
+            .withMessage('Notes must be at most 500 characters')
+    ];
+}
+
+// Column values for a bill from the request body, on top of the existing bill for updates
+async function billValues(userId, input, existing = {}) {
+    const bill = { opening_reading: null, closing_reading: null, line_items: '[]', estimated: 0, notes: null, meter_id: null, ...existing };
+    for (const name of BILL_FIELDS) {
+        if (input[name] !== undefined) bill[name] = input[name];
+    }
+
+    if (bill.period_end < bill.period_start) {
+        const err = new Error('Period end must not be before period start');
+        err.status = 400;
+        throw err;
+    }
+    if (input.meter_id !== undefined && input.meter_id !== null && !(await resolveMeter(userId, input.meter_id))) {
+        const err = new Error('Meter not found');
+        err.status = 404;
+        throw err;
+    }
+
+    if (input.line_items !== undefined) {
+        bill.line_items = JSON.stringify(input.line_items.map(line => ({ name: line.name.trim(), amount: parseFloat(line.amount) })));
+    }
+    bill.estimated = bill.estimated ? 1 : 0;
+    return bill;
+}
+
+// GET /api/bills - List entered bills, newest first
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const rows = await dbAll("SELECT * FROM bills WHERE user_id = ? ORDER BY period_start DESC", [req.user.id]);
+        res.json(rows.map(parseBill));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/bills/:id - A single bill
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const row = await dbGet("SELECT * FROM bills WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!row) {
+            return res.status(404).json({ error: 'Bill not found' });
+        }
+        res.json(parseBill(row));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/bills/:id/reconciliation - Compare a bill with the computed usage and costs
+router.get('/:id/reconciliation', authenticateToken, async (req, res) => {
+    try {
+        const row = await dbGet("SELECT * FROM bills WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!row) {
+            return res.status(404).json({ error: 'Bill not found' });
+        }
+        res.json(await reconcileBill(req.user.id, parseBill(row)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/bills - Enter a municipal bill
+router.post('/', authenticateToken, billValidation(false), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const bill = await billValues(req.user.id, req.body);
+        const result = await dbRun(
+            `INSERT INTO bills (user_id, meter_id, period_start, period_end, opening_reading, closing_reading, billed_usage, line_items, total, estimated, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, bill.meter_id, bill.period_start, bill.period_end, bill.opening_reading, bill.closing_reading,
+                bill.billed_usage, bill.line_items, bill.total, bill.estimated, bill.notes]
+        );
+        res.status(201).json(parseBill(await dbGet("SELECT * FROM bills WHERE id = ?", [result.lastID])));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// PUT /api/bills/:id - Correct a bill
+router.put('/:id', authenticateToken, billValidation(true), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const existing = await dbGet("SELECT * FROM bills WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!existing) {
+            return res.status(404).json({ error: 'Bill not found' });
+        }
+
+        const bill = await billValues(req.user.id, req.body, existing);
+        await dbRun(
+            `UPDATE bills SET meter_id = ?, period_start = ?, period_end = ?, opening_reading = ?, closing_reading = ?,
+             billed_usage = ?, line_items = ?, total = ?, estimated = ?, notes = ? WHERE id = ?`,
+            [bill.meter_id, bill.period_start, bill.period_end, bill.opening_reading, bill.closing_reading,
+                bill.billed_usage, bill.line_items, bill.total, bill.estimated, bill.notes, existing.id]
+        );
+        res.json(parseBill(await dbGet("SELECT * FROM bills WHERE id = ?", [existing.id])));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/bills/:id - Delete a bill
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun("DELETE FROM bills WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Bill not found' });
+        }
+        res.json({ message: 'Bill deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
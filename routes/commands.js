@@ -0,0 +1,56 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateDevice } = require('../middleware/auth');
+const { recordDeviceActivity } = require('../utils/devices');
+const { takePendingCommands, acknowledgeCommand } = require('../utils/commands');
+
+const router = express.Router();
+
+// Device-side command channel, authenticated with the device's API key like
+// POST /api/ingest. Devices poll for commands, carry them out and acknowledge them.
+
+// GET /api/device/commands - Pending valve commands for the device, oldest
+// first, as [{ id, command, created_at }]. Each command is returned once.
+router.get('/', authenticateDevice, async (req, res) => {
+    try {
+        await recordDeviceActivity(req.device, 0, 0);
+        const commands = await takePendingCommands(req.device);
+        res.json(commands.map(({ id, command, created_at }) => ({ id, command, created_at })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/device/commands/:id/ack - Report a command's outcome:
+// { status: 'done' | 'failed', message? }
+router.post('/:id/ack', authenticateDevice, [
+    body('status')
+        .isIn(['done', 'failed'])
+        .withMessage('Status must be done or failed'),
+    body('message')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage('Message must be at most 200 characters')
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const ack = await acknowledgeCommand(req.device, parseInt(req.params.id), req.body.status, req.body.message || null);
+        if (!ack) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+        const { command, recorded } = ack;
+        if (recorded && req.body.status === 'failed') {
+            await recordDeviceActivity(req.device, 0, 1, `Valve ${command.command} failed: ${req.body.message || 'no details'}`);
+        }
+        res.json({ id: command.id, command: command.command, state: command.state });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
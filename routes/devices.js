@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveMeter } = require('../utils/meters');
+const { generateDeviceKey } = require('../utils/devices');
+const {
+    VALVE_COMMANDS,
+    getCommand,
+    queueCommand,
+    confirmCommand,
+    cancelCommand,
+    getDeviceCommands
+} = require('../utils/commands');
+
+const router = express.Router();
+
+// Columns returned to the client (never the key hash)
+const DEVICE_COLUMNS = `d.id, d.meter_id, m.name AS meter_name, d.name, d.key_prefix, d.revoked_at,
+    d.last_seen_at, d.reading_count, d.error_count, d.last_error, d.last_error_at, d.has_valve, d.valve_state,
+    d.created_at`;
+
+function getDevice(id, userId) {
+    return dbGet(
+        `SELECT ${DEVICE_COLUMNS} FROM devices d LEFT JOIN meters m ON m.id = d.meter_id
+         WHERE d.id = ? AND d.user_id = ?`,
+        [id, userId]
+    );
+}
+
+// Validation rules (PUT allows partial updates)
+function deviceValidation(partial) {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Device name must be 1-50 characters'),
+        field('meter_id')
+            .isInt()
+            .withMessage('Invalid meter'),
+        body('has_valve')
+            .optional()
+            .isBoolean()
+            .withMessage('Has valve must be true or false')
+    ];
+}
+
+// Look up a device's command by ID
+async function getDeviceCommand(device, commandId) {
+    const command = await getCommand(commandId);
+    return command && command.device_id === device.id ? command : null;
+}
+
+// GET /api/devices - List the user's devices with their last contact and error counts
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const devices = await dbAll(
+            `SELECT ${DEVICE_COLUMNS} FROM devices d LEFT JOIN meters m ON m.id = d.meter_id
+             WHERE d.user_id = ? ORDER BY d.id`,
+            [req.user.id]
+        );
+        res.json(devices);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/devices - Register a device for a meter. The API key is only
+// returned here (and when rotated); it cannot be retrieved later.
+router.post('/', authenticateToken, deviceValidation(false), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const meter = await resolveMeter(req.user.id, req.body.meter_id);
+        if (!meter) {
+            return res.status(404).json({ error: 'Meter not found' });
+        }
+
+        const { key, hash, prefix } = generateDeviceKey();
+        const result = await dbRun(
+            "INSERT INTO devices (user_id, meter_id, name, key_hash, key_prefix, has_valve) VALUES (?, ?, ?, ?, ?, ?)",
+            [req.user.id, meter.id, req.body.name, hash, prefix, req.body.has_valve ? 1 : 0]
+        );
+        res.status(201).json({ ...await getDevice(result.lastID, req.user.id), api_key: key });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/devices/:id - Rename a device, move it to another meter or change whether it has a valve
+router.put('/:id', authenticateToken, deviceValidation(true), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const device = await getDevice(req.params.id, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        let meterId = device.meter_id;
+        if (req.body.meter_id !== undefined) {
+            const meter = await resolveMeter(req.user.id, req.body.meter_id);
+            if (!meter) {
+                return res.status(404).json({ error: 'Meter not found' });
+            }
+            meterId = meter.id;
+        }
+
+        const hasValve = req.body.has_valve !== undefined ? (req.body.has_valve ? 1 : 0) : device.has_valve;
+        await dbRun(
+            "UPDATE devices SET name = ?, meter_id = ?, has_valve = ? WHERE id = ?",
+            [req.body.name ?? device.name, meterId, hasValve, device.id]
+        );
+        res.json(await getDevice(device.id, req.user.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/devices/:id/rotate-key - Issue a new API key (the old one stops
+// working immediately; a revoked device is re-enabled with the new key)
+router.post('/:id/rotate-key', authenticateToken, async (req, res) => {
+    try {
+        const device = await getDevice(req.params.id, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const { key, hash, prefix } = generateDeviceKey();
+        await dbRun(
+            "UPDATE devices SET key_hash = ?, key_prefix = ?, revoked_at = NULL WHERE id = ?",
+            [hash, prefix, device.id]
+        );
+        res.json({ ...await getDevice(device.id, req.user.id), api_key: key });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/devices/:id/revoke - Stop accepting the device's API key
+router.post('/:id/revoke', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun(
+            "UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+            [req.params.id, req.user.id]
+        );
+        const device = await getDevice(req.params.id, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'Device is already revoked' });
+        }
+        res.json(device);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/devices/:id - Delete a device (its readings are kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun("DELETE FROM devices WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        await dbRun("DELETE FROM device_ingestions WHERE device_id = ?", [req.params.id]);
+        await dbRun("DELETE FROM device_commands WHERE device_id = ?", [req.params.id]);
+        await dbRun("UPDATE alert_rules SET valve_device_id = NULL WHERE valve_device_id = ?", [req.params.id]);
+        res.json({ message: 'Device deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/devices/:id/commands - The device's recent valve commands, newest first
+router.get('/:id/commands', authenticateToken, async (req, res) => {
+    try {
+        const device = await getDevice(req.params.id, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        res.json(await getDeviceCommands(device));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/devices/:id/commands - Queue a valve command ({ command: 'open' | 'close' })
+// for the device to pick up. Replaces the device's commands not delivered yet.
+router.post('/:id/commands', authenticateToken, [
+    body('command')
+        .isIn(VALVE_COMMANDS)
+        .withMessage(`Command must be one of: ${VALVE_COMMANDS.join(', ')}`)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const device = await getDevice(req.params.id, req.user.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+        if (!device.has_valve) {
+            return res.status(409).json({ error: 'Device does not control a valve' });
+        }
+        if (device.revoked_at) {
+            return res.status(409).json({ error: 'Device is revoked' });
+        }
+
+        res.status(201).json(await queueCommand({ ...device, user_id: req.user.id }, req.body.command));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/devices/:id/commands/:commandId/confirm - Queue a command proposed by an alert
+router.post('/:id/commands/:commandId/confirm', authenticateToken, async (req, res) => {
+    try {
+        const device = await getDevice(req.params.id, req.user.id);
+        const command = device && await getDeviceCommand(device, parseInt(req.params.commandId));
+        if (!command) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+        if (device.revoked_at) {
+            return res.status(409).json({ error: 'Device is revoked' });
+        }
+
+        const confirmed = await confirmCommand(command);
+        if (!confirmed) {
+            return res.status(409).json({ error: `Command is ${command.state}, not awaiting confirmation` });
+        }
+        res.json(confirmed);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/devices/:id/commands/:commandId/cancel - Cancel a command not delivered yet
+router.post('/:id/commands/:commandId/cancel', authenticateToken, async (req, res) => {
+    try {
+        const device = await getDevice(req.params.id, req.user.id);
+        const command = device && await getDeviceCommand(device, parseInt(req.params.commandId));
+        if (!command) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+
+        const cancelled = await cancelCommand(command);
+        if (!cancelled) {
+            return res.status(409).json({ error: `Command is already ${command.state}` });
+        }
+        res.json(cancelled);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const { dbAll, getUserSettings } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { formatISODate, getBillingPeriod, getBillingPeriods, loadStatistics } = require('../utils/statistics');
+const { meterUnit, resolveMeter } = require('../utils/meters');
+
+const router = express.Router();
+
+const FORMATS = ['csv', 'json'];
+const SCOPES = ['readings', 'daily', 'costs'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Quote a CSV field if it contains a delimiter, quote or newline
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCSV(rows, columns) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => csvField(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Parse a YYYY-MM-DD string as a local date
+function parseDate(str) {
+    const [year, month, day] = str.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Usage column named for the meter's unit: usage_kl, usage_kwh or usage_m3
+function usageColumn(meter) {
+    return `usage_${meterUnit(meter).toLowerCase().replace('³', '3')}`;
+}
+
+function getReadings(userId, startDate, endDate, meter) {
+    let query = `SELECT r.*, m.name AS meter_name FROM readings r
+                 LEFT JOIN meters m ON r.meter_id = m.id
+                 WHERE r.user_id = ?`;
+    const params = [userId];
+
+    if (meter) {
+        query += " AND r.meter_id = ?";
+        params.push(meter.id);
+    }
+
+    if (startDate && endDate) {
+        query += " AND r.reading_date BETWEEN ? AND ?";
+        params.push(startDate, endDate);
+    }
+
+    return dbAll(query + " ORDER BY r.reading_date, r.reading_time, r.meter_id", params);
+}
+
+async function exportReadings(userId, startDate, endDate, meter) {
+    const readings = await getReadings(userId, startDate, endDate, meter);
+    return {
+        columns: ['id', 'meter_id', 'meter_name', 'reading_date', 'reading_time', 'reading_value', 'event_type', 'previous_meter_final', 'flag', 'created_at'],
+        rows: readings
+    };
+}
+
+// Without a meter, daily usage is the combined usage of all the user's meters
+async function exportDailyUsage(userId, startDate, endDate, meter) {
+    const stats = await loadStatistics(userId, parseDate(startDate), parseDate(endDate), meter);
+    const usage = usageColumn(meter);
+    return {
+        columns: ['date', usage],
+        rows: stats.dailyUsage.map(day => ({ date: day.date, [usage]: day.usage.toFixed(4) }))
+    };
+}
+
+async function exportCostBreakdowns(userId, startDate, endDate, settings, meter) {
+    const periods = getBillingPeriods(parseDate(startDate), parseDate(endDate), settings);
+    const usage = usageColumn(meter);
+
+    // One basic and one usage column per charge (water, sewage, ...) and one
+    // column per line item (refuse, levies, ...) in the tariffs
+    const chargeColumns = [];
+    const rows = [];
+    for (const { startDate: periodStart, endDate: periodEnd } of periods) {
+        const start = formatISODate(periodStart);
+        const end = formatISODate(periodEnd);
+        const periodReadings = await getReadings(userId, start, end, meter);
+        const stats = await loadStatistics(userId, periodStart, periodEnd, meter);
+        const cost = stats.costBreakdown.current;
+
+        const row = {
+            period_start: start,
+            period_end: end,
+            readings: periodReadings.length,
+            [usage]: stats.totalUsage
+        };
+        cost.charges.forEach(charge => {
+            for (const part of ['basic', 'usage']) {
+                const column = `${charge.key}_${part}`;
+                if (!chargeColumns.includes(column)) chargeColumns.push(column);
+                row[column] = charge[part];
+            }
+        });
+        cost.lineItems.forEach(item => {
+            if (!chargeColumns.includes(item.key)) chargeColumns.push(item.key);
+            row[item.key] = item.amount;
+        });
+        row.subtotal = cost.subtotal;
+        row.vat = cost.vat;
+        row.total = cost.total;
+        rows.push(row);
+    }
+
+    return {
+        columns: ['period_start', 'period_end', 'readings', usage, ...chargeColumns, 'subtotal', 'vat', 'total'],
+        rows
+    };
+}
+
+// GET /api/export - Download readings, daily usage or cost breakdowns
+// Query: format (csv|json), scope (readings|daily|costs), start_date, end_date, meter_id
+router.get('/', authenticateToken, async (req, res) => {
+    const { format = 'csv', scope = 'readings' } = req.query;
+    let { start_date: startDate, end_date: endDate } = req.query;
+    const userId = req.user.id;
+
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    if (!SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `Scope must be one of: ${SCOPES.join(', ')}` });
+    }
+
+    if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+        return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+
+    if (startDate && endDate && startDate > endDate) {
+        return res.status(400).json({ error: 'Start date must be before end date' });
+    }
+
+    try {
+        const settings = await getUserSettings(userId);
+
+        // Export a single meter, or all meters when meter_id is omitted
+        let meter = null;
+        if (req.query.meter_id) {
+            meter = await resolveMeter(userId, req.query.meter_id);
+            if (!meter) {
+                return res.status(404).json({ error: 'Meter not found' });
+            }
+        }
+
+        // Usage and cost exports default to the current billing period
+        if (scope !== 'readings' && !(startDate && endDate)) {
+            const period = getBillingPeriod(new Date(), settings);
+            startDate = formatISODate(period.startDate);
+            endDate = formatISODate(period.endDate);
+        }
+
+        let data;
+        if (scope === 'readings') {
+            data = await exportReadings(userId, startDate, endDate, meter);
+        } else if (scope === 'daily') {
+            data = await exportDailyUsage(userId, startDate, endDate, meter);
+        } else {
+            data = await exportCostBreakdowns(userId, startDate, endDate, settings, meter);
+        }
+
+        const range = startDate && endDate ? `-${startDate}-to-${endDate}` : '';
+        const filename = `water-${scope}${range}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+            res.json(data.rows);
+        } else {
+            res.type('text/csv').send(toCSV(data.rows, data.columns));
+        }
+    } catch (err) {
+        console.error('Export error:', err);
+        res.status(500).json({ error: 'Export failed' });
+    }
+});
+
+module.exports = router;
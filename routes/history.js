@@ -0,0 +1,94 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveMeter } = require('../utils/meters');
+const { MS_PER_DAY, formatISODate } = require('../utils/statistics');
+const { loadHistory } = require('../utils/telemetry');
+
+const router = express.Router();
+
+const RESOLUTIONS = ['auto', 'raw', 'hour', 'day'];
+
+// Longest range (in days) each resolution may be requested for
+const MAX_DAYS = { raw: 7, hour: 92 };
+
+// Days shown when no range is given
+const DEFAULT_DAYS = 7;
+
+const historyValidation = [
+    query(['start_date', 'end_date'])
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Dates must be in YYYY-MM-DD format'),
+    query('resolution')
+        .optional()
+        .isIn(RESOLUTIONS)
+        .withMessage(`Resolution must be one of: ${RESOLUTIONS.join(', ')}`),
+    query('meter_id')
+        .optional()
+        .isInt()
+        .withMessage('Invalid meter')
+];
+
+function parseDate(str) {
+    const [year, month, day] = str.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Resolution for a range of days: raw readings for a couple of days, hourly
+// rollups up to a month, daily rollups beyond that
+function autoResolution(days) {
+    if (days <= 2) return 'raw';
+    if (days <= 31) return 'hour';
+    return 'day';
+}
+
+// GET /api/history - Usage history from the hourly and daily rollups (or the
+// raw readings) with the flow rate in L/min.
+// Query: start_date, end_date (default the last 7 days), meter_id,
+// resolution (auto, raw, hour or day; auto picks one from the range)
+router.get('/', authenticateToken, historyValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const today = new Date();
+    const endDate = req.query.end_date ? parseDate(req.query.end_date)
+        : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const startDate = req.query.start_date ? parseDate(req.query.start_date)
+        : new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - (DEFAULT_DAYS - 1));
+
+    if (startDate > endDate) {
+        return res.status(400).json({ error: 'Start date must be before end date' });
+    }
+
+    const days = Math.round((endDate - startDate) / MS_PER_DAY) + 1;
+    const resolution = !req.query.resolution || req.query.resolution === 'auto'
+        ? autoResolution(days)
+        : req.query.resolution;
+    if (MAX_DAYS[resolution] && days > MAX_DAYS[resolution]) {
+        return res.status(400).json({ error: `The ${resolution} resolution is limited to ${MAX_DAYS[resolution]} days` });
+    }
+
+    try {
+        let meter = null;
+        if (req.query.meter_id) {
+            meter = await resolveMeter(req.user.id, req.query.meter_id);
+            if (!meter) {
+                return res.status(404).json({ error: 'Meter not found' });
+            }
+        }
+
+        res.json({
+            start_date: formatISODate(startDate),
+            end_date: formatISODate(endDate),
+            resolution,
+            series: await loadHistory(req.user.id, startDate, endDate, resolution, meter)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
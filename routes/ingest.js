@@ -0,0 +1,74 @@
+const express = require('express');
+const { dbGet } = require('../config/database');
+const { authenticateDevice } = require('../middleware/auth');
+const { MAX_BATCH_SIZE, ingestReadings, recordDeviceActivity } = require('../utils/devices');
+const { evaluateAlertRules } = require('../utils/alerts');
+
+const router = express.Router();
+
+// POST /api/ingest - Readings pushed by a smart meter device (authenticated
+// with the device's API key; readings are stored on the device's meter).
+// Body: one reading { reading_value, timestamp, idempotency_key? } (the
+// Idempotency-Key header may be used instead), or { readings: [...] }.
+// timestamp is ISO 8601 or Unix seconds; reading_date and reading_time are
+// also accepted. Readings already received are reported as duplicates.
+router.post('/', authenticateDevice, async (req, res) => {
+    const device = req.device;
+    const batch = Array.isArray(req.body.readings);
+
+    let items;
+    if (batch) {
+        items = req.body.readings;
+    } else {
+        items = [{ ...req.body }];
+        if (items[0].idempotency_key === undefined && req.headers['idempotency-key']) {
+            items[0].idempotency_key = req.headers['idempotency-key'];
+        }
+    }
+
+    try {
+        if (items.length === 0 || items.length > MAX_BATCH_SIZE) {
+            const error = `A request must contain 1-${MAX_BATCH_SIZE} readings`;
+            await recordDeviceActivity(device, 0, 1, error);
+            return res.status(400).json({ error });
+        }
+
+        const meter = await dbGet("SELECT * FROM meters WHERE id = ? AND user_id = ?", [device.meter_id, device.user_id]);
+        if (!meter) {
+            return res.status(404).json({ error: 'Meter not found' });
+        }
+
+        const results = await ingestReadings(device, meter, items);
+        const created = results.filter(result => result.status === 'created').length;
+        const rejected = results.filter(result => result.status === 'rejected');
+        await recordDeviceActivity(device, created, rejected.length, rejected.length > 0 ? rejected[rejected.length - 1].error : null);
+
+        // A failed alert check must not fail readings that were just saved
+        if (created > 0) {
+            try {
+                await evaluateAlertRules(device.user_id, meter.id);
+            } catch (alertErr) {
+                console.error('Alert check error:', alertErr.message);
+            }
+        }
+
+        if (!batch) {
+            const [result] = results;
+            if (result.status === 'rejected') {
+                return res.status(400).json({ error: result.error });
+            }
+            return res.status(result.status === 'created' ? 201 : 200).json(result);
+        }
+
+        res.json({
+            created,
+            duplicates: results.filter(result => result.status === 'duplicate').length,
+            rejected: rejected.length,
+            results
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
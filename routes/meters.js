@@ -0,0 +1,190 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { dbGet, dbRun, withTransaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { METER_TYPES, UTILITIES, DEFAULT_UTILITY, REGISTER_FORMATS, getUserMeters } = require('../utils/meters');
+const { getRegisterCapacity } = require('../utils/readings');
+const { rebuildMeterRollups } = require('../utils/telemetry');
+
+const router = express.Router();
+
+// Validation rules (PUT allows partial updates)
+function meterValidation(partial) {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Meter name must be 1-50 characters'),
+        body('utility')
+            .optional()
+            .isIn(Object.keys(UTILITIES))
+            .withMessage(`Utility must be one of: ${Object.keys(UTILITIES).join(', ')}`),
+        body('type')
+            .optional()
+            .isIn(METER_TYPES)
+            .withMessage(`Type must be one of: ${METER_TYPES.join(', ')}`),
+        body('register_format')
+            .optional()
+            .isIn(Object.keys(REGISTER_FORMATS))
+            .withMessage(`Register format must be one of: ${Object.keys(REGISTER_FORMATS).join(', ')}`),
+        body('register_capacity_kl')
+            .optional({ values: 'null' })
+            .isFloat({ gt: 0 })
+            .withMessage('Register capacity must be a positive number'),
+        body('billed')
+            .optional()
+            .isBoolean()
+            .withMessage('Billed must be true or false')
+    ];
+}
+
+// Error message if a register format does not suit the meter's utility, or null
+function registerFormatError(utility, format) {
+    if (UTILITIES[utility].registerFormats.includes(format)) return null;
+    return `${UTILITIES[utility].name} meters use register format: ${UTILITIES[utility].registerFormats.join(', ')}`;
+}
+
+// GET /api/meters - List the user's meters
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const meters = await getUserMeters(req.user.id);
+        res.json(meters);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/meters/formats - Available meter types, utilities (with their unit
+// and register formats) and register formats
+router.get('/formats', authenticateToken, (req, res) => {
+    res.json({ types: METER_TYPES, utilities: UTILITIES, registerFormats: REGISTER_FORMATS });
+});
+
+// POST /api/meters - Create a meter
+router.post('/', authenticateToken, meterValidation(false), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, utility = DEFAULT_UTILITY, type = 'other', register_capacity_kl = null, billed = true } = req.body;
+    const register_format = req.body.register_format || UTILITIES[utility].registerFormats[0];
+
+    const formatError = registerFormatError(utility, register_format);
+    if (formatError) {
+        return res.status(400).json({ error: formatError });
+    }
+
+    try {
+        const result = await dbRun(
+            "INSERT INTO meters (user_id, name, utility, type, register_format, register_capacity_kl, billed) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [req.user.id, name, utility, type, register_format, register_capacity_kl, billed ? 1 : 0]
+        );
+        res.status(201).json(await dbGet("SELECT * FROM meters WHERE id = ?", [result.lastID]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/meters/:id - Update a meter (its utility only while it has no readings)
+router.put('/:id', authenticateToken, meterValidation(true), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const meter = await dbGet("SELECT * FROM meters WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!meter) {
+            return res.status(404).json({ error: 'Meter not found' });
+        }
+
+        const updated = { ...meter };
+        for (const field of ['name', 'utility', 'type', 'register_format', 'register_capacity_kl']) {
+            if (req.body[field] !== undefined) updated[field] = req.body[field];
+        }
+        if (req.body.billed !== undefined) updated.billed = req.body.billed ? 1 : 0;
+
+        if (updated.utility !== meter.utility) {
+            // Existing readings are in the old utility's unit
+            const { count } = await dbGet("SELECT COUNT(*) AS count FROM readings WHERE meter_id = ?", [meter.id]);
+            if (count > 0) {
+                return res.status(409).json({ error: `Meter has ${count} readings. Its utility cannot be changed.` });
+            }
+            const { prepaid } = await dbGet(
+                `SELECT (SELECT COUNT(*) FROM prepaid_purchases WHERE meter_id = ?) +
+                         (SELECT COUNT(*) FROM prepaid_balances WHERE meter_id = ?) AS prepaid`,
+                [meter.id, meter.id]
+            );
+            if (prepaid > 0) {
+                return res.status(409).json({ error: `Meter has ${prepaid} prepaid purchases and balance readings. Its utility cannot be changed.` });
+            }
+            if (req.body.register_format === undefined) {
+                updated.register_format = UTILITIES[updated.utility].registerFormats[0];
+            }
+        }
+
+        const formatError = registerFormatError(updated.utility, updated.register_format);
+        if (formatError) {
+            return res.status(400).json({ error: formatError });
+        }
+
+        await dbRun(
+            "UPDATE meters SET name = ?, utility = ?, type = ?, register_format = ?, register_capacity_kl = ?, billed = ? WHERE id = ?",
+            [updated.name, updated.utility, updated.type, updated.register_format, updated.register_capacity_kl, updated.billed, meter.id]
+        );
+
+        // Usage across register rollovers depends on the capacity
+        if (getRegisterCapacity(updated) !== getRegisterCapacity(meter)) {
+            await rebuildMeterRollups(updated);
+        }
+        res.json(await dbGet("SELECT * FROM meters WHERE id = ?", [meter.id]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/meters/:id - Delete a meter with no readings
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const meter = await dbGet("SELECT * FROM meters WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!meter) {
+            return res.status(404).json({ error: 'Meter not found' });
+        }
+
+        const { count } = await dbGet("SELECT COUNT(*) AS count FROM readings WHERE meter_id = ?", [meter.id]);
+        if (count > 0) {
+            return res.status(409).json({ error: `Meter has ${count} readings. Delete them first.` });
+        }
+
+        const { total } = await dbGet("SELECT COUNT(*) AS total FROM meters WHERE user_id = ?", [req.user.id]);
+        if (total <= 1) {
+            return res.status(409).json({ error: 'You must keep at least one meter' });
+        }
+
+        // Foreign keys are not enforced, so the meter's rows are removed (or,
+        // for bills and valve commands, detached from it) here, all or none
+        await withTransaction(async (tx) => {
+            const meterAlerts = "SELECT id FROM alerts WHERE meter_id = ? OR rule_id IN (SELECT id FROM alert_rules WHERE meter_id = ?)";
+            await tx.run(`UPDATE device_commands SET alert_id = NULL WHERE alert_id IN (${meterAlerts})`, [meter.id, meter.id]);
+            await tx.run(`DELETE FROM alerts WHERE id IN (${meterAlerts})`, [meter.id, meter.id]);
+            await tx.run("DELETE FROM alert_rules WHERE meter_id = ?", [meter.id]);
+            await tx.run("UPDATE bills SET meter_id = NULL WHERE meter_id = ?", [meter.id]);
+            await tx.run("UPDATE alert_rules SET valve_device_id = NULL WHERE valve_device_id IN (SELECT id FROM devices WHERE meter_id = ?)", [meter.id]);
+            await tx.run("DELETE FROM device_commands WHERE device_id IN (SELECT id FROM devices WHERE meter_id = ?)", [meter.id]);
+            await tx.run("DELETE FROM device_ingestions WHERE device_id IN (SELECT id FROM devices WHERE meter_id = ?)", [meter.id]);
+            await tx.run("DELETE FROM devices WHERE meter_id = ?", [meter.id]);
+            await tx.run("DELETE FROM usage_hourly WHERE meter_id = ?", [meter.id]);
+            await tx.run("DELETE FROM usage_daily WHERE meter_id = ?", [meter.id]);
+            await tx.run("DELETE FROM prepaid_purchases WHERE meter_id = ?", [meter.id]);
+            await tx.run("DELETE FROM prepaid_balances WHERE meter_id = ?", [meter.id]);
+            await tx.run("DELETE FROM meters WHERE id = ?", [meter.id]);
+        });
+        res.json({ message: 'Meter deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { UTILITIES, getUserMeters, resolveMeter } = require('../utils/meters');
+const { isFutureReading } = require('../utils/readings');
+const { PREPAID_UTILITY, prepaidStatus } = require('../utils/prepaid');
+const { evaluateAlertRules } = require('../utils/alerts');
+const { publish } = require('../utils/events');
+
+const router = express.Router();
+
+const meterValidation = (location) => location('meter_id')
+    .optional({ values: 'null' })
+    .isInt()
+    .withMessage('Invalid meter');
+
+const dateValidation = (name) => body(name)
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format');
+
+const timeValidation = (name) => body(name)
+    .matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+    .withMessage('Time must be in HH:MM format');
+
+const purchaseValidation = [
+    meterValidation(body),
+    dateValidation('purchase_date'),
+    timeValidation('purchase_time'),
+    body('amount_paid')
+        .isFloat({ min: 0 })
+        .withMessage('Amount paid must be a positive number'),
+    body('units')
+        .isFloat({ gt: 0 })
+        .withMessage('Units credited must be more than 0 kWh'),
+    body('fixed_charges')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Fixed charges must be a positive number'),
+    body('token')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('Token must be at most 50 characters')
+];
+
+const balanceValidation = [
+    meterValidation(body),
+    dateValidation('reading_date'),
+    timeValidation('reading_time'),
+    body('balance')
+        .isFloat({ min: 0 })
+        .withMessage('Balance must be a positive number')
+];
+
+// The electricity meter named by meter_id, or the user's first electricity
+// meter. Throws an error with a status if there is none.
+async function prepaidMeter(userId, meterId) {
+    let meter;
+    if (meterId !== undefined && meterId !== null && meterId !== '') {
+        meter = await resolveMeter(userId, meterId);
+        if (!meter) {
+            const err = new Error('Meter not found');
+            err.status = 404;
+            throw err;
+        }
+    } else {
+        [meter] = await getUserMeters(userId, PREPAID_UTILITY);
+        if (!meter) {
+            const err = new Error('Add an electricity meter to track prepaid electricity');
+            err.status = 404;
+            throw err;
+        }
+    }
+
+    if (meter.utility !== PREPAID_UTILITY) {
+        const err = new Error(`Prepaid tracking is only available for ${UTILITIES[PREPAID_UTILITY].name.toLowerCase()} meters`);
+        err.status = 400;
+        throw err;
+    }
+    return meter;
+}
+
+// After a purchase or balance reading changes: check the user's alert rules
+// for the meter (a low balance) and send the new status to live streams.
+// Resolves to the alerts raised.
+async function prepaidChanged(userId, meter) {
+    // A failed alert check must not fail the change that was just saved
+    let alerts = [];
+    try {
+        alerts = await evaluateAlertRules(userId, meter.id);
+    } catch (err) {
+        console.error('Alert check error:', err.message);
+    }
+
+    publish(userId, 'prepaid', { status: await prepaidStatus(meter) });
+    return alerts;
+}
+
+// GET /api/prepaid?meter_id= - Prepaid status of an electricity meter (the
+// first one by default): estimated units left, days until empty, recent daily
+// usage, effective price per kWh and whether the balance is low
+router.get('/', authenticateToken, [meterValidation(query)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const meter = await prepaidMeter(req.user.id, req.query.meter_id);
+        res.json(await prepaidStatus(meter));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/prepaid/purchases?meter_id= - Token purchases, newest first
+router.get('/purchases', authenticateToken, [meterValidation(query)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const meter = await prepaidMeter(req.user.id, req.query.meter_id);
+        res.json(await dbAll(
+            "SELECT * FROM prepaid_purchases WHERE meter_id = ? ORDER BY purchase_date DESC, purchase_time DESC, id DESC",
+            [meter.id]
+        ));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/prepaid/purchases - Record a token purchase:
+// { meter_id?, purchase_date, purchase_time, amount_paid, units, fixed_charges?, token? }
+// amount_paid is the full amount, including fixed charges deducted from it
+router.post('/purchases', authenticateToken, purchaseValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { purchase_date, purchase_time, amount_paid, units, fixed_charges = 0, token = null } = req.body;
+    if (parseFloat(fixed_charges || 0) > parseFloat(amount_paid)) {
+        return res.status(400).json({ error: 'Fixed charges cannot be more than the amount paid' });
+    }
+    if (isFutureReading({ reading_date: purchase_date, reading_time: purchase_time })) {
+        return res.status(400).json({ error: 'Purchase date is in the future' });
+    }
+
+    try {
+        const meter = await prepaidMeter(req.user.id, req.body.meter_id);
+        const result = await dbRun(
+            `INSERT INTO prepaid_purchases (user_id, meter_id, purchase_date, purchase_time, amount_paid, units, fixed_charges, token)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, meter.id, purchase_date, purchase_time, amount_paid, units, fixed_charges || 0, token || null]
+        );
+        const purchase = await dbGet("SELECT * FROM prepaid_purchases WHERE id = ?", [result.lastID]);
+        const alerts = await prepaidChanged(req.user.id, meter);
+        res.status(201).json({ ...purchase, alerts });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/prepaid/purchases/:id - Remove a purchase recorded by mistake
+router.delete('/purchases/:id', authenticateToken, async (req, res) => {
+    try {
+        const purchase = await dbGet("SELECT * FROM prepaid_purchases WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!purchase) {
+            return res.status(404).json({ error: 'Purchase not found' });
+        }
+
+        await dbRun("DELETE FROM prepaid_purchases WHERE id = ?", [purchase.id]);
+        await prepaidChanged(req.user.id, await prepaidMeter(req.user.id, purchase.meter_id));
+        res.json({ message: 'Purchase deleted successfully' });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/prepaid/balances?meter_id= - Balance readings, newest first
+router.get('/balances', authenticateToken, [meterValidation(query)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const meter = await prepaidMeter(req.user.id, req.query.meter_id);
+        res.json(await dbAll(
+            "SELECT * FROM prepaid_balances WHERE meter_id = ? ORDER BY reading_date DESC, reading_time DESC, id DESC",
+            [meter.id]
+        ));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/prepaid/balances - Record the kWh left shown on the meter:
+// { meter_id?, reading_date, reading_time, balance }
+router.post('/balances', authenticateToken, balanceValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reading_date, reading_time, balance } = req.body;
+    if (isFutureReading({ reading_date, reading_time })) {
+        return res.status(400).json({ error: 'Reading date is in the future' });
+    }
+
+    try {
+        const meter = await prepaidMeter(req.user.id, req.body.meter_id);
+        const result = await dbRun(
+            "INSERT INTO prepaid_balances (user_id, meter_id, reading_date, reading_time, balance) VALUES (?, ?, ?, ?, ?)",
+            [req.user.id, meter.id, reading_date, reading_time, balance]
+        );
+        const reading = await dbGet("SELECT * FROM prepaid_balances WHERE id = ?", [result.lastID]);
+        const alerts = await prepaidChanged(req.user.id, meter);
+        res.status(201).json({ ...reading, alerts });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/prepaid/balances/:id - Remove a balance reading recorded by mistake
+router.delete('/balances/:id', authenticateToken, async (req, res) => {
+    try {
+        const reading = await dbGet("SELECT * FROM prepaid_balances WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!reading) {
+            return res.status(404).json({ error: 'Balance reading not found' });
+        }
+
+        await dbRun("DELETE FROM prepaid_balances WHERE id = ?", [reading.id]);
+        await prepaidChanged(req.user.id, await prepaidMeter(req.user.id, reading.meter_id));
+        res.json({ message: 'Balance reading deleted successfully' });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
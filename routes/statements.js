@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { dbGet, dbAll, dbRun, getUserSettings } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getBillingPeriod } = require('../utils/statistics');
+const { parseStatement, closeStatement } = require('../utils/statements');
+
+const router = express.Router();
+
+const closeValidation = [
+    body('period_date')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Period date must be in YYYY-MM-DD format')
+];
+
+// GET /api/statements - List closed billing periods, newest first
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const statements = await dbAll(
+            `SELECT id, period_start, period_end, total_usage, total_cost, closed_at
+             FROM statements WHERE user_id = ? ORDER BY period_start DESC`,
+            [req.user.id]
+        );
+        res.json(statements);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/statements/:id - Statement detail with cost breakdown, tariff and usage
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const row = await dbGet("SELECT * FROM statements WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!row) {
+            return res.status(404).json({ error: 'Statement not found' });
+        }
+        res.json(parseStatement(row));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/statements - Close the billing period containing period_date
+// (defaults to the most recently ended period)
+router.post('/', authenticateToken, closeValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        let referenceDate;
+        if (req.body.period_date) {
+            const [year, month, day] = req.body.period_date.split('-').map(Number);
+            referenceDate = new Date(year, month - 1, day);
+        } else {
+            const settings = await getUserSettings(req.user.id);
+            const { startDate } = getBillingPeriod(new Date(), settings);
+            referenceDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - 1);
+        }
+
+        const statement = await closeStatement(req.user.id, referenceDate);
+        res.status(201).json(statement);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/statements/:id - Reopen a period so it can be closed again
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await dbRun("DELETE FROM statements WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Statement not found' });
+        }
+        res.json({ message: 'Statement deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
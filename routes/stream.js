@@ -0,0 +1,33 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { subscribe } = require('../utils/events');
+
+const router = express.Router();
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+// GET /api/stream - Server-Sent Events with live updates for the user:
+// `readings` (created, updated or deleted from any source), `statistics`
+// (the recalculated current billing period) and `alerts` (newly raised)
+router.get('/', authenticateToken, (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx response buffering
+    });
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribe(req.user.id, (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { dbGet } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { SUMMARY_TYPES, sendSummary } = require('../utils/summaries');
+
+const router = express.Router();
+
+// POST /api/summaries/preview - Email the user a summary now
+// Body: { type: 'weekly' | 'period' }
+router.post('/preview', authenticateToken, [
+    body('type').isIn(SUMMARY_TYPES).withMessage(`Type must be one of: ${SUMMARY_TYPES.join(', ')}`)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await dbGet("SELECT id, username, email FROM users WHERE id = ?", [req.user.id]);
+        if (!user || !user.email) {
+            return res.status(400).json({ error: 'Add an email address to your account to receive summaries' });
+        }
+
+        let summary;
+        try {
+            summary = await sendSummary(user, req.body.type);
+        } catch (err) {
+            console.error('Summary preview email error:', err.message);
+            return res.status(502).json({ error: 'Unable to send the summary email' });
+        }
+
+        res.json({ message: `Summary sent to ${user.email}`, summary });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
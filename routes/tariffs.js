@@ -0,0 +1,311 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { dbGet, dbRun } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { formatISODate } = require('../utils/statistics');
+const { UTILITIES, DEFAULT_UTILITY } = require('../utils/meters');
+const {
+    BLOCK_PRORATION_MODES,
+    TARIFF_TYPES,
+    parseTariff,
+    serializeTariff,
+    validateCharges,
+    validateLineItems,
+    validateTimeOfUse,
+    validateTariffDocument,
+    normalizeTariffDocument,
+    exportTariff,
+    documentUtility,
+    getTariffPresets,
+    getTariffPreset,
+    getUserTariffs,
+    tariffForDate
+} = require('../utils/tariffs');
+
+const router = express.Router();
+
+const utilityValidation = (location) => location('utility')
+    .optional()
+    .isIn(Object.keys(UTILITIES))
+    .withMessage(`Utility must be one of: ${Object.keys(UTILITIES).join(', ')}`);
+
+// Validation rules (PUT allows partial updates; a version's utility cannot change).
+// Charges are checked here for block tariffs; otherwise (including when the type
+// is left out) once the tariff type, bands and seasons are known.
+function tariffValidation(partial) {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        ...(partial ? [] : [utilityValidation(body)]),
+        field('effective_from')
+            .matches(/^\d{4}-\d{2}-\d{2}$/)
+            .withMessage('Effective date must be in YYYY-MM-DD format'),
+        body('type')
+            .optional()
+            .isIn(TARIFF_TYPES)
+            .withMessage(`Tariff type must be one of: ${TARIFF_TYPES.join(', ')}`),
+        body('time_of_use')
+            .optional()
+            .custom(timeOfUse => {
+                const error = validateTimeOfUse(timeOfUse);
+                if (error) throw new Error(error);
+                return true;
+            }),
+        body('charges')
+            .optional()
+            .custom((charges, { req }) => {
+                if (req.body.type !== 'blocks') return true;
+                const error = validateCharges(charges);
+                if (error) throw new Error(error);
+                return true;
+            }),
+        body('line_items')
+            .optional()
+            .custom((lineItems, { req }) => {
+                const error = validateLineItems(lineItems, Array.isArray(req.body.charges) ? req.body.charges : []);
+                if (error) throw new Error(error);
+                return true;
+            }),
+        body('vat_rate')
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('VAT rate must be a percentage between 0 and 100'),
+        body('block_proration')
+            .optional()
+            .isIn(BLOCK_PRORATION_MODES)
+            .withMessage(`Block pro-ration must be one of: ${BLOCK_PRORATION_MODES.join(', ')}`)
+    ];
+}
+
+const effectiveFromValidation = [
+    body('effective_from')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Effective date must be in YYYY-MM-DD format')
+];
+
+function tariffExists(userId, utility, effectiveFrom) {
+    return dbGet(
+        "SELECT id FROM tariffs WHERE user_id = ? AND utility = ? AND effective_from = ?",
+        [userId, utility, effectiveFrom]
+    );
+}
+
+function tariffExistsMessage(utility, effectiveFrom) {
+    return `A ${UTILITIES[utility].name.toLowerCase()} tariff effective from ${effectiveFrom} already exists`;
+}
+
+// Store a new tariff version and return it parsed
+async function insertTariff(userId, utility, effectiveFrom, rates) {
+    const result = await dbRun(
+        "INSERT INTO tariffs (user_id, utility, effective_from, rates) VALUES (?, ?, ?, ?)",
+        [userId, utility, effectiveFrom, serializeTariff(rates)]
+    );
+    return parseTariff(await dbGet("SELECT * FROM tariffs WHERE id = ?", [result.lastID]));
+}
+
+// GET /api/tariffs/presets - Named tariff presets (public, so they can be offered at registration)
+router.get('/presets', (req, res) => {
+    try {
+        res.json(Object.values(getTariffPresets()).map(({ id, name, municipality, year, notes, effective_from, ...preset }) =>
+            ({ id, name, utility: documentUtility(preset), municipality, year, notes, effective_from })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/tariffs/presets/:id - Add a tariff version with a preset's rates,
+// in force from effective_from (defaults to the preset's own date)
+router.post('/presets/:id', authenticateToken, effectiveFromValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const preset = getTariffPreset(req.params.id);
+        if (!preset) {
+            return res.status(404).json({ error: 'Tariff preset not found' });
+        }
+
+        const utility = documentUtility(preset);
+        const effectiveFrom = req.body.effective_from || preset.effective_from;
+        if (await tariffExists(req.user.id, utility, effectiveFrom)) {
+            return res.status(409).json({ error: tariffExistsMessage(utility, effectiveFrom) });
+        }
+
+        res.status(201).json(await insertTariff(req.user.id, utility, effectiveFrom, normalizeTariffDocument(preset)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/tariffs/import - Add a tariff version from an exported tariff file
+// Body: { tariff, effective_from } (effective_from defaults to the file's date)
+router.post('/import', authenticateToken, effectiveFromValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tariff } = req.body;
+
+    try {
+        const error = validateTariffDocument(tariff);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const utility = documentUtility(tariff);
+        const effectiveFrom = req.body.effective_from || tariff.effective_from;
+        if (!effectiveFrom) {
+            return res.status(400).json({ error: 'Effective date is required' });
+        }
+        if (await tariffExists(req.user.id, utility, effectiveFrom)) {
+            return res.status(409).json({ error: tariffExistsMessage(utility, effectiveFrom) });
+        }
+
+        res.status(201).json(await insertTariff(req.user.id, utility, effectiveFrom, normalizeTariffDocument(tariff)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/tariffs/:id/export - Download a tariff version as a JSON file
+router.get('/:id/export', authenticateToken, async (req, res) => {
+    try {
+        const row = await dbGet("SELECT * FROM tariffs WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!row) {
+            return res.status(404).json({ error: 'Tariff not found' });
+        }
+
+        const tariff = parseTariff(row);
+        res.setHeader('Content-Disposition', `attachment; filename="tariff-${tariff.utility}-${tariff.effective_from}.json"`);
+        res.json(exportTariff(tariff));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/tariffs?utility= - List a utility's tariff versions (water by
+// default), marking the one in force today
+router.get('/', authenticateToken, [utilityValidation(query)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const tariffs = await getUserTariffs(req.user.id, req.query.utility || DEFAULT_UTILITY);
+        const current = tariffForDate(tariffs, formatISODate(new Date()));
+        res.json(tariffs.map(tariff => ({ ...tariff, current: current !== null && tariff.id === current.id })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The rates of a tariff version from a request body, with fields left out taken
+// from an existing version (bands and seasons only while the type is unchanged)
+function ratesFromBody(body, existing) {
+    const type = body.type || (existing ? existing.type : 'blocks');
+    return {
+        type,
+        time_of_use: body.time_of_use || (existing && existing.type === type ? existing.time_of_use : undefined),
+        charges: body.charges || (existing ? existing.charges : []),
+        line_items: body.line_items || (existing ? existing.line_items : []),
+        vat_rate: body.vat_rate !== undefined ? parseFloat(body.vat_rate) : (existing ? existing.vat_rate : undefined),
+        block_proration: body.block_proration || (existing ? existing.block_proration : undefined)
+    };
+}
+
+// POST /api/tariffs - Add a tariff version for a utility (water by default) in force from effective_from.
+// Type, time-of-use bands and seasons, charges, line items, VAT rate or block
+// pro-ration left out are copied from the version it replaces.
+router.post('/', authenticateToken, tariffValidation(false), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { effective_from, utility = DEFAULT_UTILITY } = req.body;
+
+    try {
+        if (await tariffExists(req.user.id, utility, effective_from)) {
+            return res.status(409).json({ error: tariffExistsMessage(utility, effective_from) });
+        }
+
+        const previous = tariffForDate(await getUserTariffs(req.user.id, utility), effective_from);
+        const rates = ratesFromBody(req.body, previous);
+        const error = validateTariffDocument(rates);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.status(201).json(await insertTariff(req.user.id, utility, effective_from, normalizeTariffDocument(rates)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/tariffs/:id - Correct a tariff version's type, time-of-use bands and
+// seasons, charges, line items, VAT rate, block pro-ration or effective date
+router.put('/:id', authenticateToken, tariffValidation(true), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const tariff = await dbGet("SELECT * FROM tariffs WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!tariff) {
+            return res.status(404).json({ error: 'Tariff not found' });
+        }
+
+        const effectiveFrom = req.body.effective_from || tariff.effective_from;
+        const clash = await dbGet(
+            "SELECT id FROM tariffs WHERE user_id = ? AND utility = ? AND effective_from = ? AND id != ?",
+            [req.user.id, tariff.utility, effectiveFrom, tariff.id]
+        );
+        if (clash) {
+            return res.status(409).json({ error: tariffExistsMessage(tariff.utility, effectiveFrom) });
+        }
+
+        const rates = ratesFromBody(req.body, parseTariff(tariff));
+        const error = validateTariffDocument(rates);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await dbRun(
+            "UPDATE tariffs SET effective_from = ?, rates = ? WHERE id = ?",
+            [effectiveFrom, serializeTariff(normalizeTariffDocument(rates)), tariff.id]
+        );
+        res.json(parseTariff(await dbGet("SELECT * FROM tariffs WHERE id = ?", [tariff.id])));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/tariffs/:id - Remove a tariff version (at least one water tariff must remain)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const tariff = await dbGet("SELECT id, utility FROM tariffs WHERE id = ? AND user_id = ?", [req.params.id, req.user.id]);
+        if (!tariff) {
+            return res.status(404).json({ error: 'Tariff not found' });
+        }
+
+        const { total } = await dbGet(
+            "SELECT COUNT(*) AS total FROM tariffs WHERE user_id = ? AND utility = ?",
+            [req.user.id, tariff.utility]
+        );
+        if (tariff.utility === DEFAULT_UTILITY && total <= 1) {
+            return res.status(409).json({ error: 'You must keep at least one water tariff' });
+        }
+
+        await dbRun("DELETE FROM tariffs WHERE id = ?", [tariff.id]);
+        res.json({ message: 'Tariff deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
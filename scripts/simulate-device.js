@@ -0,0 +1,89 @@
+// Simulated smart meter with a shut-off valve, for trying out the device API
+// without hardware. It polls for valve commands, carries them out after a short
+// delay and acknowledges them, and (with START_READING) pushes a reading each
+// poll that rises while the valve is open.
+//
+//   DEVICE_KEY=wmd_... node scripts/simulate-device.js
+//
+// Environment: DEVICE_KEY (required), SERVER_URL (default http://localhost:3000),
+// POLL_SECONDS (default 10), START_READING (meter reading in kL to count up
+// from; no readings are pushed without it), FLOW_LPM (flow while open,
+// default 2), FAIL_COMMANDS=1 (acknowledge every command as failed)
+
+const SERVER_URL = (process.env.SERVER_URL || 'http://localhost:3000').replace(/\/$/, '');
+const DEVICE_KEY = process.env.DEVICE_KEY;
+const POLL_MS = (parseFloat(process.env.POLL_SECONDS) || 10) * 1000;
+const FLOW_LPM = parseFloat(process.env.FLOW_LPM) || 2;
+const FAIL_COMMANDS = process.env.FAIL_COMMANDS === '1';
+
+// Time the simulated valve takes to move
+const VALVE_TRAVEL_MS = 1000;
+
+let valve = 'open';
+let reading = process.env.START_READING !== undefined ? parseFloat(process.env.START_READING) : null;
+let lastReadingAt = Date.now();
+
+async function request(method, path, body) {
+    const response = await fetch(`${SERVER_URL}${path}`, {
+        method,
+        headers: { 'X-Device-Key': DEVICE_KEY, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`${method} ${path}: ${response.status} ${data.error || JSON.stringify(data.errors || data)}`);
+    }
+    return data;
+}
+
+async function carryOut(command) {
+    console.log(`Command ${command.id}: ${command.command} valve`);
+    await new Promise(resolve => setTimeout(resolve, VALVE_TRAVEL_MS));
+
+    if (FAIL_COMMANDS) {
+        await request('POST', `/api/device/commands/${command.id}/ack`, { status: 'failed', message: 'Simulated valve fault' });
+        console.log(`Command ${command.id}: reported as failed`);
+        return;
+    }
+
+    valve = command.command === 'close' ? 'closed' : 'open';
+    await request('POST', `/api/device/commands/${command.id}/ack`, { status: 'done' });
+    console.log(`Command ${command.id}: done, valve is ${valve}`);
+}
+
+async function pushReading() {
+    const now = Date.now();
+    if (valve === 'open') {
+        reading += FLOW_LPM * (now - lastReadingAt) / 60000 / 1000;
+    }
+    lastReadingAt = now;
+
+    const result = await request('POST', '/api/ingest', {
+        reading_value: parseFloat(reading.toFixed(4)),
+        timestamp: new Date(now).toISOString(),
+        idempotency_key: `sim-${now}`
+    });
+    console.log(`Reading ${reading.toFixed(4)} kL (valve ${valve}): ${result.status}`);
+}
+
+async function poll() {
+    try {
+        for (const command of await request('GET', '/api/device/commands')) {
+            await carryOut(command);
+        }
+        if (reading !== null) {
+            await pushReading();
+        }
+    } catch (err) {
+        console.error(err.message);
+    }
+    setTimeout(poll, POLL_MS);
+}
+
+if (!DEVICE_KEY) {
+    console.error('Set DEVICE_KEY to the API key of a device registered in Settings');
+    process.exit(1);
+}
+
+console.log(`Simulated device polling ${SERVER_URL} every ${POLL_MS / 1000}s (valve ${valve})`);
+poll();
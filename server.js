@@ -5,14 +5,42 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
 
-const { db, initializeDatabase, migrateFromSingleUser } = require('./config/database');
+const { db, dbGet, dbAll, dbRun, withTransaction, getUserSettings, initializeDatabase, migrateFromSingleUser, migrateTariffUtilities } = require('./config/database');
 const { authenticateToken } = require('./middleware/auth');
+const alertRoutes = require('./routes/alerts');
+const analysisRoutes = require('./routes/analysis');
 const authRoutes = require('./routes/auth');
+const billRoutes = require('./routes/bills');
+const commandRoutes = require('./routes/commands');
+const deviceRoutes = require('./routes/devices');
+const exportRoutes = require('./routes/export');
+const historyRoutes = require('./routes/history');
+const ingestRoutes = require('./routes/ingest');
+const meterRoutes = require('./routes/meters');
+const prepaidRoutes = require('./routes/prepaid');
+const statementRoutes = require('./routes/statements');
+const streamRoutes = require('./routes/stream');
+const summaryRoutes = require('./routes/summaries');
+const tariffRoutes = require('./routes/tariffs');
+const { DATE_FORMATS, VALUE_FORMATS, REGISTER_VALUE_FORMATS, parseReadingsFile } = require('./utils/import');
+const { getBillingPeriod, loadStatistics } = require('./utils/statistics');
+const { EVENT_TYPES, getRegisterCapacity, isFutureReading, classifyReading, checkReadingSequence } = require('./utils/readings');
+const { UTILITIES, DEFAULT_UTILITY, meterUnit, resolveMeter } = require('./utils/meters');
+const { evaluateAlertRules, startAlertSchedule } = require('./utils/alerts');
+const { REMINDER_SCHEDULES, startReminderSchedule } = require('./utils/reminders');
+const { startSummarySchedule } = require('./utils/summaries');
+const { startMqttBridge } = require('./utils/mqtt');
+const { publishReadings } = require('./utils/events');
+const { updateRollups, backfillRollups, startRetentionSchedule } = require('./utils/telemetry');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Most readings returned per page by GET /api/readings
+const MAX_READINGS_PAGE = 1000;
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -31,6 +59,14 @@ app.use(helmet({
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100,
+    message: { error: 'Too many requests, please try again later' },
+    // Devices have their own limit
+    skip: (req) => req.originalUrl.startsWith('/api/ingest') || req.originalUrl.startsWith('/api/device/')
+});
+
+const ingestLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 1000, // Enough for several devices pushing or polling every minute
     message: { error: 'Too many requests, please try again later' }
 });
 
@@ -48,11 +84,13 @@ const forgotPasswordLimiter = rateLimit({
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '1mb' })); // Reading imports post file contents as JSON
 app.use(express.static('public'));
 
 // Apply rate limiting
 app.use('/api/', apiLimiter);
+app.use('/api/ingest', ingestLimiter);
+app.use('/api/device', ingestLimiter);
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', forgotPasswordLimiter);
@@ -60,77 +98,427 @@ app.use('/api/auth/forgot-password', forgotPasswordLimiter);
 // Auth routes (no authentication required)
 app.use('/api/auth', authRoutes);
 
+// Device ingestion and commands (authenticated with device API keys, not user tokens)
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/device/commands', commandRoutes);
+
 // ============================================
 // Protected API Routes (require authentication)
 // ============================================
 
-// Get all readings for authenticated user
-app.get('/api/readings', authenticateToken, (req, res) => {
-    const { start_date, end_date } = req.query;
+app.use('/api/alerts', alertRoutes);
+app.use('/api/analysis', analysisRoutes);
+app.use('/api/bills', billRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/meters', meterRoutes);
+app.use('/api/prepaid', prepaidRoutes);
+app.use('/api/statements', statementRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/summaries', summaryRoutes);
+app.use('/api/tariffs', tariffRoutes);
+
+// Get readings for authenticated user, newest first. With limit (and offset)
+// only that page is returned, and X-Total-Count gives the number of matches.
+app.get('/api/readings', authenticateToken, async (req, res) => {
+    const { start_date, end_date, meter_id } = req.query;
     const userId = req.user.id;
 
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : null;
+    const offset = parseInt(req.query.offset) || 0;
+    if ((limit !== null && !(limit > 0 && limit <= MAX_READINGS_PAGE)) || offset < 0) {
+        res.status(400).json({ error: `Limit must be 1-${MAX_READINGS_PAGE} and offset a positive number` });
+        return;
+    }
+
     let query = "SELECT * FROM readings WHERE user_id = ?";
     const params = [userId];
 
+    if (meter_id) {
+        query += " AND meter_id = ?";
+        params.push(meter_id);
+    }
+
     if (start_date && end_date) {
         query += " AND reading_date BETWEEN ? AND ?";
         params.push(start_date, end_date);
     }
 
-    query += " ORDER BY reading_date DESC, reading_time DESC";
+    try {
+        if (limit !== null) {
+            const { total } = await dbGet(query.replace('SELECT *', 'SELECT COUNT(*) AS total'), params);
+            res.set('X-Total-Count', String(total));
+        }
 
-    db.all(query, params, (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+        query += " ORDER BY reading_date DESC, reading_time DESC";
+        if (limit !== null) {
+            query += " LIMIT ? OFFSET ?";
+            params.push(limit, offset);
         }
-        res.json(rows);
-    });
+
+        res.json(await dbAll(query, params));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// Add a new reading for authenticated user
-app.post('/api/readings', authenticateToken, (req, res) => {
-    const { reading_value, reading_date, reading_time } = req.body;
+// Add a new reading for authenticated user (to meter_id, or their first meter)
+// Readings lower than their predecessor are rejected unless confirm_decrease is set.
+// A meter replacement is recorded with event_type 'meter_replaced': reading_value is
+// the new meter's starting value and previous_meter_final the old meter's last reading.
+app.post('/api/readings', authenticateToken, readingValidation(false), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reading_date, reading_time, confirm_decrease, event_type = 'reading' } = req.body;
     const userId = req.user.id;
+    const reading_value = parseFloat(req.body.reading_value);
+
+    if (isFutureReading({ reading_date, reading_time })) {
+        res.status(400).json({ error: 'Reading date is in the future' });
+        return;
+    }
 
-    if (!reading_value || !reading_date || !reading_time) {
-        res.status(400).json({ error: 'Missing required fields' });
+    if (!EVENT_TYPES.includes(event_type)) {
+        res.status(400).json({ error: `Event type must be one of: ${EVENT_TYPES.join(', ')}` });
         return;
     }
 
-    const query = "INSERT INTO readings (user_id, reading_value, reading_date, reading_time) VALUES (?, ?, ?, ?)";
+    const hasFinal = event_type === 'meter_replaced' &&
+        req.body.previous_meter_final !== undefined && req.body.previous_meter_final !== null && req.body.previous_meter_final !== '';
+    const previous_meter_final = hasFinal ? parseFloat(req.body.previous_meter_final) : null;
+    if (hasFinal && (isNaN(previous_meter_final) || previous_meter_final < 0)) {
+        res.status(400).json({ error: 'Old meter final reading must be a positive number' });
+        return;
+    }
 
-    db.run(query, [userId, reading_value, reading_date, reading_time], function(err) {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+    try {
+        const meter = await resolveMeter(userId, req.body.meter_id);
+        if (!meter) {
+            return res.status(404).json({ error: 'Meter not found' });
+        }
+
+        const reading = { meter_id: meter.id, reading_value, reading_date, reading_time, event_type, previous_meter_final };
+        const { flag, conflict } = await checkReadingSequence(meter, reading);
+
+        if (conflict && !confirm_decrease) {
+            return sendSequenceConflict(res, conflict, meter);
+        }
+
+        const result = await dbRun(
+            `INSERT INTO readings (user_id, meter_id, reading_value, reading_date, reading_time, event_type, previous_meter_final, flag)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, meter.id, reading_value, reading_date, reading_time, event_type, previous_meter_final, flag]
+        );
+        await updateRollups(meter, [reading]);
+        publishReadings(userId, 'created', [{ id: result.lastID, ...reading, flag }]);
+
+        // A failed alert check must not fail the reading that was just saved
+        let alerts = [];
+        try {
+            alerts = await evaluateAlertRules(userId, meter.id);
+        } catch (alertErr) {
+            console.error('Alert check error:', alertErr.message);
         }
+
         res.json({
-            id: this.lastID,
+            id: result.lastID,
             user_id: userId,
-            reading_value,
-            reading_date,
-            reading_time
+            ...reading,
+            flag,
+            alerts
         });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Respond to a reading that is lower than its predecessor (or higher than its successor)
+function sendSequenceConflict(res, conflict, meter) {
+    const neighbour = conflict.reading;
+    const unit = meterUnit(meter);
+    const message = conflict.position === 'previous'
+        ? `Reading is lower than the previous reading (${neighbour.reading_value} ${unit} on ${neighbour.reading_date} ${neighbour.reading_time})`
+        : `Reading is higher than the next reading (${neighbour.reading_value} ${unit} on ${neighbour.reading_date} ${neighbour.reading_time})`;
+
+    res.status(409).json({
+        error: message,
+        code: 'READING_DECREASED',
+        conflict
     });
+}
+
+// Import historical readings from CSV/TSV file contents.
+// With dry_run (the default) nothing is written: the parsed rows are returned
+// with per-row errors and duplicate flags for preview. Otherwise all valid,
+// non-duplicate rows are inserted in a single transaction into meter_id
+// (or the user's first meter).
+app.post('/api/readings/import', authenticateToken, async (req, res) => {
+    const { content, date_format = 'auto', value_format = 'auto', dry_run = true } = req.body;
+    const userId = req.user.id;
+
+    if (typeof content !== 'string' || content.trim() === '') {
+        res.status(400).json({ error: 'File content is required' });
+        return;
+    }
+
+    if (!DATE_FORMATS.includes(date_format) || !VALUE_FORMATS.includes(value_format)) {
+        res.status(400).json({ error: 'Invalid date or value format' });
+        return;
+    }
+
+    try {
+        const meter = await resolveMeter(userId, req.body.meter_id);
+        if (!meter) {
+            return res.status(404).json({ error: 'Meter not found' });
+        }
+
+        // Only water registers need converting; other meters are read in their own
+        // unit. Auto-detection follows the meter's register format.
+        let valueFormat = 'kl';
+        if (meter.utility === DEFAULT_UTILITY) {
+            valueFormat = value_format === 'auto'
+                ? REGISTER_VALUE_FORMATS[meter.register_format] || value_format
+                : value_format;
+        }
+        const parsed = parseReadingsFile(content, { dateFormat: date_format, valueFormat });
+
+        if (parsed.rows.length === 0) {
+            return res.status(400).json({ error: 'No readings found in file' });
+        }
+
+        const capacity = getRegisterCapacity(meter);
+        const existing = await dbAll(
+            "SELECT reading_value, reading_date, substr(reading_time, 1, 5) AS reading_time, event_type FROM readings WHERE meter_id = ?",
+            [meter.id]
+        );
+
+        // Flag rows matching an existing reading or an earlier row in the file
+        const seen = new Set(existing.map(row => `${row.reading_date} ${row.reading_time}`));
+        parsed.rows.forEach(row => {
+            if (row.error) {
+                row.status = 'error';
+                return;
+            }
+            if (isFutureReading(row)) {
+                row.status = 'error';
+                row.error = 'Reading date is in the future';
+                return;
+            }
+            const key = `${row.reading_date} ${row.reading_time}`;
+            row.status = seen.has(key) ? 'duplicate' : 'ok';
+            seen.add(key);
+        });
+
+        // Check the merged sequence: imported rows lower than the reading before
+        // them (or higher than an existing reading after them) are errors
+        const merged = [...existing, ...parsed.rows.filter(row => row.status === 'ok')]
+            .sort((a, b) => `${a.reading_date} ${a.reading_time}`.localeCompare(`${b.reading_date} ${b.reading_time}`));
+        for (let i = 1; i < merged.length; i++) {
+            const previous = merged[i - 1];
+            const current = merged[i];
+            const flag = classifyReading(previous, current, capacity);
+            if (flag === 'rollover' && current.status) {
+                current.flag = 'rollover';
+            } else if (flag === 'decrease') {
+                const row = current.status ? current : previous;
+                if (row.status) {
+                    row.status = 'error';
+                    row.error = current.status
+                        ? `Reading is lower than the previous reading (${previous.reading_value} ${meterUnit(meter)} on ${previous.reading_date})`
+                        : `Reading is higher than the next reading (${current.reading_value} ${meterUnit(meter)} on ${current.reading_date})`;
+                }
+            }
+        }
+
+        const toImport = parsed.rows.filter(row => row.status === 'ok');
+        const summary = {
+            total: parsed.rows.length,
+            valid: toImport.length,
+            duplicates: parsed.rows.filter(row => row.status === 'duplicate').length,
+            errors: parsed.rows.filter(row => row.status === 'error').length
+        };
+
+        const result = {
+            dry_run: !!dry_run,
+            date_format: parsed.dateFormat,
+            summary,
+            rows: parsed.rows
+        };
+
+        if (dry_run) {
+            return res.json(result);
+        }
+
+        if (summary.errors > 0) {
+            return res.status(400).json({ error: 'Fix the rows with errors before importing', ...result });
+        }
+
+        if (toImport.length === 0) {
+            return res.json({ ...result, imported: 0 });
+        }
+
+        // All rows or none
+        await withTransaction(async (tx) => {
+            for (const row of toImport) {
+                await tx.run(
+                    "INSERT INTO readings (user_id, meter_id, reading_value, reading_date, reading_time, flag, source) VALUES (?, ?, ?, ?, ?, ?, 'import')",
+                    [userId, meter.id, row.reading_value, row.reading_date, row.reading_time, row.flag || null]
+                );
+            }
+        });
+
+        await updateRollups(meter, toImport);
+        publishReadings(userId, 'created', toImport.map(row => ({
+            meter_id: meter.id,
+            reading_value: row.reading_value,
+            reading_date: row.reading_date,
+            reading_time: row.reading_time
+        })), 'import');
+        res.json({ ...result, imported: toImport.length });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// Delete a reading (only if owned by user)
-app.delete('/api/readings/:id', authenticateToken, (req, res) => {
+// Validation rules for adding or editing a reading (PATCH allows partial updates)
+function readingValidation(partial) {
+    const field = (name) => partial ? body(name).optional() : body(name);
+    return [
+        field('reading_value')
+            .isFloat({ min: 0 })
+            .withMessage('Reading value must be a positive number'),
+        field('reading_date')
+            .matches(/^\d{4}-\d{2}-\d{2}$/)
+            .withMessage('Date must be in YYYY-MM-DD format'),
+        field('reading_time')
+            .matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+            .withMessage('Time must be in HH:MM format')
+    ];
+}
+
+// Update a reading and record the change in reading_revisions
+async function updateReading(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     const userId = req.user.id;
 
-    db.run("DELETE FROM readings WHERE id = ? AND user_id = ?", [id, userId], function(err) {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
+    try {
+        const reading = await dbGet("SELECT * FROM readings WHERE id = ? AND user_id = ?", [id, userId]);
+        if (!reading) {
+            return res.status(404).json({ error: 'Reading not found or unauthorized' });
         }
-        if (this.changes === 0) {
-            res.status(404).json({ error: 'Reading not found or unauthorized' });
-            return;
+
+        // Only record fields that actually changed
+        const changes = {};
+        for (const field of ['reading_value', 'reading_date', 'reading_time']) {
+            if (req.body[field] === undefined) continue;
+            const value = field === 'reading_value' ? parseFloat(req.body[field]) : req.body[field];
+            if (value !== reading[field]) {
+                changes[field] = { from: reading[field], to: value };
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.json(reading);
         }
+
+        const updated = { ...reading };
+        Object.entries(changes).forEach(([field, change]) => {
+            updated[field] = change.to;
+        });
+        if (isFutureReading(updated)) {
+            return res.status(400).json({ error: 'Reading date is in the future' });
+        }
+
+        const meter = await resolveMeter(userId, reading.meter_id);
+        const { flag, conflict } = await checkReadingSequence(meter, updated, reading.id);
+        if (conflict && !req.body.confirm_decrease) {
+            return sendSequenceConflict(res, conflict, meter);
+        }
+
+        // The revision is only recorded if the reading was updated
+        await withTransaction(async (tx) => {
+            const result = await tx.run(
+                "UPDATE readings SET reading_value = ?, reading_date = ?, reading_time = ?, flag = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                [updated.reading_value, updated.reading_date, updated.reading_time, flag, id]
+            );
+            if (result.changes === 0) {
+                const err = new Error('Reading not found or unauthorized');
+                err.status = 404;
+                throw err;
+            }
+            await tx.run(
+                "INSERT INTO reading_revisions (reading_id, changed_by, changes) VALUES (?, ?, ?)",
+                [id, userId, JSON.stringify(changes)]
+            );
+        });
+
+        await updateRollups(meter, [reading, updated]);
+        const saved = await dbGet("SELECT * FROM readings WHERE id = ?", [id]);
+        publishReadings(userId, 'updated', [saved]);
+        res.json(saved);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+}
+
+// Edit a reading (PUT replaces all fields, PATCH updates only those given)
+app.put('/api/readings/:id', authenticateToken, readingValidation(false), updateReading);
+app.patch('/api/readings/:id', authenticateToken, readingValidation(true), updateReading);
+
+// Get the change history of a reading
+app.get('/api/readings/:id/revisions', authenticateToken, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const reading = await dbGet("SELECT id FROM readings WHERE id = ? AND user_id = ?", [id, userId]);
+        if (!reading) {
+            return res.status(404).json({ error: 'Reading not found or unauthorized' });
+        }
+
+        const revisions = await dbAll(
+            `SELECT rr.id, rr.changes, rr.changed_at, u.username AS changed_by
+             FROM reading_revisions rr
+             LEFT JOIN users u ON rr.changed_by = u.id
+             WHERE rr.reading_id = ?
+             ORDER BY rr.changed_at DESC, rr.id DESC`,
+            [id]
+        );
+
+        res.json(revisions.map(revision => ({ ...revision, changes: JSON.parse(revision.changes) })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Delete a reading (only if owned by user)
+app.delete('/api/readings/:id', authenticateToken, async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const reading = await dbGet("SELECT * FROM readings WHERE id = ? AND user_id = ?", [id, userId]);
+        if (!reading) {
+            return res.status(404).json({ error: 'Reading not found or unauthorized' });
+        }
+
+        await dbRun("DELETE FROM readings WHERE id = ?", [reading.id]);
+        await dbRun("DELETE FROM reading_revisions WHERE reading_id = ?", [reading.id]);
+        await updateRollups(await resolveMeter(userId, reading.meter_id), [reading]);
+        publishReadings(userId, 'deleted', [{ id: reading.id }]);
         res.json({ message: 'Reading deleted successfully' });
-    });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 // Get all settings for authenticated user
@@ -154,7 +542,29 @@ app.get('/api/settings', authenticateToken, (req, res) => {
 });
 
 // Update settings for authenticated user
-app.put('/api/settings', authenticateToken, (req, res) => {
+app.put('/api/settings', authenticateToken, [
+    body('reminder_schedule')
+        .optional()
+        .isIn(REMINDER_SCHEDULES)
+        .withMessage(`Reminder schedule must be one of: ${REMINDER_SCHEDULES.join(', ')}`),
+    body('reminder_time')
+        .optional()
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Reminder time must be in HH:MM format'),
+    body('reminder_days')
+        .optional()
+        .matches(/^[0-6](,[0-6])*$/)
+        .withMessage('Reminder days must be a comma-separated list of weekdays (0 = Sunday)'),
+    body(['summary_weekly', 'summary_period'])
+        .optional()
+        .isIn(['0', '1'])
+        .withMessage('Summary preferences must be 0 or 1')
+], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
     const settings = req.body;
     const userId = req.user.id;
 
@@ -173,216 +583,64 @@ app.put('/api/settings', authenticateToken, (req, res) => {
     });
 });
 
-// Get statistics for authenticated user's current billing period
-app.get('/api/statistics', authenticateToken, (req, res) => {
+// Get statistics for authenticated user's current billing period.
+// With meter_id, returns that meter's statistics; otherwise the combined
+// statistics for all meters of a utility (utility, water by default) with a
+// per-meter breakdown.
+app.get('/api/statistics', authenticateToken, async (req, res) => {
     const userId = req.user.id;
+    const { meter_id, utility = DEFAULT_UTILITY } = req.query;
 
-    // First get billing period settings
-    db.all(
-        "SELECT * FROM settings WHERE user_id = ? AND setting_key IN ('billing_start_day', 'billing_end_day')",
-        [userId],
-        (err, settingRows) => {
-            if (err) {
-                res.status(500).json({ error: err.message });
-                return;
-            }
-
-            const settings = {};
-            settingRows.forEach(row => {
-                settings[row.setting_key] = parseInt(row.setting_value);
-            });
-
-            // Default billing period if not set
-            if (!settings.billing_start_day) settings.billing_start_day = 1;
-            if (!settings.billing_end_day) settings.billing_end_day = 31;
-
-            const today = new Date();
-            const currentYear = today.getFullYear();
-            const currentMonth = today.getMonth();
-            const currentDay = today.getDate();
-
-            let startDate, endDate;
-
-            if (currentDay >= settings.billing_start_day) {
-                startDate = new Date(currentYear, currentMonth, settings.billing_start_day);
-                if (settings.billing_end_day < settings.billing_start_day) {
-                    endDate = new Date(currentYear, currentMonth + 1, settings.billing_end_day);
-                } else {
-                    endDate = new Date(currentYear, currentMonth, settings.billing_end_day);
-                }
-            } else {
-                startDate = new Date(currentYear, currentMonth - 1, settings.billing_start_day);
-                endDate = new Date(currentYear, currentMonth, settings.billing_end_day);
-            }
-
-            const startDateStr = startDate.toISOString().split('T')[0];
-            const endDateStr = endDate.toISOString().split('T')[0];
-
-            // Get readings for the period (user-specific)
-            db.all(
-                "SELECT * FROM readings WHERE user_id = ? AND reading_date BETWEEN ? AND ? ORDER BY reading_date, reading_time",
-                [userId, startDateStr, endDateStr],
-                (err, readings) => {
-                    if (err) {
-                        res.status(500).json({ error: err.message });
-                        return;
-                    }
-
-                    // Get all settings for cost calculation
-                    db.all("SELECT * FROM settings WHERE user_id = ?", [userId], (err, allSettings) => {
-                        if (err) {
-                            res.status(500).json({ error: err.message });
-                            return;
-                        }
-
-                        const settingsObj = {};
-                        allSettings.forEach(row => {
-                            settingsObj[row.setting_key] = row.setting_value;
-                        });
-
-                        // Calculate statistics
-                        const stats = calculateStatistics(readings, settingsObj, startDate, endDate);
-                        res.json(stats);
-                    });
-                }
-            );
-        }
-    );
-});
-
-// Calculate statistics helper function
-function calculateStatistics(readings, settings, startDate, endDate) {
-    if (readings.length < 2) {
-        return {
-            totalUsage: 0,
-            dailyUsage: [],
-            avgDailyUsage: 0,
-            currentCost: 0,
-            projectedCost: 0,
-            costBreakdown: {
-                current: { waterBasic: 0, waterUsage: 0, sewage: 0, total: 0 },
-                projected: { waterBasic: 0, waterUsage: 0, sewage: 0, total: 0 }
-            },
-            billingPeriod: {
-                start: startDate.toISOString().split('T')[0],
-                end: endDate.toISOString().split('T')[0]
-            }
-        };
+    if (!UTILITIES[utility]) {
+        return res.status(400).json({ error: `Utility must be one of: ${Object.keys(UTILITIES).join(', ')}` });
     }
 
-    // Calculate daily usage
-    // When you take a reading on day X, the difference from the previous reading
-    // represents water consumed on day X-1 (the previous day)
-    const dailyUsage = [];
-    for (let i = 1; i < readings.length; i++) {
-        const usage = readings[i].reading_value - readings[i - 1].reading_value;
-        dailyUsage.push({
-            date: readings[i - 1].reading_date,  // Attribute usage to the previous day
-            usage: Math.max(0, usage)
-        });
-    }
-
-    const totalUsage = dailyUsage.reduce((sum, day) => sum + day.usage, 0);
-    const daysWithReadings = dailyUsage.length;
-    const avgDailyUsage = daysWithReadings > 0 ? totalUsage / daysWithReadings : 0;
-
-    const currentCostBreakdown = calculateCostBreakdown(totalUsage, settings);
-
-    const totalDaysInPeriod = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
-    const projectedUsage = avgDailyUsage * totalDaysInPeriod;
-    const projectedCostBreakdown = calculateCostBreakdown(projectedUsage, settings);
-
-    return {
-        totalUsage: totalUsage.toFixed(4),
-        dailyUsage,
-        avgDailyUsage: avgDailyUsage.toFixed(4),
-        currentCost: currentCostBreakdown.total.toFixed(2),
-        projectedCost: projectedCostBreakdown.total.toFixed(2),
-        costBreakdown: {
-            current: {
-                waterBasic: currentCostBreakdown.waterBasic.toFixed(2),
-                waterUsage: currentCostBreakdown.waterUsage.toFixed(2),
-                sewage: currentCostBreakdown.sewage.toFixed(2),
-                total: currentCostBreakdown.total.toFixed(2)
-            },
-            projected: {
-                waterBasic: projectedCostBreakdown.waterBasic.toFixed(2),
-                waterUsage: projectedCostBreakdown.waterUsage.toFixed(2),
-                sewage: projectedCostBreakdown.sewage.toFixed(2),
-                total: projectedCostBreakdown.total.toFixed(2)
+    try {
+        let meter = null;
+        if (meter_id) {
+            meter = await resolveMeter(userId, meter_id);
+            if (!meter) {
+                return res.status(404).json({ error: 'Meter not found' });
             }
-        },
-        billingPeriod: {
-            start: startDate.toISOString().split('T')[0],
-            end: endDate.toISOString().split('T')[0]
-        },
-        daysInPeriod: totalDaysInPeriod,
-        daysWithReadings
-    };
-}
-
-// Calculate cost breakdown based on usage blocks
-function calculateCostBreakdown(usage, settings) {
-    const waterBasic = parseFloat(settings.water_basic_monthly_cost || 0);
-    let waterUsageCost = 0;
-    let sewageCost = 0;
-    let remainingUsage = usage;
-
-    const waterBlocks = [
-        { limit: parseFloat(settings.water_block_1_limit || 6), rate: parseFloat(settings.water_block_1_rate || 0) },
-        { limit: parseFloat(settings.water_block_2_limit || 15), rate: parseFloat(settings.water_block_2_rate || 0) },
-        { limit: parseFloat(settings.water_block_3_limit || 25), rate: parseFloat(settings.water_block_3_rate || 0) },
-        { limit: parseFloat(settings.water_block_4_limit || 35), rate: parseFloat(settings.water_block_4_rate || 0) },
-        { limit: Infinity, rate: parseFloat(settings.water_block_5_rate || settings.water_block_4_rate || 0) }
-    ];
-
-    let prevLimit = 0;
-    for (const block of waterBlocks) {
-        const blockUsage = Math.min(remainingUsage, block.limit - prevLimit);
-        if (blockUsage > 0) {
-            waterUsageCost += blockUsage * block.rate;
-            remainingUsage -= blockUsage;
         }
-        prevLimit = block.limit;
-        if (remainingUsage <= 0) break;
-    }
 
-    remainingUsage = usage;
-    const sewageBlocks = [
-        { limit: parseFloat(settings.sewage_block_1_limit || 6), rate: parseFloat(settings.sewage_block_1_rate || 0) },
-        { limit: parseFloat(settings.sewage_block_2_limit || 15), rate: parseFloat(settings.sewage_block_2_rate || 0) },
-        { limit: parseFloat(settings.sewage_block_3_limit || 25), rate: parseFloat(settings.sewage_block_3_rate || 0) },
-        { limit: Infinity, rate: parseFloat(settings.sewage_block_4_rate || 0) }
-    ];
+        const settings = await getUserSettings(userId);
+        const { startDate, endDate } = getBillingPeriod(new Date(), settings);
 
-    prevLimit = 0;
-    for (const block of sewageBlocks) {
-        const blockUsage = Math.min(remainingUsage, block.limit - prevLimit);
-        if (blockUsage > 0) {
-            sewageCost += blockUsage * block.rate;
-            remainingUsage -= blockUsage;
-        }
-        prevLimit = block.limit;
-        if (remainingUsage <= 0) break;
+        res.json(await loadStatistics(userId, startDate, endDate, meter, utility));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
-
-    return {
-        waterBasic,
-        waterUsage: waterUsageCost,
-        sewage: sewageCost,
-        total: waterBasic + waterUsageCost + sewageCost
-    };
-}
+});
 
 // Initialize database and start server
 async function startServer() {
     try {
         // Check for migration needs
         await migrateFromSingleUser();
+        await migrateTariffUtilities();
 
         // Initialize database tables
         await initializeDatabase();
 
+        // Build usage rollups for readings stored before rollups existed
+        await backfillRollups();
+
+        // Thin raw device samples older than the retention window
+        startRetentionSchedule();
+
+        // Check alert rules periodically (readings also trigger a check)
+        startAlertSchedule();
+
+        // Email reading reminders to users whose schedule expected a reading
+        startReminderSchedule();
+
+        // Email weekly and billing period summaries to users who opted in
+        startSummarySchedule();
+
+        // Store readings published by smart meters over MQTT (if MQTT_URL is set)
+        startMqttBridge();
+
         // Start server
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`Water Monitor app is running on http://0.0.0.0:${PORT}`);
@@ -0,0 +1,73 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// An in-memory database, opened when config/database is first required
+process.env.DATABASE_PATH = ':memory:';
+
+const { dbAll, dbRun, withTransaction } = require('../config/database');
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function values() {
+    return (await dbAll("SELECT value FROM items ORDER BY id")).map(row => row.value);
+}
+
+describe('withTransaction', () => {
+    before(() => dbRun("CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, value TEXT NOT NULL)"));
+
+    beforeEach(() => dbRun("DELETE FROM items"));
+
+    it('commits the statements of work that resolves', async () => {
+        const result = await withTransaction(async (tx) => {
+            await tx.run("INSERT INTO items (value) VALUES ('a')");
+            await tx.run("INSERT INTO items (value) VALUES ('b')");
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.deepEqual(await values(), ['a', 'b']);
+    });
+
+    it('rolls back the statements of work that throws', async () => {
+        await assert.rejects(withTransaction(async (tx) => {
+            await tx.run("INSERT INTO items (value) VALUES ('a')");
+            await tx.run("INSERT INTO items (missing) VALUES ('b')");
+        }), /no column named missing/);
+
+        assert.deepEqual(await values(), []);
+    });
+
+    it('keeps other statements out of a transaction that rolls back', async () => {
+        const failing = withTransaction(async (tx) => {
+            await tx.run("INSERT INTO items (value) VALUES ('in transaction')");
+            await delay(20);
+            throw new Error('Failed');
+        });
+        const outside = delay(5).then(() => dbRun("INSERT INTO items (value) VALUES ('outside')"));
+
+        await assert.rejects(failing, /Failed/);
+        await outside;
+        assert.deepEqual(await values(), ['outside']);
+    });
+
+    it('runs transactions one at a time', async () => {
+        const order = [];
+        const first = withTransaction(async (tx) => {
+            order.push('first begins');
+            await delay(20);
+            await tx.run("INSERT INTO items (value) VALUES ('first')");
+            order.push('first ends');
+        });
+        const second = withTransaction(async (tx) => {
+            order.push('second begins');
+            await tx.run("INSERT INTO items (value) VALUES ('second')");
+            order.push('second ends');
+        });
+
+        await Promise.all([first, second]);
+        assert.deepEqual(order, ['first begins', 'first ends', 'second begins', 'second ends']);
+        assert.deepEqual(await values(), ['first', 'second']);
+    });
+});
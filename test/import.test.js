@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReadingsFile } = require('../utils/import');
+
+function dates(content, options) {
+    return parseReadingsFile(content, options).rows.map(row => row.reading_date || row.error);
+}
+
+describe('parseReadingsFile dates', () => {
+    it('reads day-first dates by default and month-first ones when a part is over 12', () => {
+        assert.deepEqual(dates('03/04/2026,100\n05/04/2026,101'), ['2026-04-03', '2026-04-05']);
+        assert.deepEqual(dates('04/03/2026,100\n04/15/2026,101'), ['2026-04-03', '2026-04-15']);
+    });
+
+    it('honours an explicit month-first format', () => {
+        assert.deepEqual(dates('03/04/2026,100', { dateFormat: 'MDY' }), ['2026-03-04']);
+    });
+
+    it('rejects day- or month-first dates under the YMD format', () => {
+        assert.deepEqual(dates('2026/03/04,100\n03/04/2026,101', { dateFormat: 'YMD' }), [
+            '2026-03-04',
+            'Invalid date "03/04/2026"'
+        ]);
+    });
+});
+
+describe('parseReadingsFile values', () => {
+    function values(content, valueFormat) {
+        return parseReadingsFile(content, { valueFormat }).rows.map(row => row.reading_value);
+    }
+
+    it('treats large values as 7-digit registers when auto-detecting', () => {
+        assert.deepEqual(values('2026-03-01,1287309\n2026-03-02,128.8', 'auto'), [128.7309, 128.8]);
+    });
+
+    it('converts liters and keeps kiloliters as given', () => {
+        assert.deepEqual(values('2026-03-01,128730', 'liters'), [128.73]);
+        assert.deepEqual(values('2026-03-01,1287.3', 'kl'), [1287.3]);
+    });
+});
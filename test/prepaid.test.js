@@ -0,0 +1,113 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// An in-memory database, opened when config/database is first required
+process.env.DATABASE_PATH = ':memory:';
+
+const { dbRun, initializeDatabase } = require('../config/database');
+const { readingTimestamp } = require('../utils/statistics');
+const { prepaidStatus } = require('../utils/prepaid');
+
+const meter = { id: 1, user_id: 1, name: 'House', utility: 'electricity' };
+
+function at(date, time = '08:00') {
+    return readingTimestamp({ reading_date: date, reading_time: time });
+}
+
+function addBalance(date, balance, time = '08:00') {
+    return dbRun(
+        "INSERT INTO prepaid_balances (user_id, meter_id, reading_date, reading_time, balance) VALUES (?, ?, ?, ?, ?)",
+        [meter.user_id, meter.id, date, time, balance]
+    );
+}
+
+function addPurchase(date, amountPaid, units, fixedCharges = 0, time = '08:00') {
+    return dbRun(
+        `INSERT INTO prepaid_purchases (user_id, meter_id, purchase_date, purchase_time, amount_paid, units, fixed_charges)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [meter.user_id, meter.id, date, time, amountPaid, units, fixedCharges]
+    );
+}
+
+describe('prepaidStatus', () => {
+    before(() => initializeDatabase());
+
+    beforeEach(async () => {
+        for (const table of ['prepaid_balances', 'prepaid_purchases', 'usage_daily', 'alert_rules']) {
+            await dbRun(`DELETE FROM ${table}`);
+        }
+    });
+
+    it('has no estimate without balance readings or usage', async () => {
+        const status = await prepaidStatus(meter, at('2026-10-13'));
+
+        assert.equal(status.latestBalance, null);
+        assert.equal(status.estimatedBalance, null);
+        assert.equal(status.dailyUsage, null);
+        assert.equal(status.daysRemaining, null);
+        assert.equal(status.lowBalance, false);
+    });
+
+    it('estimates usage from balance readings and the units bought in between', async () => {
+        await addBalance('2026-10-01', 100);
+        await addPurchase('2026-10-05', 230, 100, 30);
+        await addBalance('2026-10-11', 50);
+
+        const status = await prepaidStatus(meter, at('2026-10-13'));
+
+        // 100 + 100 bought - 50 left over 10 days
+        assert.equal(status.dailyUsage, 15);
+        assert.equal(status.usageSource, 'balances');
+        // 50 left less two days at 15 a day
+        assert.equal(status.estimatedBalance, 20);
+        assert.equal(status.daysRemaining, 1.3);
+        assert.equal(status.emptyDate, '2026-10-14');
+        assert.equal(status.lowBalance, true);
+        assert.deepEqual(
+            [status.price.effectiveRate, status.price.energyRate, status.price.fixedCharges],
+            [2.3, 2, 30]
+        );
+    });
+
+    it('adds units bought since the latest balance reading', async () => {
+        await addBalance('2026-10-01', 100);
+        await addBalance('2026-10-11', 50);
+        await addPurchase('2026-10-12', 200, 100);
+
+        const status = await prepaidStatus(meter, at('2026-10-13'));
+
+        assert.equal(status.dailyUsage, 5);
+        assert.equal(status.estimatedBalance, 140);
+        assert.equal(status.daysRemaining, 28);
+        assert.equal(status.lowBalance, false);
+    });
+
+    it('falls back to the meter\'s daily usage without two balance readings', async () => {
+        await addBalance('2026-10-11', 50);
+        for (const date of ['2026-10-08', '2026-10-09', '2026-10-10', '2026-10-11']) {
+            await dbRun("INSERT INTO usage_daily (meter_id, date, usage, covered) VALUES (?, ?, 8, 1)", [meter.id, date]);
+        }
+
+        const status = await prepaidStatus(meter, at('2026-10-12'));
+
+        assert.equal(status.dailyUsage, 8);
+        assert.equal(status.usageSource, 'readings');
+        assert.equal(status.estimatedBalance, 42);
+        assert.equal(status.daysRemaining, 5.3);
+    });
+
+    it('uses the lowest threshold of the user\'s prepaid alert rules', async () => {
+        await addBalance('2026-10-01', 100);
+        await addBalance('2026-10-11', 50);
+        await dbRun(
+            "INSERT INTO alert_rules (user_id, meter_id, name, metric, period, threshold) VALUES (?, ?, 'Low', 'prepaid_days', 'day', 14)",
+            [meter.user_id, meter.id]
+        );
+
+        const status = await prepaidStatus(meter, at('2026-10-11'));
+
+        assert.equal(status.daysRemaining, 10);
+        assert.equal(status.lowBalanceDays, 14);
+        assert.equal(status.lowBalance, true);
+    });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyReading, usageBetween, isFutureReading } = require('../utils/readings');
+
+const CAPACITY = 1000;
+
+function reading(value, extra = {}) {
+    return { reading_date: '2026-03-01', reading_time: '08:00', reading_value: value, ...extra };
+}
+
+describe('classifyReading', () => {
+    it('accepts the first reading and increases', () => {
+        assert.equal(classifyReading(null, reading(5), CAPACITY), null);
+        assert.equal(classifyReading(reading(5), reading(5), CAPACITY), null);
+        assert.equal(classifyReading(reading(5), reading(7.5), CAPACITY), null);
+    });
+
+    it('treats a drop from near the top of the register to near zero as a rollover', () => {
+        assert.equal(classifyReading(reading(995), reading(3), CAPACITY), 'rollover');
+    });
+
+    it('flags any other drop as a decrease', () => {
+        assert.equal(classifyReading(reading(500), reading(3), CAPACITY), 'decrease');
+        assert.equal(classifyReading(reading(995), reading(500), CAPACITY), 'decrease');
+    });
+
+    it('does not check a meter replacement against the old meter', () => {
+        assert.equal(classifyReading(reading(500), reading(2, { event_type: 'meter_replaced' }), CAPACITY), null);
+    });
+});
+
+describe('usageBetween', () => {
+    it('is the difference between consecutive readings', () => {
+        assert.equal(usageBetween(reading(10), reading(12.5), CAPACITY), 2.5);
+    });
+
+    it('adds the register capacity across a rollover', () => {
+        assert.equal(usageBetween(reading(998), reading(3), CAPACITY), 5);
+    });
+
+    it('is zero for a decrease', () => {
+        assert.equal(usageBetween(reading(500), reading(400), CAPACITY), 0);
+    });
+
+    it('counts the old meter up to its final reading across a replacement', () => {
+        const replaced = reading(1, { event_type: 'meter_replaced', previous_meter_final: 104 });
+        assert.equal(usageBetween(reading(100), replaced, CAPACITY), 4);
+    });
+
+    it('is zero across a replacement without the old meter\'s final reading', () => {
+        const replaced = reading(1, { event_type: 'meter_replaced', previous_meter_final: null });
+        assert.equal(usageBetween(reading(100), replaced, CAPACITY), 0);
+    });
+});
+
+describe('isFutureReading', () => {
+    const now = new Date(2026, 2, 1, 8, 0).getTime();
+
+    it('allows readings up to a day ahead', () => {
+        assert.equal(isFutureReading({ reading_date: '2026-03-02', reading_time: '07:00' }, undefined, now), false);
+    });
+
+    it('rejects readings further ahead', () => {
+        assert.equal(isFutureReading({ reading_date: '2026-03-03', reading_time: '07:00' }, undefined, now), true);
+        assert.equal(isFutureReading({ reading_date: '2062-03-01', reading_time: '08:00' }, undefined, now), true);
+    });
+});
@@ -0,0 +1,191 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateStatistics, calculateCostBreakdown } = require('../utils/statistics');
+
+// An unbilled meter, so usage is calculated without costing it
+const METER = { billed: 0, register_capacity_kl: 1000 };
+
+function blockTariff(overrides = {}) {
+    return {
+        id: 1,
+        effective_from: '2000-01-01',
+        type: 'blocks',
+        time_of_use: null,
+        vat_rate: 15,
+        block_proration: 'monthly',
+        charges: [{
+            key: 'water',
+            name: 'Water',
+            basic_charge: 100,
+            vatable: true,
+            blocks: [{ limit: 6, rate: 10 }, { limit: null, rate: 20 }]
+        }],
+        line_items: [],
+        ...overrides
+    };
+}
+
+// Peak from 06:00 to 12:00 every day, off-peak otherwise
+const PEAK_HOURS = Array.from({ length: 24 }, (_, hour) => (hour >= 6 && hour < 12 ? 'peak' : 'off_peak'));
+
+function timeOfUseTariff() {
+    return {
+        id: 2,
+        effective_from: '2000-01-01',
+        type: 'time_of_use',
+        time_of_use: {
+            bands: [{ key: 'peak', name: 'Peak' }, { key: 'off_peak', name: 'Off-peak' }],
+            seasons: [{
+                key: 'all_year',
+                name: 'All year',
+                months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+                weekday: PEAK_HOURS,
+                saturday: PEAK_HOURS,
+                sunday: PEAK_HOURS
+            }]
+        },
+        vat_rate: 0,
+        block_proration: 'monthly',
+        charges: [{
+            key: 'energy',
+            name: 'Energy',
+            basic_charge: 0,
+            vatable: false,
+            band_rates: { all_year: { peak: 3, off_peak: 1 } }
+        }],
+        line_items: []
+    };
+}
+
+// Round away floating point noise before comparing
+function round(value) {
+    return Math.round(value * 1e9) / 1e9;
+}
+
+// Round away floating point noise before comparing amounts
+function money(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+describe('calculateStatistics', () => {
+    const start = new Date(2026, 2, 1);
+    const end = new Date(2026, 2, 31);
+
+    it('averages over the time covered by readings and projects it over the period', () => {
+        const stats = calculateStatistics([
+            { date: '2026-03-01', usage: 0.5, covered: 0.5 },
+            { date: '2026-03-02', usage: 1, covered: 1 },
+            { date: '2026-03-03', usage: 0.5, covered: 0.5 }
+        ], [], start, end, METER);
+
+        assert.equal(stats.totalUsage, '2.0000');
+        assert.equal(stats.avgDailyUsage, '1.0000');
+        // The uncovered halves of the first and last days are projected too
+        assert.equal(round(stats.projectedUsage), 31);
+    });
+});
+
+describe('calculateCostBreakdown', () => {
+    const start = new Date(2026, 2, 1);
+    const end = new Date(2026, 2, 31);
+
+    it('charges usage through the blocks with the basic charge and VAT', () => {
+        const costs = calculateCostBreakdown([{ date: '2026-03-10', usage: 10 }], [blockTariff()], start, end);
+
+        const [water] = costs.charges;
+        assert.equal(water.basic, 100);
+        assert.equal(water.usage, 6 * 10 + 4 * 20);
+        assert.equal(money(water.vat), 36);
+        assert.equal(money(costs.subtotal), 240);
+        assert.equal(money(costs.total), 276);
+    });
+
+    it('adds VAT only on vatable lines and line items', () => {
+        const tariff = blockTariff({
+            line_items: [
+                { key: 'refuse', name: 'Refuse', type: 'fixed', amount: 50, vatable: true },
+                { key: 'levy', name: 'Levy', type: 'per_kl', amount: 2, vatable: false }
+            ]
+        });
+        tariff.charges[0].vatable = false;
+        const costs = calculateCostBreakdown([{ date: '2026-03-10', usage: 10 }], [tariff], start, end);
+
+        assert.deepEqual(costs.lineItems.map(item => [item.key, item.amount, money(item.vat)]), [
+            ['refuse', 50, 7.5],
+            ['levy', 20, 0]
+        ]);
+        assert.equal(money(costs.vat), 7.5);
+        assert.equal(money(costs.total), 240 + 50 + 20 + 7.5);
+    });
+
+    it('charges each charge type through its own blocks', () => {
+        const tariff = blockTariff();
+        tariff.charges.push({
+            key: 'sewage',
+            name: 'Sewage',
+            basic_charge: 0,
+            blocks: [{ limit: 2, rate: 1 }, { limit: 5, rate: 2 }, { limit: 8, rate: 3 }, { limit: null, rate: 4 }]
+        });
+        const costs = calculateCostBreakdown([{ date: '2026-03-10', usage: 10 }], [tariff], start, end);
+
+        assert.deepEqual(costs.charges.map(charge => [charge.key, charge.usage]), [
+            ['water', 140],
+            ['sewage', 2 * 1 + 3 * 2 + 3 * 3 + 2 * 4]
+        ]);
+    });
+
+    it('pro-rates basic charges and block limits across a tariff change', () => {
+        const later = blockTariff({ id: 3, effective_from: '2026-03-16' });
+        later.charges[0].blocks = [{ limit: 6, rate: 30 }, { limit: null, rate: 40 }];
+        const usage = [{ date: '2026-03-05', usage: 4 }, { date: '2026-03-20', usage: 4 }];
+        const costs = calculateCostBreakdown(usage, [blockTariff(), later], start, new Date(2026, 2, 30));
+
+        assert.deepEqual(costs.segments.map(segment => [segment.start, segment.end, segment.days]), [
+            ['2026-03-01', '2026-03-15', 15],
+            ['2026-03-16', '2026-03-30', 15]
+        ]);
+        assert.deepEqual(costs.segments.map(segment => segment.blockLimits[0].limits), [[3], [3]]);
+
+        const [water] = costs.charges;
+        assert.equal(water.basic, 100);
+        assert.equal(money(water.usage), (3 * 10 + 1 * 20) + (3 * 30 + 1 * 40));
+    });
+
+    it('scales block limits by the period\'s days with daily pro-ration', () => {
+        const tariff = blockTariff({ block_proration: 'daily' });
+        const costs = calculateCostBreakdown([{ date: '2026-03-10', usage: 10 }], [tariff], start, end);
+
+        const limit = 6 * 31 / (365 / 12);
+        assert.equal(costs.segments[0].blockLimits[0].limits[0], parseFloat(limit.toFixed(3)));
+        assert.equal(money(costs.charges[0].usage), money(limit * 10 + (10 - limit) * 20));
+        assert.equal(costs.charges[0].basic, 100);
+    });
+
+    it('charges time-of-use usage per band', () => {
+        const usage = [{ date: '2026-03-10', usage: 10, bands: { peak: 4, off_peak: 6 } }];
+        const costs = calculateCostBreakdown(usage, [timeOfUseTariff()], start, end);
+
+        const [energy] = costs.charges;
+        assert.deepEqual(energy.bands.map(band => [band.band, band.usage, band.cost]), [
+            ['peak', 4, 12],
+            ['off_peak', 6, 6]
+        ]);
+        assert.equal(costs.total, 18);
+    });
+
+    it('shares time-of-use usage without bands by the hours in each band', () => {
+        const costs = calculateCostBreakdown([{ date: '2026-03-10', usage: 24 }], [timeOfUseTariff()], start, end);
+
+        assert.deepEqual(costs.charges[0].bands.map(band => [band.band, band.usage]), [
+            ['peak', 6],
+            ['off_peak', 18]
+        ]);
+        assert.equal(costs.total, 6 * 3 + 18 * 1);
+    });
+
+    it('costs nothing without a tariff', () => {
+        const costs = calculateCostBreakdown([{ date: '2026-03-10', usage: 10 }], [], start, end);
+        assert.equal(costs.total, 0);
+        assert.deepEqual(costs.charges, []);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { distributeHourly } = require('../utils/telemetry');
+
+const CAPACITY = 1000;
+
+function reading(date, time, value) {
+    return { reading_date: date, reading_time: time, reading_value: value };
+}
+
+// Round away floating point noise before comparing
+function round(value) {
+    return Math.round(value * 1e9) / 1e9;
+}
+
+describe('distributeHourly', () => {
+    it('spreads an interval across hours in proportion to the time in each', () => {
+        const hours = distributeHourly([
+            reading('2026-03-01', '10:30', 100),
+            reading('2026-03-01', '12:30', 100.12)
+        ], CAPACITY);
+
+        assert.deepEqual([...hours].map(([hour, { usage, covered }]) => [hour, round(usage), covered]), [
+            ['2026-03-01 10:00', 0.03, 0.5],
+            ['2026-03-01 11:00', 0.06, 1],
+            ['2026-03-01 12:00', 0.03, 0.5]
+        ]);
+        // 120 L over 120 minutes
+        assert.equal(round(hours.get('2026-03-01 11:00').peakFlow), 1);
+    });
+
+    it('keeps the highest flow rate of the intervals in an hour', () => {
+        const hours = distributeHourly([
+            reading('2026-03-01', '10:00', 100),
+            reading('2026-03-01', '10:10', 100.01),
+            reading('2026-03-01', '10:20', 100.05)
+        ], CAPACITY);
+
+        const hour = hours.get('2026-03-01 10:00');
+        assert.equal(round(hour.usage), 0.05);
+        assert.equal(round(hour.peakFlow), 4);
+    });
+
+    it('leaves out flow rates without withFlow', () => {
+        const hours = distributeHourly([
+            reading('2026-03-01', '10:00', 100),
+            reading('2026-03-01', '11:00', 101)
+        ], CAPACITY, false);
+
+        assert.equal(hours.get('2026-03-01 10:00').peakFlow, null);
+    });
+
+    it('counts usage across a register rollover', () => {
+        const hours = distributeHourly([
+            reading('2026-03-01', '10:00', 999.5),
+            reading('2026-03-01', '11:00', 0.5)
+        ], CAPACITY);
+
+        assert.equal(round(hours.get('2026-03-01 10:00').usage), 1);
+    });
+
+    it('puts usage between readings at the same moment in that hour, uncovered', () => {
+        const hours = distributeHourly([
+            reading('2026-03-01', '10:15', 100),
+            reading('2026-03-01', '10:15', 100.2)
+        ], CAPACITY);
+
+        assert.deepEqual([...hours].map(([hour, { usage, covered, peakFlow }]) => [hour, round(usage), covered, peakFlow]), [
+            ['2026-03-01 10:00', 0.2, 0, null]
+        ]);
+    });
+
+    it('spreads a long interval a day at a time', () => {
+        const hours = distributeHourly([
+            reading('2026-01-01', '00:00', 100),
+            reading('2026-03-02', '00:00', 160)
+        ], CAPACITY);
+
+        const rows = [...hours];
+        assert.equal(rows.length, 60);
+        assert.ok(rows.every(([hour]) => hour.endsWith(' 00:00')));
+        assert.equal(round(rows.reduce((sum, [, { usage }]) => sum + usage, 0)), 60);
+        assert.equal(round(hours.get('2026-02-01 00:00').usage), 1);
+    });
+
+    it('does not spread an interval of over ten years', () => {
+        const hours = distributeHourly([
+            reading('2010-01-01', '00:00', 100),
+            reading('2026-03-01', '08:30', 150)
+        ], CAPACITY);
+
+        assert.deepEqual([...hours].map(([hour, { usage, covered }]) => [hour, usage, covered]), [
+            ['2026-03-01 08:00', 50, 0]
+        ]);
+    });
+});
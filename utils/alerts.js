@@ -0,0 +1,282 @@
+// Alert rules: usage and cost thresholds evaluated when readings are saved and
+// on a schedule. Each rule raises at most one alert per window (an hour's
+// reading interval, a day, a week or a billing period).
+
+const { dbGet, dbAll, dbRun, getUserSettings } = require('../config/database');
+const { getRegisterCapacity, usageBetween } = require('./readings');
+const { DEFAULT_UTILITY, meterUnit, getUserMeters } = require('./meters');
+const { MS_PER_DAY, formatISODate, readingTimestamp, getBillingPeriod, loadStatistics } = require('./statistics');
+const { sendAlertEmail } = require('./email');
+const { publish } = require('./events');
+const { proposeValveClose } = require('./commands');
+const { PREPAID_UTILITY, prepaidStatus } = require('./prepaid');
+
+const ALERT_METRICS = ['usage', 'cost', 'prepaid_days'];
+const ALERT_PERIODS = ['hourly', 'daily', 'weekly', 'monthly'];
+const ALERT_CONDITIONS = ['above', 'deviation', 'below'];
+const ALERT_STATES = ['open', 'acknowledged'];
+
+// Days before a window used as the average for deviation rules
+const BASELINE_DAYS = 28;
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const PERIOD_LABELS = {
+    hourly: 'Hourly',
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Billing period'
+};
+
+function parseDate(str) {
+    const [year, month, day] = str.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Latest reading on one meter, or across all the user's water meters
+// (rules without a meter cover the combined water usage)
+function latestReading(userId, meter) {
+    return meter
+        ? dbGet("SELECT * FROM readings WHERE meter_id = ? ORDER BY reading_date DESC, reading_time DESC LIMIT 1", [meter.id])
+        : dbGet(
+            `SELECT r.* FROM readings r JOIN meters m ON m.id = r.meter_id
+             WHERE r.user_id = ? AND m.utility = ? ORDER BY r.reading_date DESC, r.reading_time DESC LIMIT 1`,
+            [userId, DEFAULT_UTILITY]
+        );
+}
+
+// Average daily usage over the BASELINE_DAYS before a date
+async function baselineDailyUsage(userId, meter, beforeDate) {
+    const stats = await loadStatistics(userId, addDays(beforeDate, -BASELINE_DAYS), addDays(beforeDate, -1), meter);
+    return parseFloat(stats.avgDailyUsage) || 0;
+}
+
+// Usage per hour over a meter's latest reading interval
+async function hourlyWindows(userId, meters) {
+    const windows = [];
+    for (const meter of meters) {
+        const [latest, previous] = await dbAll(
+            "SELECT * FROM readings WHERE meter_id = ? ORDER BY reading_date DESC, reading_time DESC LIMIT 2",
+            [meter.id]
+        );
+        if (!previous) continue;
+
+        const hours = (readingTimestamp(latest) - readingTimestamp(previous)) / (60 * 60 * 1000);
+        if (hours <= 0) continue;
+
+        const start = `${previous.reading_date} ${previous.reading_time}`;
+        windows.push({
+            meter,
+            start,
+            end: `${latest.reading_date} ${latest.reading_time}`,
+            key: `${meter.id}:${start}`,
+            value: usageBetween(previous, latest, getRegisterCapacity(meter)) / hours,
+            days: 1 / 24,
+            baselineFrom: parseDate(previous.reading_date)
+        });
+    }
+    return windows;
+}
+
+// Days of prepaid units left on each electricity meter, one window per meter
+// per day so a low balance is alerted at most daily
+async function prepaidWindows(meters) {
+    const today = formatISODate(new Date());
+    const windows = [];
+    for (const meter of meters) {
+        const status = await prepaidStatus(meter);
+        if (status.daysRemaining === null) continue;
+
+        windows.push({
+            meter,
+            start: today,
+            end: status.emptyDate,
+            key: `${meter.id}:${today}`,
+            value: status.daysRemaining
+        });
+    }
+    return windows;
+}
+
+/**
+ * The windows a rule is evaluated over, each with its value. Hourly rules look
+ * at each meter's latest reading interval; daily and weekly rules at the last
+ * full days before the latest reading; monthly rules at the billing period
+ * containing the latest reading (usage so far, or the projected cost).
+ * Prepaid rules look at the days of units left on each electricity meter.
+ */
+async function ruleWindows(userId, rule, meter) {
+    if (rule.metric === 'prepaid_days') {
+        return prepaidWindows(meter ? [meter] : await getUserMeters(userId, PREPAID_UTILITY));
+    }
+    if (rule.period === 'hourly') {
+        return hourlyWindows(userId, meter ? [meter] : await getUserMeters(userId, DEFAULT_UTILITY));
+    }
+
+    const latest = await latestReading(userId, meter);
+    if (!latest) return [];
+    const scope = meter ? meter.id : 'all';
+
+    if (rule.period === 'monthly') {
+        const settings = await getUserSettings(userId);
+        const { startDate, endDate } = getBillingPeriod(parseDate(latest.reading_date), settings);
+        const stats = await loadStatistics(userId, startDate, endDate, meter);
+        const start = formatISODate(startDate);
+        return [{
+            meter,
+            start,
+            end: formatISODate(endDate),
+            key: `${scope}:${start}`,
+            value: rule.metric === 'cost' ? parseFloat(stats.projectedCost) : parseFloat(stats.totalUsage),
+            days: Math.max((readingTimestamp(latest) - startDate.getTime()) / MS_PER_DAY, 0),
+            baselineFrom: startDate
+        }];
+    }
+
+    const endDate = addDays(parseDate(latest.reading_date), -1);
+    const startDate = addDays(endDate, rule.period === 'weekly' ? -6 : 0);
+    const stats = await loadStatistics(userId, startDate, endDate, meter);
+    const start = formatISODate(startDate);
+    return [{
+        meter,
+        start,
+        end: formatISODate(endDate),
+        key: `${scope}:${start}`,
+        value: parseFloat(stats.totalUsage),
+        days: rule.period === 'weekly' ? 7 : 1,
+        baselineFrom: startDate
+    }];
+}
+
+function formatValue(rule, value, meter) {
+    if (rule.metric === 'cost') return `R ${value.toFixed(2)}`;
+    if (rule.metric === 'prepaid_days') return `${value.toFixed(1)} days`;
+    const unit = meterUnit(meter);
+    return rule.period === 'hourly' ? `${value.toFixed(3)} ${unit}/h` : `${value.toFixed(3)} ${unit}`;
+}
+
+function alertMessage(rule, window, limit) {
+    const where = window.meter ? window.meter.name : 'all meters';
+    if (rule.metric === 'prepaid_days') {
+        return `${rule.name}: Prepaid units on ${where} will run out in ${formatValue(rule, window.value)} (around ${window.end}), below ${formatValue(rule, limit)}`;
+    }
+
+    const what = rule.metric === 'cost'
+        ? `Projected cost for the billing period (${where})`
+        : `${PERIOD_LABELS[rule.period]} usage on ${where}`;
+
+    if (rule.condition === 'deviation') {
+        return `${rule.name}: ${what} of ${formatValue(rule, window.value, window.meter)} is more than ${rule.threshold}% above the average of ${formatValue(rule, window.baseline, window.meter)}`;
+    }
+    return `${rule.name}: ${what} of ${formatValue(rule, window.value, window.meter)} exceeded ${formatValue(rule, limit, window.meter)}`;
+}
+
+// Evaluate one rule, storing an alert for each window past its threshold.
+// Returns the alerts raised (windows that already had an alert are skipped).
+async function evaluateRule(userId, rule) {
+    let meter = null;
+    if (rule.meter_id) {
+        meter = await dbGet("SELECT * FROM meters WHERE id = ? AND user_id = ?", [rule.meter_id, userId]);
+        if (!meter) return [];
+    }
+
+    const raised = [];
+    for (const window of await ruleWindows(userId, rule, meter)) {
+        let limit = rule.threshold;
+        if (rule.condition === 'deviation') {
+            // The average usage over a window of the same length (per hour for hourly rules)
+            window.baseline = await baselineDailyUsage(userId, window.meter, window.baselineFrom) * window.days;
+            if (window.baseline <= 0) continue;
+            limit = window.baseline * (1 + rule.threshold / 100);
+        }
+        const triggered = rule.condition === 'below' ? window.value < limit : window.value > limit;
+        if (!triggered) continue;
+
+        const message = alertMessage(rule, window, limit);
+        const result = await dbRun(
+            `INSERT OR IGNORE INTO alerts (user_id, rule_id, meter_id, window_key, window_start, window_end, value, threshold, message)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, rule.id, window.meter ? window.meter.id : null, window.key, window.start, window.end, window.value, limit, message]
+        );
+        if (result.changes > 0) {
+            raised.push({ id: result.lastID, rule, message });
+        }
+    }
+    return raised;
+}
+
+/**
+ * Evaluate a user's enabled rules (only those covering meterId, if given),
+ * propose closing the valve of rules linked to one, and email any new alerts
+ * from rules with email delivery. Resolves to the new alerts as
+ * { id, rule_id, message }.
+ */
+async function evaluateAlertRules(userId, meterId = null) {
+    const rules = await dbAll("SELECT * FROM alert_rules WHERE user_id = ? AND enabled = 1", [userId]);
+
+    const raised = [];
+    for (const rule of rules) {
+        if (meterId && rule.meter_id && rule.meter_id !== meterId) continue;
+        raised.push(...await evaluateRule(userId, rule));
+    }
+
+    // The valve is only closed once the user confirms
+    for (const alert of raised) {
+        alert.valveCommand = await proposeValveClose(userId, alert.rule, alert.id);
+    }
+
+    const toEmail = raised.filter(alert => alert.rule.email);
+    if (toEmail.length > 0) {
+        const user = await dbGet("SELECT username, email FROM users WHERE id = ?", [userId]);
+        if (user && user.email) {
+            try {
+                await sendAlertEmail(user.email, user.username, toEmail.map(alert => alert.valveCommand
+                    ? `${alert.message}. Closing the valve on ${alert.valveCommand.device_name} is waiting for your confirmation in the app.`
+                    : alert.message));
+            } catch (err) {
+                console.error('Alert email error:', err.message);
+            }
+        }
+    }
+
+    const alerts = raised.map(({ id, rule, message }) => ({ id, rule_id: rule.id, message }));
+    if (alerts.length > 0) {
+        publish(userId, 'alerts', { alerts });
+    }
+    return alerts;
+}
+
+// Evaluate every user's rules (run on a schedule)
+async function checkAllAlerts() {
+    const users = await dbAll(
+        `SELECT DISTINCT r.user_id FROM alert_rules r JOIN users u ON u.id = r.user_id
+         WHERE r.enabled = 1 AND u.is_active = 1`
+    );
+    for (const { user_id } of users) {
+        try {
+            await evaluateAlertRules(user_id);
+        } catch (err) {
+            console.error(`Alert check failed for user ${user_id}:`, err.message);
+        }
+    }
+}
+
+function startAlertSchedule() {
+    return setInterval(() => {
+        checkAllAlerts().catch(err => console.error('Alert check error:', err.message));
+    }, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+    ALERT_METRICS,
+    ALERT_PERIODS,
+    ALERT_CONDITIONS,
+    ALERT_STATES,
+    evaluateAlertRules,
+    checkAllAlerts,
+    startAlertSchedule
+};
@@ -0,0 +1,194 @@
+// Bills: municipal bills as received, reconciled against the costs the app
+// calculates for the same dates to spot estimated readings and billing errors
+
+const { dbGet } = require('../config/database');
+const { DEFAULT_UTILITY, meterUnit, getUserMeters } = require('./meters');
+const { formatISODate, periodDates, loadStatistics, calculateCostBreakdown } = require('./statistics');
+const { chargeKey, getUserTariffs } = require('./tariffs');
+
+// Differences within these tolerances are not flagged
+const USAGE_TOLERANCE_PERCENT = 5;
+const READING_TOLERANCE_KL = 0.5;
+const AMOUNT_TOLERANCE = 1;
+
+// How far from the bill's period dates one of our readings may be to compare it
+const READING_WINDOW_DAYS = 3;
+
+function parseDate(str) {
+    const [year, month, day] = str.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function shiftDate(str, days) {
+    const date = parseDate(str);
+    date.setDate(date.getDate() + days);
+    return date;
+}
+
+function round(value, decimals = 2) {
+    return parseFloat(value.toFixed(decimals));
+}
+
+// Parse the JSON columns of a bill row
+function parseBill(row) {
+    return {
+        ...row,
+        estimated: !!row.estimated,
+        line_items: JSON.parse(row.line_items)
+    };
+}
+
+// Our reading on a meter closest to a date, within the comparison window
+function nearestReading(meterId, date) {
+    return dbGet(
+        `SELECT * FROM readings WHERE meter_id = ? AND reading_date BETWEEN ? AND ?
+         ORDER BY ABS(julianday(reading_date) - julianday(?)), reading_time LIMIT 1`,
+        [
+            meterId,
+            formatISODate(shiftDate(date, -READING_WINDOW_DAYS)),
+            formatISODate(shiftDate(date, READING_WINDOW_DAYS)),
+            date
+        ]
+    );
+}
+
+async function compareReading(billed, meterId, date) {
+    if (billed === null || billed === undefined || !meterId) return null;
+
+    const reading = await nearestReading(meterId, date);
+    if (!reading) {
+        return { billed, ours: null, date: null, variance: null };
+    }
+    return {
+        billed,
+        ours: reading.reading_value,
+        date: reading.reading_date,
+        variance: round(billed - reading.reading_value, 3)
+    };
+}
+
+// Computed amounts as bill lines: each charge, each line item, and VAT
+function computedLines(costs) {
+    const lines = [
+        ...costs.charges.map(charge => ({ key: charge.key, name: charge.name, amount: charge.total })),
+        ...costs.lineItems.map(item => ({ key: item.key, name: item.name, amount: item.amount }))
+    ];
+    if (costs.vat > 0) {
+        lines.push({ key: 'vat', name: 'VAT', amount: costs.vat });
+    }
+    return lines;
+}
+
+// Match bill lines to computed lines by name; unmatched lines on either side are kept.
+// Lines are compared at the billed usage so their variances show rate differences.
+function compareLines(billLines, costs) {
+    const computed = computedLines(costs);
+    const lines = billLines.map(line => {
+        const key = chargeKey(line.name);
+        const match = computed.find(c => c.key === key);
+        const amount = match ? match.amount : null;
+        return {
+            key,
+            name: line.name,
+            billed: line.amount,
+            computed: amount === null ? null : round(amount),
+            variance: amount === null ? null : round(line.amount - amount)
+        };
+    });
+
+    computed
+        .filter(c => !lines.some(line => line.key === c.key))
+        .forEach(c => lines.push({ key: c.key, name: c.name, billed: null, computed: round(c.amount), variance: null }));
+
+    return lines;
+}
+
+/**
+ * Compare a bill with the costs calculated for its period. Costs are compared
+ * twice: against the usage from our readings (usage and rate differences) and
+ * against the billed usage under our tariff (rate differences only).
+ */
+async function reconcileBill(userId, bill) {
+    const startDate = parseDate(bill.period_start);
+    const endDate = parseDate(bill.period_end);
+
+    // A bill for one meter is compared with that meter's usage alone; otherwise
+    // with the combined usage of the billed meters
+    const meter = bill.meter_id
+        ? await dbGet("SELECT * FROM meters WHERE id = ? AND user_id = ?", [bill.meter_id, userId])
+        : null;
+    const stats = await loadStatistics(userId, startDate, endDate, meter);
+    const tariffs = await getUserTariffs(userId, (meter && meter.utility) || DEFAULT_UTILITY);
+    const unit = meterUnit(meter);
+
+    const computedUsage = meter
+        ? parseFloat(stats.totalUsage)
+        : stats.meters.filter(m => m.meter.billed).reduce((sum, m) => sum + parseFloat(m.totalUsage), 0);
+    const usageVariance = bill.billed_usage - computedUsage;
+
+    // Our tariff applied to the billed usage, spread evenly over the period
+    const dates = periodDates(startDate, endDate);
+    const billedDailyUsage = dates.map(date => ({ date, usage: bill.billed_usage / dates.length }));
+    const atBilledUsage = calculateCostBreakdown(billedDailyUsage, tariffs, startDate, endDate);
+    const computedCost = parseFloat(stats.currentCost);
+
+    // Compare municipal readings with ours on the meter the municipality reads
+    let meterId = bill.meter_id;
+    if (!meterId) {
+        const meters = await getUserMeters(userId, DEFAULT_UTILITY);
+        const billed = meters.find(m => m.billed) || meters[0];
+        meterId = billed ? billed.id : null;
+    }
+    const readings = {
+        opening: await compareReading(bill.opening_reading, meterId, bill.period_start),
+        closing: await compareReading(bill.closing_reading, meterId, bill.period_end)
+    };
+
+    const flags = [];
+    if (bill.estimated) {
+        flags.push({ type: 'estimated', message: 'The municipality marked this bill as based on an estimated reading' });
+    }
+    for (const [name, comparison] of Object.entries(readings)) {
+        if (comparison && comparison.variance !== null && Math.abs(comparison.variance) > READING_TOLERANCE_KL) {
+            flags.push({
+                type: 'reading_mismatch',
+                message: `The ${name} reading differs from your reading on ${comparison.date} by ${comparison.variance} ${unit}; it may be estimated`
+            });
+        }
+    }
+    if (bill.opening_reading !== null && bill.closing_reading !== null &&
+        Math.abs(bill.closing_reading - bill.opening_reading - bill.billed_usage) > READING_TOLERANCE_KL) {
+        flags.push({ type: 'usage_arithmetic', message: 'The billed usage does not match the difference between the opening and closing readings' });
+    }
+    if (computedUsage > 0 && Math.abs(usageVariance / computedUsage) * 100 > USAGE_TOLERANCE_PERCENT) {
+        flags.push({ type: 'usage_mismatch', message: `Billed usage differs from your readings by ${round(usageVariance, 3)} ${unit}` });
+    }
+    if (Math.abs(bill.total - atBilledUsage.total) > AMOUNT_TOLERANCE) {
+        flags.push({ type: 'rate_mismatch', message: 'The bill total differs from your tariff applied to the billed usage; check the rates charged' });
+    }
+
+    return {
+        bill,
+        usage: {
+            billed: bill.billed_usage,
+            computed: round(computedUsage, 3),
+            variance: round(usageVariance, 3),
+            variancePercent: computedUsage > 0 ? round((usageVariance / computedUsage) * 100, 1) : null
+        },
+        readings,
+        totals: {
+            billed: bill.total,
+            computed: round(computedCost),
+            atBilledUsage: round(atBilledUsage.total),
+            variance: round(bill.total - computedCost),
+            rateVariance: round(bill.total - atBilledUsage.total)
+        },
+        lines: compareLines(bill.line_items, atBilledUsage),
+        flags
+    };
+}
+
+module.exports = {
+    parseBill,
+    reconcileBill
+};
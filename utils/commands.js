@@ -0,0 +1,197 @@
+// Valve command queue: open/close commands for devices with a shut-off valve.
+// Devices poll for pending commands (or receive them over MQTT) and
+// acknowledge them; alert rules can propose closing a valve, which waits for
+// the user to confirm it.
+
+const { EventEmitter } = require('events');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { publish } = require('./events');
+
+const VALVE_COMMANDS = ['open', 'close'];
+
+// Command states: unconfirmed (proposed by an alert, waiting for the user to
+// confirm it), pending (queued for the device), delivered (handed to the
+// device), done or failed (acknowledged by the device, or failed when it never
+// was), cancelled or expired (never delivered)
+
+// Commands not picked up by the device within this time expire, so a valve
+// does not move long after it was asked to
+const COMMAND_EXPIRY_MINUTES = 60;
+
+// Delivered commands the device does not acknowledge within this time fail
+const COMMAND_ACK_MINUTES = 15;
+
+// Valve state after each command completes
+const VALVE_STATES = { open: 'open', close: 'closed' };
+
+// Emits 'queued' with each command ready for delivery (used by the MQTT bridge)
+const commandEvents = new EventEmitter();
+
+function getCommand(id) {
+    return dbGet(
+        `SELECT c.*, d.name AS device_name FROM device_commands c
+         LEFT JOIN devices d ON d.id = c.device_id WHERE c.id = ?`,
+        [id]
+    );
+}
+
+// Announce a command's new state to the user's live streams
+async function announce(command) {
+    publish(command.user_id, 'commands', { command });
+    if (command.state === 'pending') {
+        commandEvents.emit('queued', command);
+    }
+    return command;
+}
+
+// Expire pending commands the device did not pick up in time, and fail
+// delivered ones it did not acknowledge in time
+async function expireCommands() {
+    await dbRun(
+        `UPDATE device_commands SET state = 'expired', completed_at = CURRENT_TIMESTAMP
+         WHERE state = 'pending' AND queued_at < datetime('now', ?)`,
+        [`-${COMMAND_EXPIRY_MINUTES} minutes`]
+    );
+    await dbRun(
+        `UPDATE device_commands SET state = 'failed', message = ?, completed_at = CURRENT_TIMESTAMP
+         WHERE state = 'delivered' AND delivered_at < datetime('now', ?)`,
+        [`Not acknowledged within ${COMMAND_ACK_MINUTES} minutes`, `-${COMMAND_ACK_MINUTES} minutes`]
+    );
+}
+
+/**
+ * Queue a valve command for a device. A new command replaces the device's
+ * earlier commands that were not delivered yet. With `confirmed: false` the
+ * command waits for the user's confirmation (used for alert proposals) and
+ * only replaces earlier unconfirmed ones.
+ */
+async function queueCommand(device, command, { alertId = null, confirmed = true } = {}) {
+    await dbRun(
+        `UPDATE device_commands SET state = 'cancelled', completed_at = CURRENT_TIMESTAMP
+         WHERE device_id = ? AND state IN (${confirmed ? "'unconfirmed', 'pending'" : "'unconfirmed'"})`,
+        [device.id]
+    );
+    const result = await dbRun(
+        `INSERT INTO device_commands (user_id, device_id, command, state, alert_id, queued_at)
+         VALUES (?, ?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END)`,
+        [device.user_id, device.id, command, confirmed ? 'pending' : 'unconfirmed', alertId, confirmed ? 1 : 0]
+    );
+    return announce(await getCommand(result.lastID));
+}
+
+// Queue a command the user confirmed. Resolves to null if it was not awaiting confirmation.
+async function confirmCommand(command) {
+    const result = await dbRun(
+        "UPDATE device_commands SET state = 'pending', queued_at = CURRENT_TIMESTAMP WHERE id = ? AND state = 'unconfirmed'",
+        [command.id]
+    );
+    return result.changes > 0 ? announce(await getCommand(command.id)) : null;
+}
+
+// Cancel a command that was not delivered yet. Resolves to null if it already was.
+async function cancelCommand(command) {
+    const result = await dbRun(
+        `UPDATE device_commands SET state = 'cancelled', completed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND state IN ('unconfirmed', 'pending')`,
+        [command.id]
+    );
+    return result.changes > 0 ? announce(await getCommand(command.id)) : null;
+}
+
+// Mark a command as handed to the device. Resolves to null if it was no longer pending.
+async function markDelivered(command) {
+    const result = await dbRun(
+        "UPDATE device_commands SET state = 'delivered', delivered_at = CURRENT_TIMESTAMP WHERE id = ? AND state = 'pending'",
+        [command.id]
+    );
+    return result.changes > 0 ? announce(await getCommand(command.id)) : null;
+}
+
+// A device's pending commands, oldest first, marked as delivered
+async function takePendingCommands(device) {
+    await expireCommands();
+    const pending = await dbAll(
+        "SELECT id FROM device_commands WHERE device_id = ? AND state = 'pending' ORDER BY id",
+        [device.id]
+    );
+
+    const delivered = [];
+    for (const { id } of pending) {
+        const command = await markDelivered({ id });
+        if (command) delivered.push(command);
+    }
+    return delivered;
+}
+
+/**
+ * Record a device's acknowledgement of a command: status 'done' (the valve
+ * moved, updating the device's valve state) or 'failed' with a message.
+ * Resolves to { command, recorded }, where recorded is false for a command
+ * that was already acknowledged, failed or expired, or null if the device has
+ * no such command.
+ */
+async function acknowledgeCommand(device, commandId, status, message = null) {
+    // A late acknowledgement does not revive a command that has timed out
+    await expireCommands();
+    const command = await dbGet(
+        "SELECT * FROM device_commands WHERE id = ? AND device_id = ?",
+        [commandId, device.id]
+    );
+    if (!command) return null;
+
+    // A repeated acknowledgement (e.g. a retried request) is not recorded twice
+    const result = await dbRun(
+        `UPDATE device_commands SET state = ?, message = ?, completed_at = CURRENT_TIMESTAMP,
+             delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+         WHERE id = ? AND state IN ('pending', 'delivered')`,
+        [status, message, command.id]
+    );
+    if (result.changes === 0) {
+        return { command: await getCommand(command.id), recorded: false };
+    }
+
+    if (status === 'done') {
+        await dbRun("UPDATE devices SET valve_state = ? WHERE id = ?", [VALVE_STATES[command.command], device.id]);
+    }
+    return { command: await announce(await getCommand(command.id)), recorded: true };
+}
+
+// A device's most recent commands, newest first
+async function getDeviceCommands(device, limit = 20) {
+    await expireCommands();
+    return dbAll(
+        "SELECT * FROM device_commands WHERE device_id = ? ORDER BY id DESC LIMIT ?",
+        [device.id, limit]
+    );
+}
+
+/**
+ * Propose closing the valve named by an alert rule, once per raised alert.
+ * The command waits for the user's confirmation. Resolves to the command, or
+ * null if the rule has no usable valve.
+ */
+async function proposeValveClose(userId, rule, alertId) {
+    if (!rule.valve_device_id) return null;
+
+    const device = await dbGet(
+        "SELECT * FROM devices WHERE id = ? AND user_id = ? AND has_valve = 1 AND revoked_at IS NULL",
+        [rule.valve_device_id, userId]
+    );
+    if (!device) return null;
+
+    return queueCommand(device, 'close', { alertId, confirmed: false });
+}
+
+module.exports = {
+    VALVE_COMMANDS,
+    commandEvents,
+    getCommand,
+    queueCommand,
+    confirmCommand,
+    cancelCommand,
+    markDelivered,
+    takePendingCommands,
+    acknowledgeCommand,
+    getDeviceCommands,
+    proposeValveClose
+};
@@ -0,0 +1,208 @@
+// Smart meter devices: per-meter API keys and ingestion of the readings
+// devices push, with idempotency keys so retries are not stored twice
+
+const crypto = require('crypto');
+const { dbGet, dbRun } = require('../config/database');
+const { hashToken } = require('../middleware/auth');
+const { meterUnit } = require('./meters');
+const { checkReadingSequence } = require('./readings');
+const { publishReadings } = require('./events');
+const { updateRollups } = require('./telemetry');
+
+const DEVICE_KEY_PREFIX = 'wmd_';
+
+// Most readings accepted in one request
+const MAX_BATCH_SIZE = 500;
+
+// Device clocks may run slightly fast; anything further ahead is rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// New API key for a device. Only the hash is stored; the prefix identifies
+// the key in the device list.
+function generateDeviceKey() {
+    const key = DEVICE_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    return { key, hash: hashToken(key), prefix: key.slice(0, DEVICE_KEY_PREFIX.length + 8) };
+}
+
+/**
+ * Reading date and time (server local time, to the second) from a pushed
+ * reading: either `timestamp` (ISO 8601 string or Unix seconds) or
+ * `reading_date` and `reading_time`. Returns null if invalid.
+ */
+function parseReadingTime(item) {
+    if (item.timestamp !== undefined) {
+        if (typeof item.timestamp !== 'number' && typeof item.timestamp !== 'string') return null;
+        const date = typeof item.timestamp === 'number'
+            ? new Date(item.timestamp * 1000)
+            : new Date(item.timestamp);
+        if (isNaN(date.getTime())) return null;
+
+        return {
+            reading_date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            reading_time: `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+            time: date.getTime()
+        };
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(item.reading_date || '') ||
+        !/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(item.reading_time || '')) {
+        return null;
+    }
+    const [year, month, day] = item.reading_date.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = item.reading_time.split(':').map(Number);
+    return {
+        reading_date: item.reading_date,
+        reading_time: item.reading_time,
+        time: new Date(year, month - 1, day, hours, minutes, seconds).getTime()
+    };
+}
+
+// Store one pushed reading. Resolves to { status: 'created' | 'duplicate' | 'rejected', id?, error? }
+async function ingestReading(device, meter, item, source) {
+    if (!item || typeof item !== 'object') {
+        return { status: 'rejected', error: 'Reading must be an object' };
+    }
+
+    const value = typeof item.reading_value === 'string' ? parseFloat(item.reading_value) : item.reading_value;
+    if (typeof value !== 'number' || isNaN(value) || value < 0) {
+        return { status: 'rejected', error: 'Reading value must be a positive number' };
+    }
+
+    const when = parseReadingTime(item);
+    if (!when) {
+        return { status: 'rejected', error: 'A valid timestamp (or reading_date and reading_time) is required' };
+    }
+    if (when.time > Date.now() + MAX_CLOCK_SKEW_MS) {
+        return { status: 'rejected', error: 'Timestamp is in the future' };
+    }
+
+    const key = item.idempotency_key !== undefined && item.idempotency_key !== null ? String(item.idempotency_key) : null;
+    if (key !== null && (key === '' || key.length > 100)) {
+        return { status: 'rejected', error: 'Idempotency key must be 1-100 characters' };
+    }
+
+    // Claim the key before storing anything: the UNIQUE constraint lets only one
+    // of several retries in flight at once through, and the others are
+    // duplicates (without an id if the first has not stored its reading yet)
+    if (key !== null) {
+        const claim = await dbRun(
+            "INSERT OR IGNORE INTO device_ingestions (device_id, idempotency_key) VALUES (?, ?)",
+            [device.id, key]
+        );
+        if (claim.changes === 0) {
+            const seen = await dbGet(
+                "SELECT reading_id FROM device_ingestions WHERE device_id = ? AND idempotency_key = ?",
+                [device.id, key]
+            );
+            return { status: 'duplicate', id: seen ? seen.reading_id : null };
+        }
+    }
+
+    try {
+        const result = await storeReading(device, meter, value, when, source);
+        if (key !== null) {
+            if (result.status !== 'rejected') {
+                await dbRun(
+                    "UPDATE device_ingestions SET reading_id = ? WHERE device_id = ? AND idempotency_key = ?",
+                    [result.id, device.id, key]
+                );
+            } else {
+                await releaseKey(device, key);
+            }
+        }
+        return result;
+    } catch (err) {
+        // A retry with the key must be able to store the reading
+        if (key !== null) await releaseKey(device, key);
+        throw err;
+    }
+}
+
+function releaseKey(device, key) {
+    return dbRun("DELETE FROM device_ingestions WHERE device_id = ? AND idempotency_key = ?", [device.id, key]);
+}
+
+// Store a validated reading unless it resends an existing one or breaks the
+// meter's sequence. Resolves like ingestReading.
+async function storeReading(device, meter, value, when, source) {
+    // Without a key, the same value at the same time is a resend
+    const existing = await dbGet(
+        "SELECT id, reading_value FROM readings WHERE meter_id = ? AND reading_date = ? AND reading_time = ?",
+        [meter.id, when.reading_date, when.reading_time]
+    );
+    if (existing && Math.abs(existing.reading_value - value) < 1e-9) {
+        return { status: 'duplicate', id: existing.id };
+    }
+
+    const reading = { meter_id: meter.id, reading_value: value, reading_date: when.reading_date, reading_time: when.reading_time, event_type: 'reading' };
+    const { flag, conflict } = await checkReadingSequence(meter, reading);
+    if (conflict) {
+        const neighbour = conflict.reading;
+        return {
+            status: 'rejected',
+            error: conflict.position === 'previous'
+                ? `Reading is lower than the previous reading (${neighbour.reading_value} ${meterUnit(meter)} on ${neighbour.reading_date} ${neighbour.reading_time})`
+                : `Reading is higher than the next reading (${neighbour.reading_value} ${meterUnit(meter)} on ${neighbour.reading_date} ${neighbour.reading_time})`
+        };
+    }
+
+    const result = await dbRun(
+        `INSERT INTO readings (user_id, meter_id, reading_value, reading_date, reading_time, event_type, flag, source)
+         VALUES (?, ?, ?, ?, ?, 'reading', ?, ?)`,
+        [device.user_id, meter.id, value, when.reading_date, when.reading_time, flag, source]
+    );
+    return { status: 'created', id: result.lastID, reading: { id: result.lastID, ...reading, flag } };
+}
+
+/**
+ * Store readings pushed by a device for its meter, oldest first so sequence
+ * checks see them in order, update the meter's rollups, and announce them to
+ * live streams as coming from source. Resolves to a result per item, in the order given, as
+ * { index, status, id?, error? }.
+ */
+async function ingestReadings(device, meter, items, source = 'device') {
+    const order = items
+        .map((item, index) => ({ item, index, when: item && typeof item === 'object' ? parseReadingTime(item) : null }))
+        .sort((a, b) => (a.when ? a.when.time : 0) - (b.when ? b.when.time : 0));
+
+    const results = [];
+    const created = [];
+    try {
+        for (const { item, index } of order) {
+            const { reading, ...result } = await ingestReading(device, meter, item, source);
+            results[index] = { index, ...result };
+            if (reading) created.push(reading);
+        }
+    } finally {
+        // Readings stored before an item failed still count
+        if (created.length > 0) {
+            await updateRollups(meter, created);
+            publishReadings(device.user_id, 'created', created, source);
+        }
+    }
+    return results;
+}
+
+// Record a device's last contact, the readings it stored and any errors
+function recordDeviceActivity(device, created, errors, lastError = null) {
+    return dbRun(
+        `UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP,
+             reading_count = reading_count + ?,
+             error_count = error_count + ?,
+             last_error = COALESCE(?, last_error),
+             last_error_at = CASE WHEN ? IS NULL THEN last_error_at ELSE CURRENT_TIMESTAMP END
+         WHERE id = ?`,
+        [created, errors, lastError, lastError, device.id]
+    );
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    generateDeviceKey,
+    ingestReadings,
+    recordDeviceActivity
+};
@@ -11,6 +11,16 @@ const transporter = nodemailer.createTransport({
     }
 });
 
+// Escape text for HTML bodies (alert messages carry user-chosen rule and meter names)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Verify connection on startup (optional, for debugging)
 async function verifyConnection() {
     try {
@@ -73,7 +83,160 @@ If you did not request this reset, you can safely ignore this email.
     return transporter.sendMail(mailOptions);
 }
 
+// Send alerts raised by the user's alert rules
+async function sendAlertEmail(email, username, messages) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    const mailOptions = {
+        from: process.env.SMTP_FROM || 'noreply@meter-tracker.com',
+        to: email,
+        subject: `Water Monitor - ${messages.length === 1 ? 'New alert' : `${messages.length} new alerts`}`,
+        text: `Hello ${username},
+
+Your alert rules were triggered:
+
+${messages.map(message => `- ${message}`).join('\n')}
+
+Review and acknowledge alerts in the Alerts tab:
+${appUrl}
+
+- Water Monitor Team`,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { color: #2196F3; margin-bottom: 20px; }
+        .alert { padding: 10px; margin: 10px 0; background-color: #fff3e0; border-left: 4px solid #e65100; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #2196F3;
+                  color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1 class="header">Water Monitor</h1>
+        <p>Hello ${username},</p>
+        <p>Your alert rules were triggered:</p>
+        ${messages.map(message => `<div class="alert">${escapeHtml(message)}</div>`).join('')}
+        <a href="${appUrl}" class="button">Review Alerts</a>
+    </div>
+</body>
+</html>`
+    };
+
+    return transporter.sendMail(mailOptions);
+}
+
+// Remind the user to capture a meter reading
+async function sendReadingReminderEmail(email, username, { weekly, link }) {
+    const missing = weekly ? 'this week' : 'today';
+
+    const mailOptions = {
+        from: process.env.SMTP_FROM || 'noreply@meter-tracker.com',
+        to: email,
+        subject: 'Water Monitor - Time to read your meter',
+        text: `Hello ${username},
+
+No meter reading has been captured ${missing}. Regular readings keep your usage, cost projections and alerts accurate.
+
+Capture a reading now:
+${link}
+
+You can change or switch off reading reminders in Settings.
+
+- Water Monitor Team`,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { color: #2196F3; margin-bottom: 20px; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #2196F3;
+                  color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .footer { color: #666; font-size: 12px; margin-top: 30px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1 class="header">Water Monitor</h1>
+        <p>Hello ${username},</p>
+        <p>No meter reading has been captured ${missing}. Regular readings keep your usage, cost projections and alerts accurate.</p>
+        <a href="${link}" class="button">Capture Reading</a>
+        <p class="footer">You can change or switch off reading reminders in Settings.</p>
+    </div>
+</body>
+</html>`
+    };
+
+    return transporter.sendMail(mailOptions);
+}
+
+// Send a weekly or billing period summary (sections of label/value rows)
+async function sendSummaryEmail(email, username, summary) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    const mailOptions = {
+        from: process.env.SMTP_FROM || 'noreply@meter-tracker.com',
+        to: email,
+        subject: `Water Monitor - ${summary.subject}`,
+        text: `Hello ${username},
+
+Here is your ${summary.subject.charAt(0).toLowerCase() + summary.subject.slice(1)}.
+
+${summary.sections.map(section => `${section.heading}
+${section.rows.map(([label, value]) => `  ${label}: ${value}`).join('\n')}`).join('\n\n')}
+
+View your dashboard:
+${appUrl}
+
+You can change summary emails in Settings.
+
+- Water Monitor Team`,
+        html: `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { color: #2196F3; margin-bottom: 20px; }
+        h2 { font-size: 16px; margin: 20px 0 5px; }
+        table { width: 100%; border-collapse: collapse; }
+        td { padding: 6px 0; border-bottom: 1px solid #eee; }
+        td.value { text-align: right; font-weight: bold; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #2196F3;
+                  color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .footer { color: #666; font-size: 12px; margin-top: 30px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1 class="header">Water Monitor</h1>
+        <p>Hello ${username},</p>
+        <p>Here is your ${summary.subject.charAt(0).toLowerCase() + summary.subject.slice(1)}.</p>
+        ${summary.sections.map(section => `
+        <h2>${section.heading}</h2>
+        <table>
+            ${section.rows.map(([label, value]) => `<tr><td>${label}</td><td class="value">${value}</td></tr>`).join('')}
+        </table>`).join('')}
+        <a href="${appUrl}" class="button">View Dashboard</a>
+        <p class="footer">You can change summary emails in Settings.</p>
+    </div>
+</body>
+</html>`
+    };
+
+    return transporter.sendMail(mailOptions);
+}
+
 module.exports = {
     verifyConnection,
-    sendPasswordResetEmail
+    sendPasswordResetEmail,
+    sendAlertEmail,
+    sendReadingReminderEmail,
+    sendSummaryEmail
 };
@@ -0,0 +1,63 @@
+// Live update events for the dashboard: per-user publish/subscribe used by
+// GET /api/stream. Reading changes are followed by recalculated statistics
+// for the current billing period (debounced, so a batch of readings is only
+// recalculated once, and only while the user has a stream open).
+
+const { EventEmitter } = require('events');
+const { getUserSettings } = require('../config/database');
+const { getBillingPeriod, loadStatistics } = require('./statistics');
+
+// Wait this long after the last reading change before recalculating statistics
+const STATISTICS_DELAY_MS = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+const pendingStatistics = new Map();
+
+function channel(userId) {
+    return `user:${userId}`;
+}
+
+// Listen to a user's events; returns a function that stops listening
+function subscribe(userId, listener) {
+    emitter.on(channel(userId), listener);
+    return () => emitter.off(channel(userId), listener);
+}
+
+function hasSubscribers(userId) {
+    return emitter.listenerCount(channel(userId)) > 0;
+}
+
+function publish(userId, event, data) {
+    emitter.emit(channel(userId), event, data);
+}
+
+async function publishStatistics(userId) {
+    const settings = await getUserSettings(userId);
+    const { startDate, endDate } = getBillingPeriod(new Date(), settings);
+    publish(userId, 'statistics', await loadStatistics(userId, startDate, endDate));
+}
+
+/**
+ * Announce readings that were created, updated or deleted (from any source:
+ * the web app, an import, a device or the MQTT bridge) and schedule the
+ * statistics update.
+ */
+function publishReadings(userId, action, readings, source = 'web') {
+    if (!hasSubscribers(userId)) return;
+
+    publish(userId, 'readings', { action, source, readings });
+
+    clearTimeout(pendingStatistics.get(userId));
+    pendingStatistics.set(userId, setTimeout(() => {
+        pendingStatistics.delete(userId);
+        publishStatistics(userId).catch(err => console.error('Live statistics error:', err.message));
+    }, STATISTICS_DELAY_MS));
+}
+
+module.exports = {
+    subscribe,
+    publish,
+    publishReadings
+};
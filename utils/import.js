@@ -0,0 +1,279 @@
+// Parsing helpers for importing historical meter readings from CSV/TSV files
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const ISO_DATE_PATTERN = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/;
+const SLASH_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+
+const DATE_FORMATS = ['auto', 'DMY', 'MDY', 'YMD'];
+const VALUE_FORMATS = ['auto', 'raw', 'liters', 'kl'];
+
+// Value format of a water meter's register, used when the file's is auto-detected
+const REGISTER_VALUE_FORMATS = {
+    'tenths_liters': 'auto',
+    'liters': 'liters',
+    'kiloliters': 'kl'
+};
+
+// Raw register values at or above this are treated as 7-digit meter readings
+// (last digit is decimal liters), matching the Add Reading form
+const RAW_REGISTER_THRESHOLD = 1000;
+
+// Convert a raw 7-digit register value to kiloliters
+// e.g. 1287309 → 128730.9 liters → 128.7309 kL
+function registerToKL(value) {
+    return value / 10 / 1000;
+}
+
+// Pick the delimiter that appears most consistently in the first lines
+function detectDelimiter(lines) {
+    const candidates = ['\t', ',', ';'];
+    const sample = lines.slice(0, 10);
+    let best = '\t';
+    let bestScore = 0;
+
+    for (const delimiter of candidates) {
+        const score = sample.filter(line => line.includes(delimiter)).length;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+// Split one line on the delimiter, honouring double-quoted fields
+function splitLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === delimiter && !inQuotes) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+
+    return cells;
+}
+
+// Separate a date cell from an optional time part ("2025-01-12 06:00")
+function splitDateTime(cell) {
+    const parts = cell.split(/[ T]+/);
+    return { date: parts[0], time: parts[1] || null };
+}
+
+function isDateCell(cell) {
+    const { date } = splitDateTime(cell);
+    return ISO_DATE_PATTERN.test(date) || SLASH_DATE_PATTERN.test(date);
+}
+
+function isNumericCell(cell) {
+    return cell !== '' && !isNaN(Number(cell.replace(/\s/g, '')));
+}
+
+// Work out which column holds the date, time and reading
+function detectColumns(firstRow, header) {
+    const columns = { date: -1, time: -1, reading: -1 };
+
+    if (header) {
+        header.forEach((name, index) => {
+            const key = name.toLowerCase();
+            if (columns.date === -1 && key.includes('date')) columns.date = index;
+            else if (columns.time === -1 && key.includes('time')) columns.time = index;
+            else if (columns.reading === -1 && /reading|value|meter|register/.test(key)) columns.reading = index;
+        });
+    }
+
+    firstRow.forEach((cell, index) => {
+        if (columns.date === -1 && isDateCell(cell)) {
+            columns.date = index;
+        } else if (columns.time === -1 && TIME_PATTERN.test(cell)) {
+            columns.time = index;
+        }
+    });
+
+    if (columns.reading === -1) {
+        columns.reading = firstRow.findIndex((cell, index) =>
+            index !== columns.date && index !== columns.time && isNumericCell(cell)
+        );
+    }
+
+    return columns;
+}
+
+// Decide between DD/MM/YYYY and MM/DD/YYYY from the values in the file.
+// Ambiguous files (every part <= 12) default to DD/MM/YYYY.
+function detectDateFormat(dateCells) {
+    let dayFirst = false;
+    let monthFirst = false;
+
+    for (const cell of dateCells) {
+        const { date } = splitDateTime(cell);
+        if (ISO_DATE_PATTERN.test(date)) {
+            return 'YMD';
+        }
+        const match = date.match(SLASH_DATE_PATTERN);
+        if (!match) continue;
+        if (parseInt(match[1]) > 12) dayFirst = true;
+        if (parseInt(match[2]) > 12) monthFirst = true;
+    }
+
+    if (monthFirst && !dayFirst) return 'MDY';
+    return 'DMY';
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Parse a date cell into YYYY-MM-DD, or null if invalid. Year-first dates
+// are read in any format; day- or month-first ones are invalid under YMD.
+function parseDate(cell, format) {
+    const { date } = splitDateTime(cell);
+    let year, month, day;
+
+    const iso = date.match(ISO_DATE_PATTERN);
+    const slash = date.match(SLASH_DATE_PATTERN);
+
+    if (iso) {
+        [, year, month, day] = iso;
+    } else if (slash && format === 'YMD') {
+        return null;
+    } else if (slash && format === 'MDY') {
+        [, month, day, year] = slash;
+    } else if (slash) {
+        [, day, month, year] = slash;
+    } else {
+        return null;
+    }
+
+    const parsed = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+    if (parsed.getUTCMonth() !== parseInt(month) - 1 || parsed.getUTCDate() !== parseInt(day)) {
+        return null;
+    }
+
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Parse a time cell into HH:MM, or null if invalid
+function parseTime(cell) {
+    const match = (cell || '').match(TIME_PATTERN);
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${pad(hours)}:${pad(minutes)}`;
+}
+
+// Parse a reading cell into kiloliters
+function parseReading(cell, valueFormat) {
+    if (!isNumericCell(cell || '')) return null;
+
+    const value = Number(cell.replace(/\s/g, ''));
+    if (value < 0) return null;
+
+    if (valueFormat === 'raw' || (valueFormat === 'auto' && value >= RAW_REGISTER_THRESHOLD)) {
+        return { raw: value, kl: registerToKL(value) };
+    }
+    if (valueFormat === 'liters') {
+        return { raw: value, kl: value / 1000 };
+    }
+
+    return { raw: value, kl: value };
+}
+
+/**
+ * Parse CSV/TSV text into reading rows.
+ * Returns { dateFormat, delimiter, rows } where each row has a line number,
+ * the parsed reading_date/reading_time/reading_value, and an error if invalid.
+ */
+function parseReadingsFile(content, options = {}) {
+    const dateFormat = options.dateFormat || 'auto';
+    const valueFormat = options.valueFormat || 'auto';
+
+    const lines = content
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .map((text, index) => ({ text, number: index + 1 }))
+        .filter(line => line.text.trim() !== '');
+
+    if (lines.length === 0) {
+        return { dateFormat, delimiter: null, rows: [] };
+    }
+
+    const delimiter = detectDelimiter(lines.map(line => line.text));
+    const table = lines.map(line => ({ number: line.number, cells: splitLine(line.text, delimiter) }));
+
+    // Treat the first line as a header when it contains no date
+    let header = null;
+    if (!table[0].cells.some(isDateCell)) {
+        header = table.shift().cells;
+    }
+
+    if (table.length === 0) {
+        return { dateFormat, delimiter, rows: [] };
+    }
+
+    const columns = detectColumns(table[0].cells, header);
+    const resolvedDateFormat = dateFormat === 'auto'
+        ? detectDateFormat(table.map(row => row.cells[columns.date] || ''))
+        : dateFormat;
+
+    const rows = table.map(({ number, cells }) => {
+        const row = { line: number, reading_date: null, reading_time: null, reading_value: null, raw_value: null };
+
+        if (columns.date === -1 || columns.reading === -1) {
+            row.error = 'Could not find date and reading columns';
+            return row;
+        }
+
+        const dateCell = cells[columns.date] || '';
+        row.reading_date = parseDate(dateCell, resolvedDateFormat);
+        if (!row.reading_date) {
+            row.error = `Invalid date "${dateCell}"`;
+            return row;
+        }
+
+        const timeCell = columns.time !== -1 ? cells[columns.time] : splitDateTime(dateCell).time;
+        row.reading_time = timeCell ? parseTime(timeCell) : '00:00';
+        if (!row.reading_time) {
+            row.error = `Invalid time "${timeCell}"`;
+            return row;
+        }
+
+        const reading = parseReading(cells[columns.reading], valueFormat);
+        if (!reading) {
+            row.error = `Invalid reading "${cells[columns.reading] || ''}"`;
+            return row;
+        }
+        row.raw_value = reading.raw;
+        row.reading_value = reading.kl;
+
+        return row;
+    });
+
+    return { dateFormat: resolvedDateFormat, delimiter, rows };
+}
+
+module.exports = {
+    DATE_FORMATS,
+    VALUE_FORMATS,
+    REGISTER_VALUE_FORMATS,
+    registerToKL,
+    parseReadingsFile
+};
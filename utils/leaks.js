@@ -0,0 +1,189 @@
+// Leak detection: scores each day's leak likelihood per meter from overnight
+// flow (usage while the household is asleep), flow that never stops across
+// consecutive readings, and usage above the meter's baseline
+
+const { dbAll } = require('../config/database');
+const { getRegisterCapacity, usageBetween } = require('./readings');
+const { MS_PER_DAY, formatISODate, readingTimestamp, periodDates, loadStatistics } = require('./statistics');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Days before the analysed range used for the baseline
+const BASELINE_DAYS = 28;
+
+// Flow rates (kL per hour) that count as full evidence of a leak; for night
+// flow, the rate above the meter's usual night flow
+const NIGHT_LEAK_RATE = 0.01;
+const CONTINUOUS_LEAK_RATE = 0.005;
+
+// Continuous flow can only be judged from several short intervals in a day;
+// longer intervals could hide a period with no flow
+const MIN_CONTINUOUS_INTERVALS = 3;
+const MAX_CONTINUOUS_INTERVAL_HOURS = 8;
+
+// An interval counts towards the night if at least this share of it falls in the night window
+const MIN_NIGHT_SHARE = 0.5;
+
+const LEAK_SCORE_THRESHOLD = 0.5;
+
+const DEFAULT_NIGHT_WINDOW = { start: '00:00', end: '05:00' };
+
+function parseDate(str) {
+    const [year, month, day] = str.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function minutesOf(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// The night window ending on a date, as [start, end) timestamps. A window
+// starting later than it ends (e.g. 23:00-05:00) begins the evening before.
+function nightWindow(date, window) {
+    const day = parseDate(date).getTime();
+    const start = minutesOf(window.start);
+    const end = minutesOf(window.end);
+    return [
+        day + (start > end ? start - 24 * 60 : start) * 60 * 1000,
+        day + end * 60 * 1000
+    ];
+}
+
+// Consecutive reading pairs with their usage and flow rate (kL/h)
+function readingIntervals(readings, capacity) {
+    const intervals = [];
+    for (let i = 1; i < readings.length; i++) {
+        const start = readingTimestamp(readings[i - 1]);
+        const end = readingTimestamp(readings[i]);
+        if (end <= start) continue;
+
+        const usage = usageBetween(readings[i - 1], readings[i], capacity);
+        intervals.push({ start, end, hours: (end - start) / MS_PER_HOUR, usage, rate: usage / ((end - start) / MS_PER_HOUR) });
+    }
+    return intervals;
+}
+
+// Lowest flow rate over intervals that mostly fall in the date's night window,
+// or null if no reading interval is short enough to tell
+function nightRate(intervals, date, window) {
+    const [windowStart, windowEnd] = nightWindow(date, window);
+    const rates = intervals
+        .filter(interval => {
+            const overlap = Math.min(interval.end, windowEnd) - Math.max(interval.start, windowStart);
+            return overlap > 0 && overlap / (interval.end - interval.start) >= MIN_NIGHT_SHARE;
+        })
+        .map(interval => interval.rate);
+    return rates.length > 0 ? Math.min(...rates) : null;
+}
+
+// Lowest flow rate across the intervals covering a date, or null if there are
+// too few short intervals to tell whether the flow ever stopped
+function minimumRate(intervals, date) {
+    const dayStart = parseDate(date).getTime();
+    const dayEnd = dayStart + MS_PER_DAY;
+    const covering = intervals.filter(interval => interval.start < dayEnd && interval.end > dayStart);
+
+    if (covering.length < MIN_CONTINUOUS_INTERVALS ||
+        covering.some(interval => interval.hours > MAX_CONTINUOUS_INTERVAL_HOURS)) {
+        return null;
+    }
+    return Math.min(...covering.map(interval => interval.rate));
+}
+
+/**
+ * Score each day from startDate to endDate for one meter. The score (0-1)
+ * combines overnight flow and usage above the baseline (the median night flow
+ * and daily usage over the BASELINE_DAYS before startDate) and continuous flow.
+ */
+async function analyzeMeter(userId, meter, startDate, endDate, window = DEFAULT_NIGHT_WINDOW) {
+    const baselineStart = addDays(startDate, -BASELINE_DAYS);
+    const readings = await dbAll(
+        `SELECT * FROM readings WHERE meter_id = ? AND reading_date BETWEEN ? AND ?
+         ORDER BY reading_date, reading_time`,
+        [meter.id, formatISODate(addDays(baselineStart, -1)), formatISODate(addDays(endDate, 1))]
+    );
+    const intervals = readingIntervals(readings, getRegisterCapacity(meter));
+
+    const stats = await loadStatistics(userId, baselineStart, endDate, meter);
+    const usageByDate = {};
+    stats.dailyUsage.forEach(day => { usageByDate[day.date] = day; });
+
+    // Baseline from fully covered days before the analysed range
+    const start = formatISODate(startDate);
+    const baselineDays = stats.dailyUsage.filter(day => day.date < start && day.covered >= 0.99);
+    const baselineNightRates = periodDates(baselineStart, addDays(startDate, -1))
+        .map(date => nightRate(intervals, date, window))
+        .filter(rate => rate !== null);
+    const baseline = {
+        dailyUsage: median(baselineDays.map(day => day.usage)),
+        nightRate: baselineNightRates.length > 0 ? median(baselineNightRates) : null,
+        days: baselineDays.length
+    };
+
+    const days = periodDates(startDate, endDate).map(date => {
+        const day = usageByDate[date];
+        const usage = day ? day.usage : null;
+        const night = nightRate(intervals, date, window);
+        const minRate = minimumRate(intervals, date);
+        const evidence = [];
+
+        const nightScore = night === null ? 0 : clamp((night - (baseline.nightRate || 0)) / NIGHT_LEAK_RATE);
+        if (nightScore > 0) {
+            const usual = baseline.nightRate ? ` (usually ${(baseline.nightRate * 1000).toFixed(1)} L/h)` : '';
+            evidence.push(`${(night * 1000).toFixed(1)} L/h used between ${window.start} and ${window.end}${usual}`);
+        }
+
+        const continuousScore = minRate === null ? 0 : clamp(minRate / CONTINUOUS_LEAK_RATE);
+        if (continuousScore > 0) {
+            evidence.push(`Flow never dropped below ${(minRate * 1000).toFixed(1)} L/h between readings`);
+        }
+
+        let deviationScore = 0;
+        if (usage !== null && day.covered >= 0.99 && baseline.dailyUsage > 0) {
+            deviationScore = clamp(usage / baseline.dailyUsage - 1);
+            if (deviationScore > 0) {
+                evidence.push(`${Math.round((usage / baseline.dailyUsage - 1) * 100)}% above the usual ${baseline.dailyUsage.toFixed(3)} kL per day`);
+            }
+        }
+
+        const score = clamp(0.5 * nightScore + 0.4 * continuousScore + 0.2 * deviationScore);
+        return {
+            date,
+            usage,
+            nightRate: night,
+            minRate,
+            score: parseFloat(score.toFixed(2)),
+            suspected: score >= LEAK_SCORE_THRESHOLD,
+            evidence
+        };
+    });
+
+    return {
+        meter: { id: meter.id, name: meter.name, type: meter.type },
+        baseline,
+        days,
+        suspectedDays: days.filter(day => day.suspected).map(day => day.date)
+    };
+}
+
+module.exports = {
+    DEFAULT_NIGHT_WINDOW,
+    LEAK_SCORE_THRESHOLD,
+    analyzeMeter
+};
@@ -0,0 +1,75 @@
+// Meter helpers: utilities, types, register formats and per-user meter lookup
+
+const { dbGet, dbAll, dbRun } = require('../config/database');
+
+const METER_TYPES = ['main', 'irrigation', 'pool', 'borehole', 'other'];
+
+// What a meter measures. Readings and usage are stored in the utility's unit,
+// and each utility has its own tariffs. registerCapacity is where a register
+// rolls over when the meter does not set one (a 7-digit water register in
+// tenths of a liter, a 5-digit electricity or gas register).
+const UTILITIES = {
+    water: { name: 'Water', unit: 'kL', registerFormats: ['tenths_liters', 'liters', 'kiloliters'], registerCapacity: 1000 },
+    electricity: { name: 'Electricity', unit: 'kWh', registerFormats: ['units'], registerCapacity: 100000 },
+    gas: { name: 'Gas', unit: 'm³', registerFormats: ['units'], registerCapacity: 100000 }
+};
+
+const DEFAULT_UTILITY = 'water';
+
+// How the digits on the meter register map to the utility's unit
+const REGISTER_FORMATS = {
+    'tenths_liters': 'Tenths of a liter (7-digit, last digit is decimal liters)',
+    'liters': 'Whole liters',
+    'kiloliters': 'Kiloliters',
+    'units': 'As shown, in the meter\'s unit'
+};
+
+// Unit of a meter's readings and usage
+function meterUnit(meter) {
+    return (UTILITIES[meter && meter.utility] || UTILITIES[DEFAULT_UTILITY]).unit;
+}
+
+// Create the default meter for a user (new registrations and pre-meter data)
+async function createDefaultMeter(userId, registerCapacity = null) {
+    const result = await dbRun(
+        "INSERT INTO meters (user_id, name, type, register_capacity_kl) VALUES (?, 'Main', 'main', ?)",
+        [userId, registerCapacity]
+    );
+    return result.lastID;
+}
+
+// The user's meters, or only those of one utility
+function getUserMeters(userId, utility = null) {
+    if (utility) {
+        return dbAll("SELECT * FROM meters WHERE user_id = ? AND utility = ? ORDER BY id", [userId, utility]);
+    }
+    return dbAll("SELECT * FROM meters WHERE user_id = ? ORDER BY id", [userId]);
+}
+
+/**
+ * Look up a meter owned by the user. Without a meterId, returns the user's
+ * first meter (creating one if the user has none yet).
+ * Resolves to null if meterId does not belong to the user.
+ */
+async function resolveMeter(userId, meterId) {
+    if (meterId !== undefined && meterId !== null && meterId !== '') {
+        return dbGet("SELECT * FROM meters WHERE id = ? AND user_id = ?", [meterId, userId]);
+    }
+
+    const meter = await dbGet("SELECT * FROM meters WHERE user_id = ? ORDER BY id LIMIT 1", [userId]);
+    if (meter) return meter;
+
+    const id = await createDefaultMeter(userId);
+    return dbGet("SELECT * FROM meters WHERE id = ?", [id]);
+}
+
+module.exports = {
+    METER_TYPES,
+    UTILITIES,
+    DEFAULT_UTILITY,
+    REGISTER_FORMATS,
+    meterUnit,
+    createDefaultMeter,
+    getUserMeters,
+    resolveMeter
+};
@@ -0,0 +1,289 @@
+// MQTT bridge: subscribes to the topics configured in MQTT_TOPICS_FILE and
+// stores the readings published on them through a registered device, so
+// topic readings share the ingestion checks, duplicate handling and device
+// statistics of POST /api/ingest. Devices with a command topic also receive
+// their valve commands over MQTT. Started only when MQTT_URL is set.
+
+const fs = require('fs');
+const path = require('path');
+const mqtt = require('mqtt');
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { ingestReadings, recordDeviceActivity } = require('./devices');
+const { evaluateAlertRules } = require('./alerts');
+const { commandEvents, markDelivered, acknowledgeCommand } = require('./commands');
+
+const TOPICS_FILE = process.env.MQTT_TOPICS_FILE || path.join(__dirname, '..', 'config', 'mqtt-topics.json');
+
+// Payload formats: a cumulative register value, or a pulse counter's total
+// (which restarts from zero when the device reboots)
+const PAYLOAD_FORMATS = ['register', 'pulses'];
+
+// Register values in kiloliters or liters
+const REGISTER_UNITS = { kl: 1, l: 0.001 };
+
+// Valve acknowledgements are published on the command topic with this suffix
+const ACK_SUFFIX = '/ack';
+
+/**
+ * Load the topic mappings: { topics: [{ topic, device_id, format, unit,
+ * liters_per_pulse, command_topic }] }. Invalid entries are logged and skipped.
+ */
+function loadTopicMappings() {
+    const config = JSON.parse(fs.readFileSync(TOPICS_FILE, 'utf8'));
+    const mappings = [];
+
+    (config.topics || []).forEach((entry, index) => {
+        const format = entry.format || 'register';
+        let error = null;
+        if (typeof entry.topic !== 'string' || entry.topic === '' || /[+#]/.test(entry.topic)) {
+            error = 'topic must be a topic name without wildcards';
+        } else if (!Number.isInteger(entry.device_id)) {
+            error = 'device_id must be a device ID';
+        } else if (!PAYLOAD_FORMATS.includes(format)) {
+            error = `format must be one of: ${PAYLOAD_FORMATS.join(', ')}`;
+        } else if (format === 'register' && entry.unit !== undefined && !(entry.unit in REGISTER_UNITS)) {
+            error = `unit must be one of: ${Object.keys(REGISTER_UNITS).join(', ')}`;
+        } else if (format === 'pulses' && !(entry.liters_per_pulse > 0)) {
+            error = 'liters_per_pulse must be a positive number';
+        } else if (entry.command_topic !== undefined && (typeof entry.command_topic !== 'string' ||
+            entry.command_topic === '' || /[+#]/.test(entry.command_topic))) {
+            error = 'command_topic must be a topic name without wildcards';
+        }
+
+        if (error) {
+            console.error(`MQTT topic ${index + 1} in ${TOPICS_FILE} skipped: ${error}`);
+            return;
+        }
+        mappings.push({ ...entry, format, unit: entry.unit || 'kl' });
+    });
+
+    return mappings;
+}
+
+/**
+ * Parse a message: a bare number, or JSON with `value` (or `reading_value`,
+ * or `pulses` for pulse counters), an optional `timestamp` (ISO 8601 or Unix
+ * seconds) and an optional message `id`. Returns null if there is no number.
+ */
+function parsePayload(message) {
+    const text = message.toString().trim();
+    const number = Number(text);
+    if (text !== '' && !isNaN(number)) {
+        return { value: number };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return null;
+    }
+    if (!data || typeof data !== 'object') return null;
+
+    const value = Number(data.value ?? data.reading_value ?? data.pulses);
+    if (isNaN(value)) return null;
+    return { value, timestamp: data.timestamp, id: data.id };
+}
+
+// Meter reading in kL for a pulse count. Pulses since the device's last count
+// are added to the meter's latest reading; a lower count means the counter
+// restarted, so the whole count is new. The count is not saved here: it only
+// becomes the device's last count once the reading is stored, so pulses in a
+// rejected reading are counted again with the next message.
+async function pulseReading(device, mapping, count) {
+    const latest = await dbGet(
+        "SELECT reading_value FROM readings WHERE meter_id = ? ORDER BY reading_date DESC, reading_time DESC LIMIT 1",
+        [device.meter_id]
+    );
+    const previousCount = device.pulse_count;
+
+    // The first count only sets the baseline unless the meter has no readings yet
+    if (previousCount === null && latest) {
+        await savePulseCount(device, count);
+        return null;
+    }
+
+    const pulses = previousCount === null || count < previousCount ? count : count - previousCount;
+    return (latest ? latest.reading_value : 0) + pulses * mapping.liters_per_pulse / 1000;
+}
+
+function savePulseCount(device, count) {
+    return dbRun("UPDATE devices SET pulse_count = ? WHERE id = ?", [count, device.id]);
+}
+
+// Store the reading in one message
+async function handleMessage(mapping, message) {
+    const device = await dbGet("SELECT * FROM devices WHERE id = ? AND revoked_at IS NULL", [mapping.device_id]);
+    if (!device) {
+        console.error(`MQTT message on ${mapping.topic} ignored: device ${mapping.device_id} not found or revoked`);
+        return;
+    }
+
+    const payload = parsePayload(message);
+    if (!payload || payload.value < 0) {
+        await recordDeviceActivity(device, 0, 1, `Unreadable MQTT payload on ${mapping.topic}`);
+        return;
+    }
+
+    const reading = {
+        timestamp: payload.timestamp ?? new Date().toISOString(),
+        // Redelivered messages carry the same ID (or timestamp) and are skipped as duplicates
+        idempotency_key: payload.id !== undefined ? `mqtt:${payload.id}`
+            : payload.timestamp !== undefined ? `mqtt:${payload.timestamp}` : undefined
+    };
+
+    const count = Math.round(payload.value);
+    if (mapping.format === 'pulses') {
+        if (reading.idempotency_key && await dbGet(
+            "SELECT id FROM device_ingestions WHERE device_id = ? AND idempotency_key = ?",
+            [device.id, reading.idempotency_key]
+        )) {
+            return;
+        }
+        reading.reading_value = await pulseReading(device, mapping, count);
+        if (reading.reading_value === null) return;
+    } else {
+        reading.reading_value = payload.value * REGISTER_UNITS[mapping.unit];
+    }
+
+    const meter = await dbGet("SELECT * FROM meters WHERE id = ? AND user_id = ?", [device.meter_id, device.user_id]);
+    if (!meter) return;
+
+    const [result] = await ingestReadings(device, meter, [reading], 'mqtt');
+    if (mapping.format === 'pulses' && result.status !== 'rejected') {
+        await savePulseCount(device, count);
+    }
+    await recordDeviceActivity(device, result.status === 'created' ? 1 : 0,
+        result.status === 'rejected' ? 1 : 0, result.status === 'rejected' ? result.error : null);
+
+    if (result.status === 'created') {
+        try {
+            await evaluateAlertRules(device.user_id, meter.id);
+        } catch (alertErr) {
+            console.error('Alert check error:', alertErr.message);
+        }
+    }
+}
+
+// Record a device's acknowledgement of a valve command: { id, status: 'done' | 'failed', message? }
+async function handleAck(deviceId, message) {
+    const device = await dbGet("SELECT * FROM devices WHERE id = ? AND revoked_at IS NULL", [deviceId]);
+    if (!device) return;
+
+    let ack;
+    try {
+        ack = JSON.parse(message.toString());
+    } catch (err) {
+        ack = null;
+    }
+    if (!ack || !Number.isInteger(ack.id) || !['done', 'failed'].includes(ack.status)) {
+        await recordDeviceActivity(device, 0, 1, 'Unreadable MQTT command acknowledgement');
+        return;
+    }
+
+    const details = typeof ack.message === 'string' ? ack.message.slice(0, 200) : null;
+    const result = await acknowledgeCommand(device, ack.id, ack.status, details);
+    if (result && result.recorded && ack.status === 'failed') {
+        await recordDeviceActivity(device, 0, 1, `Valve ${result.command.command} failed: ${details || 'no details'}`);
+    }
+}
+
+// Publish a valve command to the device's command topic as { id, command }
+function sendCommand(client, topic, command) {
+    client.publish(topic, JSON.stringify({ id: command.id, command: command.command }), { qos: 1 }, (err) => {
+        if (err) {
+            console.error(`MQTT command ${command.id} not sent:`, err.message);
+            return;
+        }
+        markDelivered(command).catch(err => console.error('MQTT command error:', err.message));
+    });
+}
+
+/**
+ * Connect to MQTT_URL and subscribe to the configured topics. The client
+ * reconnects on its own and resubscribes on each connection; each device's
+ * messages are handled one at a time so pulse counts and sequence checks see
+ * them in order. Returns the client, or null if the bridge is not configured.
+ */
+function startMqttBridge() {
+    if (!process.env.MQTT_URL) return null;
+
+    let mappings;
+    try {
+        mappings = loadTopicMappings();
+    } catch (err) {
+        console.error(`MQTT bridge not started: cannot read ${TOPICS_FILE}: ${err.message}`);
+        return null;
+    }
+    if (mappings.length === 0) {
+        console.error(`MQTT bridge not started: no topics configured in ${TOPICS_FILE}`);
+        return null;
+    }
+
+    const byTopic = new Map(mappings.map(mapping => [mapping.topic, mapping]));
+
+    // Devices receiving valve commands, and the topics their acknowledgements arrive on
+    const commandTopics = new Map(mappings
+        .filter(mapping => mapping.command_topic)
+        .map(mapping => [mapping.device_id, mapping.command_topic]));
+    const ackTopics = new Map([...commandTopics].map(([deviceId, topic]) => [topic + ACK_SUFFIX, deviceId]));
+
+    const client = mqtt.connect(process.env.MQTT_URL, {
+        username: process.env.MQTT_USERNAME || undefined,
+        password: process.env.MQTT_PASSWORD || undefined,
+        clientId: process.env.MQTT_CLIENT_ID || 'water-monitor',
+        // Keep the session so QoS 1 messages published while disconnected are delivered
+        clean: false,
+        reconnectPeriod: 5000
+    });
+
+    client.on('connect', () => {
+        console.log(`MQTT bridge connected to ${process.env.MQTT_URL}`);
+        client.subscribe([...byTopic.keys(), ...ackTopics.keys()], { qos: 1 }, (err) => {
+            if (err) console.error('MQTT subscribe error:', err.message);
+        });
+
+        // Send commands queued while the bridge was disconnected
+        if (commandTopics.size === 0) return;
+        const deviceIds = [...commandTopics.keys()];
+        dbAll(
+            `SELECT * FROM device_commands WHERE state = 'pending' AND device_id IN (${deviceIds.map(() => '?').join(', ')})
+             ORDER BY id`,
+            deviceIds
+        ).then(commands => commands.forEach(command => sendCommand(client, commandTopics.get(command.device_id), command)))
+            .catch(err => console.error('MQTT command error:', err.message));
+    });
+
+    commandEvents.on('queued', (command) => {
+        if (commandTopics.has(command.device_id) && client.connected) {
+            sendCommand(client, commandTopics.get(command.device_id), command);
+        }
+    });
+    client.on('reconnect', () => console.log('MQTT bridge reconnecting...'));
+    client.on('error', (err) => console.error('MQTT error:', err.message));
+
+    // Pending message handling per device ID, chained so a device's messages
+    // never run concurrently (a pulse count read before the previous message
+    // stored its reading would count the same pulses twice)
+    const queues = new Map();
+    client.on('message', (topic, message) => {
+        const mapping = byTopic.get(topic);
+        const ackDevice = ackTopics.get(topic);
+        if (!mapping && !ackDevice) return;
+
+        const deviceId = mapping ? mapping.device_id : ackDevice;
+        const queue = (queues.get(deviceId) || Promise.resolve())
+            .then(() => mapping ? handleMessage(mapping, message) : handleAck(ackDevice, message))
+            .catch(err => console.error(`MQTT message on ${topic} failed:`, err.message));
+        queues.set(deviceId, queue);
+        queue.then(() => {
+            if (queues.get(deviceId) === queue) queues.delete(deviceId);
+        });
+    });
+
+    return client;
+}
+
+module.exports = {
+    startMqttBridge
+};
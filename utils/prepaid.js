@@ -0,0 +1,167 @@
+// Prepaid electricity: token purchases and balance readings (the kWh left on
+// the meter's display) on electricity meters, with an estimate of the units
+// left now, the days until they run out at recent usage and the effective
+// price per kWh.
+
+const { dbGet, dbAll } = require('../config/database');
+const { MS_PER_DAY, formatISODate, readingTimestamp } = require('./statistics');
+
+const PREPAID_UTILITY = 'electricity';
+
+// Days before the latest balance reading that recent usage is averaged over
+const USAGE_WINDOW_DAYS = 14;
+
+// Shortest span of balance readings usage is estimated from, so two readings
+// minutes apart do not give a wild daily rate
+const MIN_USAGE_SPAN_DAYS = 1;
+
+// Days of purchases the effective price is averaged over (prices change yearly)
+const PRICE_WINDOW_DAYS = 90;
+
+// Days of units left below which the balance is low, unless a prepaid alert rule sets it
+const DEFAULT_LOW_BALANCE_DAYS = 3;
+
+function round(value, decimals) {
+    return parseFloat(value.toFixed(decimals));
+}
+
+function purchaseTimestamp(purchase) {
+    return readingTimestamp({ reading_date: purchase.purchase_date, reading_time: purchase.purchase_time });
+}
+
+// A meter's token purchases, oldest first
+function getPurchases(meterId) {
+    return dbAll(
+        "SELECT * FROM prepaid_purchases WHERE meter_id = ? ORDER BY purchase_date, purchase_time, id",
+        [meterId]
+    );
+}
+
+// A meter's balance readings, oldest first
+function getBalances(meterId) {
+    return dbAll(
+        "SELECT * FROM prepaid_balances WHERE meter_id = ? ORDER BY reading_date, reading_time, id",
+        [meterId]
+    );
+}
+
+// kWh credited by purchases after `from` up to and including `to` (timestamps in ms)
+function unitsBought(purchases, from, to) {
+    return purchases
+        .filter(purchase => purchaseTimestamp(purchase) > from && purchaseTimestamp(purchase) <= to)
+        .reduce((sum, purchase) => sum + purchase.units, 0);
+}
+
+/**
+ * Average daily usage from the balance readings: the drop in balance plus the
+ * units bought in between, from the earliest reading within USAGE_WINDOW_DAYS
+ * of the latest one (or the last reading before that window) to the latest.
+ * Falls back to the meter's register readings over the last USAGE_WINDOW_DAYS
+ * (from the daily rollups). Resolves to { dailyUsage, source } with source
+ * 'balances' or 'readings', or null if neither gives an estimate.
+ */
+async function recentDailyUsage(meter, balances, purchases, now) {
+    const latest = balances[balances.length - 1];
+    if (latest) {
+        const latestAt = readingTimestamp(latest);
+        const earlier = balances.filter(balance => readingTimestamp(balance) <= latestAt - MIN_USAGE_SPAN_DAYS * MS_PER_DAY);
+        const first = earlier.find(balance => readingTimestamp(balance) >= latestAt - USAGE_WINDOW_DAYS * MS_PER_DAY)
+            || earlier[earlier.length - 1];
+
+        if (first) {
+            const firstAt = readingTimestamp(first);
+            const used = first.balance + unitsBought(purchases, firstAt, latestAt) - latest.balance;
+            // A purchase that was not recorded shows as negative usage
+            if (used >= 0) {
+                return { dailyUsage: used / ((latestAt - firstAt) / MS_PER_DAY), source: 'balances' };
+            }
+        }
+    }
+
+    const { usage, covered } = await dbGet(
+        "SELECT SUM(usage) AS usage, SUM(covered) AS covered FROM usage_daily WHERE meter_id = ? AND date BETWEEN ? AND ?",
+        [meter.id, formatISODate(new Date(now - USAGE_WINDOW_DAYS * MS_PER_DAY)), formatISODate(new Date(now))]
+    );
+    return covered > 0 ? { dailyUsage: usage / covered, source: 'readings' } : null;
+}
+
+// Price per kWh over the purchases of the last PRICE_WINDOW_DAYS (or the last
+// purchase): all-in, and for energy only (without the fixed charges deducted)
+function effectivePrice(purchases, now) {
+    let recent = purchases.filter(purchase => purchaseTimestamp(purchase) >= now - PRICE_WINDOW_DAYS * MS_PER_DAY);
+    if (recent.length === 0) recent = purchases.slice(-1);
+
+    const units = recent.reduce((sum, purchase) => sum + purchase.units, 0);
+    if (!(units > 0)) return null;
+
+    const paid = recent.reduce((sum, purchase) => sum + purchase.amount_paid, 0);
+    const fixed = recent.reduce((sum, purchase) => sum + purchase.fixed_charges, 0);
+    return {
+        purchases: recent.length,
+        units: round(units, 3),
+        amountPaid: round(paid, 2),
+        fixedCharges: round(fixed, 2),
+        effectiveRate: round(paid / units, 4),
+        energyRate: round((paid - fixed) / units, 4)
+    };
+}
+
+// Days of units left below which a meter's balance is low: the lowest
+// threshold of the user's enabled prepaid alert rules covering it
+async function lowBalanceDays(meter) {
+    const { days } = await dbGet(
+        `SELECT MIN(threshold) AS days FROM alert_rules
+         WHERE user_id = ? AND enabled = 1 AND metric = 'prepaid_days' AND (meter_id IS NULL OR meter_id = ?)`,
+        [meter.user_id, meter.id]
+    );
+    return days !== null ? days : DEFAULT_LOW_BALANCE_DAYS;
+}
+
+/**
+ * Prepaid status of an electricity meter at `now` (ms): the latest balance
+ * reading, the estimated balance since (plus units bought, less recent daily
+ * usage for the time elapsed), the days until it runs out and the date, the
+ * effective price per kWh and whether the balance is low. The balance is only
+ * estimated once a balance reading has been recorded.
+ */
+async function prepaidStatus(meter, now = Date.now()) {
+    const purchases = await getPurchases(meter.id);
+    const balances = await getBalances(meter.id);
+    const latest = balances[balances.length - 1] || null;
+    const usage = await recentDailyUsage(meter, balances, purchases, now);
+    const lowDays = await lowBalanceDays(meter);
+
+    let estimatedBalance = null;
+    let daysRemaining = null;
+    if (latest) {
+        const latestAt = readingTimestamp(latest);
+        const elapsedDays = Math.max(0, (now - latestAt) / MS_PER_DAY);
+        const used = usage ? usage.dailyUsage * elapsedDays : 0;
+        estimatedBalance = Math.max(0, latest.balance + unitsBought(purchases, latestAt, now) - used);
+        if (usage && usage.dailyUsage > 0) {
+            daysRemaining = estimatedBalance / usage.dailyUsage;
+        }
+    }
+
+    return {
+        meter: { id: meter.id, name: meter.name },
+        latestBalance: latest,
+        lastPurchase: purchases[purchases.length - 1] || null,
+        estimatedBalance: estimatedBalance === null ? null : round(estimatedBalance, 3),
+        dailyUsage: usage ? round(usage.dailyUsage, 3) : null,
+        usageSource: usage ? usage.source : null,
+        daysRemaining: daysRemaining === null ? null : round(daysRemaining, 1),
+        emptyDate: daysRemaining === null ? null : formatISODate(new Date(now + daysRemaining * MS_PER_DAY)),
+        price: effectivePrice(purchases, now),
+        lowBalanceDays: lowDays,
+        lowBalance: daysRemaining !== null && daysRemaining < lowDays
+    };
+}
+
+module.exports = {
+    PREPAID_UTILITY,
+    DEFAULT_LOW_BALANCE_DAYS,
+    getPurchases,
+    getBalances,
+    prepaidStatus
+};
@@ -0,0 +1,111 @@
+// Meter reading sequence checks: decreasing readings, register rollover and meter replacement
+
+const { dbGet } = require('../config/database');
+const { UTILITIES } = require('./meters');
+const { readingTimestamp } = require('./statistics');
+
+// A 7-digit register in tenths of a liter wraps after 9999999 (999.9999 kL)
+const DEFAULT_REGISTER_CAPACITY_KL = 1000;
+
+// A decrease is treated as a rollover when the previous reading was within this
+// fraction of the register capacity and the new one is within it of zero
+const ROLLOVER_WINDOW = 0.1;
+
+const EVENT_TYPES = ['reading', 'meter_replaced'];
+
+// Readings entered by hand may be dated ahead of the server's clock by up to a
+// day (the browser may be in a later time zone); anything further is a typo
+const MAX_FUTURE_READING_MS = 24 * 60 * 60 * 1000;
+
+// Register capacity of a meter in its unit (defaults to the utility's usual
+// register, and a 7-digit water register for meters from before utilities)
+function getRegisterCapacity(meter) {
+    const utility = UTILITIES[meter && meter.utility];
+    return (meter && parseFloat(meter.register_capacity_kl))
+        || (utility ? utility.registerCapacity : DEFAULT_REGISTER_CAPACITY_KL);
+}
+
+// Is a reading dated further ahead than MAX_FUTURE_READING_MS (or allowance)?
+function isFutureReading(reading, allowance = MAX_FUTURE_READING_MS, now = Date.now()) {
+    return readingTimestamp(reading) > now + allowance;
+}
+
+/**
+ * Classify a reading against the one before it.
+ * Returns null when the sequence is fine, 'rollover' when the register wrapped
+ * past its capacity, or 'decrease' when the reading is unexpectedly lower.
+ */
+function classifyReading(previous, current, capacity) {
+    if (!previous || current.event_type === 'meter_replaced') return null;
+    if (current.reading_value >= previous.reading_value) return null;
+
+    const nearTop = previous.reading_value >= capacity * (1 - ROLLOVER_WINDOW);
+    const nearZero = current.reading_value <= capacity * ROLLOVER_WINDOW;
+    return nearTop && nearZero ? 'rollover' : 'decrease';
+}
+
+/**
+ * Usage (in the meter's unit) between two consecutive readings.
+ * Across a meter replacement, usage is what the old meter recorded up to its
+ * final reading; the new meter's starting value becomes the next baseline.
+ */
+function usageBetween(previous, current, capacity) {
+    if (current.event_type === 'meter_replaced') {
+        if (current.previous_meter_final === null || current.previous_meter_final === undefined) {
+            return 0;
+        }
+        return Math.max(0, current.previous_meter_final - previous.reading_value);
+    }
+
+    const delta = current.reading_value - previous.reading_value;
+    if (delta >= 0) return delta;
+
+    return classifyReading(previous, current, capacity) === 'rollover' ? delta + capacity : 0;
+}
+
+/**
+ * Check a new or edited reading against its neighbours on the same meter.
+ * Returns { flag, conflict } where flag is 'rollover' or 'decrease' (or null)
+ * and conflict describes the neighbouring reading that makes it a decrease.
+ */
+async function checkReadingSequence(meter, reading, excludeId = null) {
+    const capacity = getRegisterCapacity(meter);
+    const exclude = excludeId ? " AND id != ?" : "";
+    const params = [meter.id, reading.reading_date, reading.reading_date, reading.reading_time];
+    if (excludeId) params.push(excludeId);
+
+    const previous = await dbGet(
+        `SELECT * FROM readings WHERE meter_id = ?
+         AND (reading_date < ? OR (reading_date = ? AND reading_time < ?))${exclude}
+         ORDER BY reading_date DESC, reading_time DESC LIMIT 1`,
+        params
+    );
+
+    const next = await dbGet(
+        `SELECT * FROM readings WHERE meter_id = ?
+         AND (reading_date > ? OR (reading_date = ? AND reading_time > ?))${exclude}
+         ORDER BY reading_date, reading_time LIMIT 1`,
+        params
+    );
+
+    const flag = classifyReading(previous, reading, capacity);
+    if (flag === 'decrease') {
+        return { flag, conflict: { position: 'previous', reading: previous } };
+    }
+
+    if (next && classifyReading(reading, next, capacity) === 'decrease') {
+        return { flag: 'decrease', conflict: { position: 'next', reading: next } };
+    }
+
+    return { flag, conflict: null };
+}
+
+module.exports = {
+    DEFAULT_REGISTER_CAPACITY_KL,
+    EVENT_TYPES,
+    getRegisterCapacity,
+    isFutureReading,
+    classifyReading,
+    usageBetween,
+    checkReadingSequence
+};
@@ -0,0 +1,117 @@
+// Reading reminders: emails users whose reading schedule expected a meter
+// reading that has not been captured. The schedule lives in the user's
+// settings (reminder_schedule, reminder_time, reminder_days).
+
+const { dbGet, dbAll, dbRun, getUserSettings } = require('../config/database');
+const { formatISODate } = require('./statistics');
+const { sendReadingReminderEmail } = require('./email');
+
+// off, every day, one day a week, or specific days of the week
+const REMINDER_SCHEDULES = ['off', 'daily', 'weekly', 'days'];
+
+const DEFAULT_REMINDER_TIME = '07:00';
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.REMINDER_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// The user's reminder schedule from their settings. Days are 0 (Sunday) to 6;
+// weekly schedules use the first one.
+function parseReminderSchedule(settings) {
+    const days = (settings.reminder_days || '1')
+        .split(',')
+        .map(Number)
+        .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    return {
+        schedule: REMINDER_SCHEDULES.includes(settings.reminder_schedule) ? settings.reminder_schedule : 'off',
+        time: settings.reminder_time || DEFAULT_REMINDER_TIME,
+        days: days.length > 0 ? days : [1]
+    };
+}
+
+function isReadingDay(reminder, date) {
+    switch (reminder.schedule) {
+        case 'daily':
+            return true;
+        case 'weekly':
+            return date.getDay() === reminder.days[0];
+        case 'days':
+            return reminder.days.includes(date.getDay());
+        default:
+            return false;
+    }
+}
+
+// Link that opens the Capture tab with the reading date and time filled in
+function readingLink(date, time) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    return `${appUrl}/?tab=capture&date=${date}&time=${encodeURIComponent(time)}`;
+}
+
+/**
+ * Send the user a reminder if a reading is due today, the scheduled time has
+ * passed and no reading has been captured in the expected window (that day,
+ * or the past week for weekly schedules). At most one reminder is sent per
+ * day. Resolves to true if a reminder was sent.
+ */
+async function checkReadingReminder(user, now = new Date()) {
+    const settings = await getUserSettings(user.id);
+    const reminder = parseReminderSchedule(settings);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const date = formatISODate(today);
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+
+    if (!isReadingDay(reminder, today) ||
+        now.getHours() * 60 + now.getMinutes() < hours * 60 + minutes ||
+        settings.reminder_last_sent === date) {
+        return false;
+    }
+
+    const windowStart = formatISODate(reminder.schedule === 'weekly' ? addDays(today, -6) : today);
+    const reading = await dbGet(
+        "SELECT id FROM readings WHERE user_id = ? AND reading_date BETWEEN ? AND ? LIMIT 1",
+        [user.id, windowStart, date]
+    );
+    if (reading) return false;
+
+    await sendReadingReminderEmail(user.email, user.username, {
+        weekly: reminder.schedule === 'weekly',
+        link: readingLink(date, reminder.time)
+    });
+    await dbRun(
+        "INSERT OR REPLACE INTO settings (user_id, setting_key, setting_value) VALUES (?, 'reminder_last_sent', ?)",
+        [user.id, date]
+    );
+    return true;
+}
+
+// Check every user with reminders switched on (run on a schedule)
+async function checkAllReminders() {
+    const users = await dbAll(
+        `SELECT u.id, u.username, u.email FROM users u
+         JOIN settings s ON s.user_id = u.id AND s.setting_key = 'reminder_schedule'
+         WHERE s.setting_value != 'off' AND u.is_active = 1 AND u.email IS NOT NULL`
+    );
+    for (const user of users) {
+        try {
+            await checkReadingReminder(user);
+        } catch (err) {
+            console.error(`Reading reminder failed for user ${user.id}:`, err.message);
+        }
+    }
+}
+
+function startReminderSchedule() {
+    return setInterval(() => {
+        checkAllReminders().catch(err => console.error('Reading reminder error:', err.message));
+    }, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+    REMINDER_SCHEDULES,
+    checkReadingReminder,
+    checkAllReminders,
+    startReminderSchedule
+};
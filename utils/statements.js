@@ -0,0 +1,124 @@
+// Statements: closed billing periods snapshotted with their usage, tariff and costs
+
+const { dbGet, dbRun, getUserSettings } = require('../config/database');
+const { DEFAULT_UTILITY } = require('./meters');
+const { formatISODate, getBillingPeriod, loadStatistics } = require('./statistics');
+const { legacyCharges, getUserTariffs } = require('./tariffs');
+
+// Tariff versions captured with a statement so it still reads correctly after tariffs change
+function tariffSnapshot(tariffs, tariffPeriods) {
+    return tariffPeriods.map(period => {
+        const tariff = tariffs.find(t => t.id === period.tariffId);
+        return {
+            effective_from: period.effectiveFrom,
+            start: period.start,
+            end: period.end,
+            days: period.days,
+            charges: tariff ? tariff.charges : [],
+            line_items: tariff ? tariff.line_items : [],
+            vat_rate: tariff ? tariff.vat_rate : 0,
+            block_proration: tariff ? tariff.block_proration : 'monthly',
+            block_limits: period.blockLimits
+        };
+    });
+}
+
+// Statements closed before structured tariffs stored water/sewage amounts
+// and flat rates; convert them to the charges format. Statements closed before
+// line items and VAT had neither.
+function legacyCostBreakdown(cost) {
+    if (cost.charges) {
+        return { lineItems: [], subtotal: cost.total, vat: '0.00', ...cost };
+    }
+    return {
+        charges: [
+            { key: 'water', name: 'Water', basic: cost.waterBasic, usage: cost.waterUsage, total: (parseFloat(cost.waterBasic) + parseFloat(cost.waterUsage)).toFixed(2) },
+            { key: 'sewage', name: 'Sewage', basic: '0.00', usage: cost.sewage, total: cost.sewage }
+        ],
+        lineItems: [],
+        subtotal: cost.total,
+        vat: '0.00',
+        total: cost.total
+    };
+}
+
+// Parse the JSON columns of a statement row
+function parseStatement(row) {
+    const tariff = JSON.parse(row.tariff).map(period => ({
+        line_items: [],
+        vat_rate: 0,
+        block_proration: 'monthly',
+        ...(period.charges ? period : { ...period, charges: legacyCharges(period.rates || {}), rates: undefined })
+    }));
+
+    return {
+        ...row,
+        cost_breakdown: legacyCostBreakdown(JSON.parse(row.cost_breakdown)),
+        tariff,
+        meters: JSON.parse(row.meters),
+        daily_usage: JSON.parse(row.daily_usage)
+    };
+}
+
+/**
+ * Close the billing period containing referenceDate and store its statement.
+ * Throws an error with status 400 if the period has not ended yet, or 409 if
+ * it has already been closed.
+ */
+async function closeStatement(userId, referenceDate) {
+    const settings = await getUserSettings(userId);
+    const { startDate, endDate } = getBillingPeriod(referenceDate, settings);
+    const periodStart = formatISODate(startDate);
+    const periodEnd = formatISODate(endDate);
+
+    if (periodEnd >= formatISODate(new Date())) {
+        const err = new Error(`The billing period ${periodStart} to ${periodEnd} has not ended yet`);
+        err.status = 400;
+        throw err;
+    }
+
+    const existing = await dbGet(
+        "SELECT id FROM statements WHERE user_id = ? AND period_start = ?",
+        [userId, periodStart]
+    );
+    if (existing) {
+        const err = new Error(`The billing period ${periodStart} to ${periodEnd} is already closed`);
+        err.status = 409;
+        throw err;
+    }
+
+    // Statements cover the municipal bill, so the default utility's meters and tariffs
+    const stats = await loadStatistics(userId, startDate, endDate, null, DEFAULT_UTILITY);
+    const tariffs = await getUserTariffs(userId, DEFAULT_UTILITY);
+    const meters = stats.meters.map(({ meter, totalUsage }) => ({
+        id: meter.id,
+        name: meter.name,
+        type: meter.type,
+        billed: !!meter.billed,
+        usage: parseFloat(totalUsage)
+    }));
+
+    const result = await dbRun(
+        `INSERT INTO statements (user_id, period_start, period_end, total_usage, total_cost, cost_breakdown, tariff, meters, daily_usage)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            userId,
+            periodStart,
+            periodEnd,
+            parseFloat(stats.totalUsage),
+            parseFloat(stats.currentCost),
+            JSON.stringify(stats.costBreakdown.current),
+            JSON.stringify(tariffSnapshot(tariffs, stats.tariffPeriods)),
+            JSON.stringify(meters),
+            JSON.stringify(stats.dailyUsage.map(day => ({ date: day.date, usage: day.usage })))
+        ]
+    );
+
+    return parseStatement(await dbGet("SELECT * FROM statements WHERE id = ?", [result.lastID]));
+}
+
+module.exports = {
+    tariffSnapshot,
+    parseStatement,
+    closeStatement
+};
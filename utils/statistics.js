@@ -0,0 +1,562 @@
+// Usage statistics and tariff cost calculations
+
+const { dbAll } = require('../config/database');
+const { UTILITIES, DEFAULT_UTILITY, getUserMeters } = require('./meters');
+const { DAYS_PER_MONTH, HOURS_PER_DAY, getUserTariffs, tariffForDate, touSeason, touSchedule } = require('./tariffs');
+
+// Format a Date as YYYY-MM-DD using local time
+function formatISODate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Cost breakdown for usage that is not billed
+const NO_CHARGE = { charges: [], lineItems: [], subtotal: 0, vat: 0, total: 0, segments: [] };
+
+// Timestamp (ms) of a reading from its local reading_date and reading_time
+function readingTimestamp(reading) {
+    const [year, month, day] = reading.reading_date.split('-').map(Number);
+    const [hours = 0, minutes = 0, seconds = 0] = (reading.reading_time || '00:00').split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+}
+
+// Clamp a billing day to the length of the given month (e.g. 31 → 30 in April)
+function billingDate(year, month, day) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, daysInMonth));
+}
+
+// Get the billing period containing referenceDate
+function getBillingPeriod(referenceDate, settings) {
+    const startDay = parseInt(settings.billing_start_day) || 1;
+    const endDay = parseInt(settings.billing_end_day) || 31;
+
+    const year = referenceDate.getFullYear();
+    const month = referenceDate.getMonth();
+    const day = referenceDate.getDate();
+
+    let startDate, endDate;
+
+    if (day >= startDay) {
+        startDate = billingDate(year, month, startDay);
+        if (endDay < startDay) {
+            endDate = billingDate(year, month + 1, endDay);
+        } else {
+            endDate = billingDate(year, month, endDay);
+        }
+    } else {
+        startDate = billingDate(year, month - 1, startDay);
+        endDate = billingDate(year, month, endDay);
+    }
+
+    return { startDate, endDate };
+}
+
+// Get every billing period overlapping the range [fromDate, toDate]
+function getBillingPeriods(fromDate, toDate, settings) {
+    const startDay = parseInt(settings.billing_start_day) || 1;
+    const periods = [];
+
+    let period = getBillingPeriod(fromDate, settings);
+    while (period.startDate <= toDate) {
+        periods.push(period);
+        const next = billingDate(period.startDate.getFullYear(), period.startDate.getMonth() + 1, startDay);
+        period = getBillingPeriod(next, settings);
+    }
+
+    return periods;
+}
+
+/**
+ * Calculate statistics for one meter from its daily usage in the period
+ * ([{ date, usage, covered }] ordered by date, from the daily rollups, where
+ * covered is the fraction of the day spanned by readings, and days under a
+ * time-of-use tariff may carry their usage per time band in bands), costed
+ * against the tariffs of the meter's utility. Usage is in the utility's unit (kL, kWh, ...).
+ * Costs are only charged for meters billed by the municipality or supplier.
+ */
+function calculateStatistics(dailyUsage, tariffs, startDate, endDate, meter = null) {
+    const utility = (meter && meter.utility) || DEFAULT_UTILITY;
+    if (dailyUsage.length === 0) {
+        return {
+            utility,
+            unit: UTILITIES[utility].unit,
+            totalUsage: 0,
+            dailyUsage: [],
+            projectedDailyUsage: [],
+            avgDailyUsage: 0,
+            projectedUsage: 0,
+            currentCost: 0,
+            projectedCost: 0,
+            costBreakdown: {
+                current: formatCosts(NO_CHARGE),
+                projected: formatCosts(NO_CHARGE)
+            },
+            tariffPeriods: [],
+            billingPeriod: {
+                start: formatISODate(startDate),
+                end: formatISODate(endDate)
+            }
+        };
+    }
+
+    const days = {};
+    dailyUsage.forEach(day => {
+        days[day.date] = day;
+    });
+
+    const totalUsage = dailyUsage.reduce((sum, day) => sum + day.usage, 0);
+    const daysCovered = dailyUsage.reduce((sum, day) => sum + day.covered, 0);
+    const daysWithReadings = dailyUsage.length;
+
+    // Average over the time actually spanned by readings, not per reading interval
+    const avgDailyUsage = daysCovered > 0 ? totalUsage / daysCovered : 0;
+
+    // Projection: actual usage where readings cover the day, the average elsewhere
+    const projectedDailyUsage = periodDates(startDate, endDate).map(date => {
+        const day = days[date] || { usage: 0, covered: 0 };
+        const projected = { date, usage: day.usage + avgDailyUsage * Math.max(0, 1 - day.covered) };
+        if (day.bands) projected.bands = day.bands;
+        return projected;
+    });
+    const projectedUsage = projectedDailyUsage.reduce((sum, day) => sum + day.usage, 0);
+
+    const billed = !meter || !!meter.billed;
+    return formatStatistics({
+        totalUsage,
+        dailyUsage,
+        projectedDailyUsage,
+        avgDailyUsage,
+        projectedUsage,
+        billedDailyUsage: billed ? dailyUsage : [],
+        billedProjectedDailyUsage: billed ? projectedDailyUsage : [],
+        charged: billed,
+        daysWithReadings
+    }, tariffs, startDate, endDate, utility);
+}
+
+// Sum { date, usage, bands? } series by date
+function sumByDate(series) {
+    const byDate = {};
+    series.forEach(days => {
+        days.forEach(day => {
+            const total = byDate[day.date] = byDate[day.date] || { date: day.date, usage: 0 };
+            total.usage += day.usage;
+            if (day.bands) {
+                total.bands = total.bands || {};
+                for (const [band, usage] of Object.entries(day.bands)) {
+                    total.bands[band] = (total.bands[band] || 0) + usage;
+                }
+            }
+        });
+    });
+    return Object.keys(byDate).sort().map(date => byDate[date]);
+}
+
+/**
+ * Combine per-meter statistics for meters of one utility into household totals.
+ * Usage is summed across the meters; costs are calculated on the combined
+ * usage of billed meters, since the tariff blocks apply to the whole account.
+ */
+function combineStatistics(meterStats, tariffs, startDate, endDate, utility = DEFAULT_UTILITY) {
+    const dailyUsage = sumByDate(meterStats.map(({ stats }) => stats.dailyUsage));
+
+    if (dailyUsage.length === 0) {
+        return calculateStatistics([], tariffs, startDate, endDate, { utility, billed: 1 });
+    }
+
+    const billedStats = meterStats.filter(({ meter }) => meter.billed);
+
+    return formatStatistics({
+        totalUsage: meterStats.reduce((sum, { stats }) => sum + parseFloat(stats.totalUsage), 0),
+        dailyUsage,
+        projectedDailyUsage: sumByDate(meterStats.map(({ stats }) => stats.projectedDailyUsage)),
+        avgDailyUsage: meterStats.reduce((sum, { stats }) => sum + parseFloat(stats.avgDailyUsage), 0),
+        projectedUsage: meterStats.reduce((sum, { stats }) => sum + stats.projectedUsage, 0),
+        billedDailyUsage: sumByDate(billedStats.map(({ stats }) => stats.dailyUsage)),
+        billedProjectedDailyUsage: sumByDate(billedStats.map(({ stats }) => stats.projectedDailyUsage)),
+        charged: billedStats.length > 0,
+        daysWithReadings: Math.max(...meterStats.map(({ stats }) => stats.daysWithReadings || 0))
+    }, tariffs, startDate, endDate, utility);
+}
+
+// Format a cost breakdown's amounts to 2 decimals
+function formatCosts(costs) {
+    return {
+        charges: costs.charges.map(charge => ({
+            key: charge.key,
+            name: charge.name,
+            basic: charge.basic.toFixed(2),
+            usage: charge.usage.toFixed(2),
+            vat: charge.vat.toFixed(2),
+            total: charge.total.toFixed(2),
+            ...(charge.bands ? {
+                bands: charge.bands.map(band => ({ ...band, usage: band.usage.toFixed(3), cost: band.cost.toFixed(2) }))
+            } : {})
+        })),
+        lineItems: costs.lineItems.map(item => ({
+            key: item.key,
+            name: item.name,
+            type: item.type,
+            amount: item.amount.toFixed(2),
+            vat: item.vat.toFixed(2)
+        })),
+        subtotal: costs.subtotal.toFixed(2),
+        vat: costs.vat.toFixed(2),
+        total: costs.total.toFixed(2)
+    };
+}
+
+// Build the statistics response, costing the billed usage against the utility's tariffs
+function formatStatistics(usage, tariffs, startDate, endDate, utility) {
+    const { totalUsage, dailyUsage, projectedDailyUsage, avgDailyUsage, projectedUsage,
+        billedDailyUsage, billedProjectedDailyUsage, charged, daysWithReadings } = usage;
+
+    // Unbilled meters (e.g. a borehole) carry no charges at all, not even the basic charge
+    const currentCostBreakdown = charged ? calculateCostBreakdown(billedDailyUsage, tariffs, startDate, endDate) : NO_CHARGE;
+    const projectedCostBreakdown = charged ? calculateCostBreakdown(billedProjectedDailyUsage, tariffs, startDate, endDate) : NO_CHARGE;
+    const totalDaysInPeriod = Math.round((endDate - startDate) / MS_PER_DAY) + 1;
+
+    return {
+        utility,
+        unit: UTILITIES[utility].unit,
+        totalUsage: totalUsage.toFixed(4),
+        dailyUsage,
+        projectedDailyUsage,
+        avgDailyUsage: avgDailyUsage.toFixed(4),
+        projectedUsage,
+        currentCost: currentCostBreakdown.total.toFixed(2),
+        projectedCost: projectedCostBreakdown.total.toFixed(2),
+        costBreakdown: {
+            current: formatCosts(currentCostBreakdown),
+            projected: formatCosts(projectedCostBreakdown)
+        },
+        // Tariff versions in force during the period, with the share of the period each covers
+        tariffPeriods: projectedCostBreakdown.segments.map(segment => ({
+            tariffId: segment.tariffId,
+            effectiveFrom: segment.effectiveFrom,
+            start: segment.start,
+            end: segment.end,
+            days: segment.days,
+            type: segment.type,
+            blockProration: segment.blockProration,
+            // Block limits applied in this segment after pro-ration
+            blockLimits: segment.blockLimits,
+            projected: formatCosts(segment.costs)
+        })),
+        billingPeriod: {
+            start: formatISODate(startDate),
+            end: formatISODate(endDate)
+        },
+        daysInPeriod: totalDaysInPeriod,
+        daysWithReadings
+    };
+}
+
+// A meter's daily usage in the range from the daily rollups, which spread each
+// reading interval's usage over the days it spans (prorating intervals that
+// cross the range boundaries, and accounting for register rollovers and meter
+// replacements)
+function getDailyUsage(meterId, startDate, endDate) {
+    return dbAll(
+        "SELECT date, usage, covered FROM usage_daily WHERE meter_id = ? AND date BETWEEN ? AND ? ORDER BY date",
+        [meterId, formatISODate(startDate), formatISODate(endDate)]
+    );
+}
+
+// A meter's hourly usage in the range from the hourly rollups
+function getHourlyUsage(meterId, startDate, endDate) {
+    return dbAll(
+        "SELECT hour, usage, covered FROM usage_hourly WHERE meter_id = ? AND hour BETWEEN ? AND ? ORDER BY hour",
+        [meterId, `${formatISODate(startDate)} 00:00`, `${formatISODate(endDate)} 23:00`]
+    );
+}
+
+// Add each day's usage per time band to days under a time-of-use tariff, from
+// the hourly rollups (which spread each reading interval's usage over the
+// hours it spans, so consumption between readings lands in the right bands).
+// Rows covering several hours (long intervals spread a day at a time) are
+// shared evenly over the hours they cover.
+function addBandUsage(dailyUsage, hourlyUsage, tariffs) {
+    const bands = {};
+    for (const { hour, usage, covered } of hourlyUsage) {
+        const date = hour.slice(0, 10);
+        const tariff = tariffForDate(tariffs, date);
+        if (!tariff || tariff.type !== 'time_of_use') continue;
+
+        const schedule = touSchedule(tariff.time_of_use, date);
+        const first = parseInt(hour.slice(11, 13));
+        const last = Math.min(first + Math.max(1, Math.ceil(covered - 1e-9)), HOURS_PER_DAY);
+        bands[date] = bands[date] || {};
+        for (let h = first; h < last; h++) {
+            bands[date][schedule[h]] = (bands[date][schedule[h]] || 0) + usage / (last - first);
+        }
+    }
+    return dailyUsage.map(day => bands[day.date] ? { ...day, bands: bands[day.date] } : day);
+}
+
+/**
+ * Load daily usage and tariffs and calculate statistics for a date range.
+ * With a meter, returns that meter's statistics; otherwise returns the
+ * combined statistics of the utility's meters (water by default) with a
+ * per-meter breakdown under `meters`.
+ */
+async function loadStatistics(userId, startDate, endDate, meter = null, utility = DEFAULT_UTILITY) {
+    if (meter) utility = meter.utility || DEFAULT_UTILITY;
+    const meters = meter ? [meter] : await getUserMeters(userId, utility);
+    const tariffs = await getUserTariffs(userId, utility);
+    const timeOfUse = tariffs.some(tariff => tariff.type === 'time_of_use');
+
+    const meterStats = [];
+    for (const m of meters) {
+        let dailyUsage = await getDailyUsage(m.id, startDate, endDate);
+        if (timeOfUse) {
+            dailyUsage = addBandUsage(dailyUsage, await getHourlyUsage(m.id, startDate, endDate), tariffs);
+        }
+        meterStats.push({ meter: m, stats: calculateStatistics(dailyUsage, tariffs, startDate, endDate, m) });
+    }
+
+    if (meter) {
+        return { ...meterStats[0].stats, meter };
+    }
+
+    return {
+        ...combineStatistics(meterStats, tariffs, startDate, endDate, utility),
+        meters: meterStats.map(({ meter: m, stats }) => ({ meter: m, ...stats }))
+    };
+}
+
+// Every YYYY-MM-DD date from startDate to endDate inclusive
+function periodDates(startDate, endDate) {
+    const dates = [];
+    const day = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    while (day <= endDate) {
+        dates.push(formatISODate(day));
+        day.setDate(day.getDate() + 1);
+    }
+    return dates;
+}
+
+/**
+ * Calculate the cost of daily usage over a billing period.
+ * Each day is charged under the tariff in force on that day. When the period
+ * spans a tariff change, each tariff's basic charge and block limits are
+ * pro-rated by the share of the period's days it covers. Tariffs with daily
+ * block pro-ration instead scale block limits by the segment's days over the
+ * average month, so longer billing periods get larger blocks. Days under a
+ * time-of-use tariff are charged per season and time band instead. Totals
+ * exclude VAT per line; subtotal, vat and total give the invoice amounts.
+ */
+function calculateCostBreakdown(dailyUsage, tariffs, startDate, endDate) {
+    const dates = periodDates(startDate, endDate);
+
+    // Split the period into runs of consecutive days under the same tariff
+    const segments = [];
+    dates.forEach(date => {
+        const tariff = tariffForDate(tariffs, date);
+        const last = segments[segments.length - 1];
+        if (last && last.tariff === tariff) {
+            last.end = date;
+            last.days++;
+        } else {
+            segments.push({ tariff, start: date, end: date, days: 1 });
+        }
+    });
+
+    const totals = { charges: [], lineItems: [], subtotal: 0, vat: 0, total: 0, segments: [] };
+    for (const segment of segments) {
+        const days = dailyUsage.filter(day => day.date >= segment.start && day.date <= segment.end);
+        const usage = days.reduce((sum, day) => sum + day.usage, 0);
+        const fraction = segment.days / dates.length;
+        const blockFraction = segment.tariff && segment.tariff.block_proration === 'daily'
+            ? segment.days / DAYS_PER_MONTH
+            : fraction;
+        const bandUsage = segment.tariff && segment.tariff.type === 'time_of_use'
+            ? timeOfUseUsage(days, segment.tariff.time_of_use)
+            : null;
+        const costs = calculateChargeCosts(usage, segment.tariff, fraction, blockFraction, bandUsage);
+
+        // Sum each charge and line item across tariff versions, matching by key
+        costs.charges.forEach(charge => {
+            const total = totals.charges.find(c => c.key === charge.key);
+            if (total) {
+                total.basic += charge.basic;
+                total.usage += charge.usage;
+                total.vat += charge.vat;
+                total.total += charge.total;
+                if (charge.bands) total.bands = addBandCosts(total.bands || [], charge.bands);
+            } else {
+                totals.charges.push({ ...charge, ...(charge.bands ? { bands: addBandCosts([], charge.bands) } : {}) });
+            }
+        });
+        costs.lineItems.forEach(item => {
+            const total = totals.lineItems.find(i => i.key === item.key);
+            if (total) {
+                total.amount += item.amount;
+                total.vat += item.vat;
+            } else {
+                totals.lineItems.push({ ...item });
+            }
+        });
+        totals.subtotal += costs.subtotal;
+        totals.vat += costs.vat;
+        totals.total += costs.total;
+        totals.segments.push({
+            tariffId: segment.tariff ? segment.tariff.id : null,
+            effectiveFrom: segment.tariff ? segment.tariff.effective_from : null,
+            start: segment.start,
+            end: segment.end,
+            days: segment.days,
+            type: segment.tariff ? segment.tariff.type : null,
+            blockProration: segment.tariff ? segment.tariff.block_proration : null,
+            blockLimits: segment.tariff ? scaledBlockLimits(segment.tariff.charges, blockFraction) : [],
+            usage,
+            costs
+        });
+    }
+
+    return totals;
+}
+
+// Sum per-band costs into a list, matching by season, band and rate (so a rate
+// change between tariff versions shows as a separate line)
+function addBandCosts(totals, bands) {
+    bands.forEach(band => {
+        const total = totals.find(b => b.season === band.season && b.band === band.band && b.rate === band.rate);
+        if (total) {
+            total.usage += band.usage;
+            total.cost += band.cost;
+        } else {
+            totals.push({ ...band });
+        }
+    });
+    return totals;
+}
+
+// Usage by season and time band ({ season: { band: usage } }) of days under a
+// time-of-use tariff. Usage a day's bands do not account for (projected usage,
+// or usage without hourly rollups such as a bill's usage spread over its
+// period) is shared between the day's bands by the hours each covers.
+function timeOfUseUsage(days, timeOfUse) {
+    const usage = {};
+    for (const day of days) {
+        const season = touSeason(timeOfUse, day.date).key;
+        const seasonUsage = usage[season] = usage[season] || {};
+        const add = (band, amount) => {
+            seasonUsage[band] = (seasonUsage[band] || 0) + amount;
+        };
+
+        const bands = day.bands || {};
+        Object.entries(bands).forEach(([band, amount]) => add(band, amount));
+
+        const unallocated = day.usage - Object.values(bands).reduce((sum, amount) => sum + amount, 0);
+        if (unallocated > 0) {
+            const schedule = touSchedule(timeOfUse, day.date);
+            schedule.forEach(band => add(band, unallocated / schedule.length));
+        }
+    }
+    return usage;
+}
+
+// Upper limits of each charge's blocks (except the open-ended top block) once scaled
+function scaledBlockLimits(charges, blockFraction) {
+    return charges.map(charge => ({
+        key: charge.key,
+        name: charge.name,
+        limits: (charge.blocks || []).slice(0, -1).map(block => parseFloat((block.limit * blockFraction).toFixed(3)))
+    }));
+}
+
+// Cost of usage under one tariff, with each basic charge and fixed line item
+// scaled by fraction (the share of the billing period the tariff applies to)
+// and block limits by blockFraction (the same share unless blocks are pro-rated
+// daily). A time-of-use tariff charges bandUsage ({ season: { band: usage } })
+// at each charge's band rates instead of blocks, itemized per band. VAT is
+// added on vatable lines at the tariff's VAT rate.
+function calculateChargeCosts(usage, tariff, fraction = 1, blockFraction = fraction, bandUsage = null) {
+    const result = { charges: [], lineItems: [], subtotal: 0, vat: 0, total: 0 };
+    if (!tariff) return result;
+
+    const vatRate = (parseFloat(tariff.vat_rate) || 0) / 100;
+
+    for (const charge of tariff.charges) {
+        const basic = (parseFloat(charge.basic_charge) || 0) * fraction;
+        let usageCost = 0;
+        let bands = null;
+
+        if (tariff.type === 'time_of_use') {
+            bands = bandCosts(charge, tariff.time_of_use, bandUsage || {});
+            usageCost = bands.reduce((sum, band) => sum + band.cost, 0);
+        } else {
+            let remainingUsage = usage;
+            let prevLimit = 0;
+
+            for (const block of charge.blocks) {
+                const limit = block.limit === null || block.limit === undefined ? Infinity : block.limit * blockFraction;
+                const blockUsage = Math.min(remainingUsage, limit - prevLimit);
+                if (blockUsage > 0) {
+                    usageCost += blockUsage * block.rate;
+                    remainingUsage -= blockUsage;
+                }
+                prevLimit = limit;
+                if (remainingUsage <= 0) break;
+            }
+        }
+
+        const vat = charge.vatable ? (basic + usageCost) * vatRate : 0;
+        result.charges.push({
+            key: charge.key,
+            name: charge.name,
+            basic,
+            usage: usageCost,
+            vat,
+            total: basic + usageCost,
+            ...(bands ? { bands } : {})
+        });
+        result.subtotal += basic + usageCost;
+        result.vat += vat;
+    }
+
+    for (const item of tariff.line_items || []) {
+        const amount = item.type === 'per_kl' ? item.amount * usage : item.amount * fraction;
+        const vat = item.vatable ? amount * vatRate : 0;
+        result.lineItems.push({ key: item.key, name: item.name, type: item.type, amount, vat });
+        result.subtotal += amount;
+        result.vat += vat;
+    }
+
+    result.total = result.subtotal + result.vat;
+    return result;
+}
+
+// A time-of-use charge's cost in each season and band with usage
+function bandCosts(charge, timeOfUse, bandUsage) {
+    const bands = [];
+    for (const season of timeOfUse.seasons) {
+        if (!bandUsage[season.key]) continue;
+        for (const band of timeOfUse.bands) {
+            const usage = bandUsage[season.key][band.key] || 0;
+            const rate = charge.band_rates[season.key][band.key];
+            bands.push({ season: season.key, seasonName: season.name, band: band.key, name: band.name, usage, rate, cost: usage * rate });
+        }
+    }
+    return bands;
+}
+
+module.exports = {
+    MS_PER_DAY,
+    formatISODate,
+    readingTimestamp,
+    getBillingPeriod,
+    getBillingPeriods,
+    periodDates,
+    calculateStatistics,
+    combineStatistics,
+    loadStatistics,
+    calculateCostBreakdown,
+    calculateChargeCosts
+};
@@ -0,0 +1,187 @@
+// Summary emails: a weekly digest (sent on Mondays) and a summary of each
+// billing period once it has ended, for users who opt in through their
+// settings (summary_weekly, summary_period).
+
+const { dbAll, dbRun, getUserSettings } = require('../config/database');
+const { formatISODate, getBillingPeriod, loadStatistics } = require('./statistics');
+const { sendSummaryEmail } = require('./email');
+
+const SUMMARY_TYPES = ['weekly', 'period'];
+
+// Weekly digests go out on Mondays; both kinds from this hour
+const WEEKLY_SUMMARY_DAY = 1;
+const SUMMARY_HOUR = 7;
+
+// Days into a new billing period in which the previous period's summary is
+// still sent (covers the server being down on the first day)
+const PERIOD_SUMMARY_DAYS = 3;
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.SUMMARY_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function percentChange(value, previous) {
+    return previous > 0 ? (value - previous) / previous * 100 : null;
+}
+
+function formatChange(change, previous = 'the previous period') {
+    if (change === null) return '';
+    return ` (${change >= 0 ? '+' : ''}${change.toFixed(0)}% on ${previous})`;
+}
+
+function formatRange(start, end) {
+    return `${start} to ${end}`;
+}
+
+async function periodTotals(userId, startDate, endDate) {
+    const stats = await loadStatistics(userId, startDate, endDate);
+    return {
+        start: formatISODate(startDate),
+        end: formatISODate(endDate),
+        unit: stats.unit,
+        usage: parseFloat(stats.totalUsage),
+        avgDailyUsage: parseFloat(stats.avgDailyUsage),
+        currentCost: parseFloat(stats.currentCost),
+        projectedCost: parseFloat(stats.projectedCost)
+    };
+}
+
+/**
+ * Build a summary as of `now`. Weekly summaries cover the seven days before
+ * today against the seven before that, plus the billing period so far;
+ * period summaries cover the last completed billing period. Both compare
+ * with the billing period before. Resolves to { type, subject, sections }
+ * with each section a heading and [label, value] rows for the email templates.
+ */
+async function buildSummary(userId, type, now = new Date()) {
+    const settings = await getUserSettings(userId);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const current = getBillingPeriod(today, settings);
+    const sections = [];
+
+    if (type === 'weekly') {
+        const week = await periodTotals(userId, addDays(today, -7), addDays(today, -1));
+        const previousWeek = await periodTotals(userId, addDays(today, -14), addDays(today, -8));
+        const period = await periodTotals(userId, current.startDate, current.endDate);
+        const previous = getBillingPeriod(addDays(current.startDate, -1), settings);
+        const previousPeriod = await periodTotals(userId, previous.startDate, previous.endDate);
+
+        sections.push({
+            heading: `Last 7 days (${formatRange(week.start, week.end)})`,
+            rows: [
+                ['Usage', `${week.usage.toFixed(3)} ${week.unit}${formatChange(percentChange(week.usage, previousWeek.usage), 'the 7 days before')}`],
+                ['Average daily usage', `${week.avgDailyUsage.toFixed(3)} ${week.unit}`]
+            ]
+        });
+        sections.push({
+            heading: `Billing period so far (${formatRange(period.start, period.end)})`,
+            rows: [
+                ['Usage', `${period.usage.toFixed(3)} ${period.unit}`],
+                ['Average daily usage', `${period.avgDailyUsage.toFixed(3)} ${period.unit}`],
+                ['Current cost', `R ${period.currentCost.toFixed(2)}`],
+                ['Projected cost', `R ${period.projectedCost.toFixed(2)}${formatChange(percentChange(period.projectedCost, previousPeriod.currentCost))}`]
+            ]
+        });
+        sections.push(previousPeriodSection(previousPeriod));
+
+        return { type, subject: `Weekly summary to ${week.end}`, sections };
+    }
+
+    // The period that ended most recently, and the one before it
+    const completed = getBillingPeriod(addDays(current.startDate, -1), settings);
+    const before = getBillingPeriod(addDays(completed.startDate, -1), settings);
+    const period = await periodTotals(userId, completed.startDate, completed.endDate);
+    const previousPeriod = await periodTotals(userId, before.startDate, before.endDate);
+
+    sections.push({
+        heading: `Billing period ${formatRange(period.start, period.end)}`,
+        rows: [
+            ['Usage', `${period.usage.toFixed(3)} ${period.unit}${formatChange(percentChange(period.usage, previousPeriod.usage))}`],
+            ['Average daily usage', `${period.avgDailyUsage.toFixed(3)} ${period.unit}`],
+            ['Total cost', `R ${period.currentCost.toFixed(2)}${formatChange(percentChange(period.currentCost, previousPeriod.currentCost))}`]
+        ]
+    });
+    sections.push(previousPeriodSection(previousPeriod));
+
+    return { type, subject: `Billing period summary to ${period.end}`, sections };
+}
+
+function previousPeriodSection(previousPeriod) {
+    return {
+        heading: `Previous billing period (${formatRange(previousPeriod.start, previousPeriod.end)})`,
+        rows: [
+            ['Usage', `${previousPeriod.usage.toFixed(3)} ${previousPeriod.unit}`],
+            ['Average daily usage', `${previousPeriod.avgDailyUsage.toFixed(3)} ${previousPeriod.unit}`],
+            ['Total cost', `R ${previousPeriod.currentCost.toFixed(2)}`]
+        ]
+    };
+}
+
+// Build and email a summary now (also used for previews from Settings)
+async function sendSummary(user, type, now = new Date()) {
+    const summary = await buildSummary(user.id, type, now);
+    await sendSummaryEmail(user.email, user.username, summary);
+    return summary;
+}
+
+/**
+ * Send the summaries a user has opted in to that are due: the weekly digest
+ * once each Monday, and a period summary in the first days of each new
+ * billing period. Each is recorded in the user's settings so it goes out once.
+ */
+async function checkUserSummaries(user, now = new Date()) {
+    const settings = await getUserSettings(user.id);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (now.getHours() < SUMMARY_HOUR) return;
+
+    const markSent = (key, value) => dbRun(
+        "INSERT OR REPLACE INTO settings (user_id, setting_key, setting_value) VALUES (?, ?, ?)",
+        [user.id, key, value]
+    );
+
+    const date = formatISODate(today);
+    if (settings.summary_weekly === '1' && today.getDay() === WEEKLY_SUMMARY_DAY &&
+        settings.summary_weekly_last_sent !== date) {
+        await sendSummary(user, 'weekly', now);
+        await markSent('summary_weekly_last_sent', date);
+    }
+
+    const current = getBillingPeriod(today, settings);
+    const completedStart = formatISODate(getBillingPeriod(addDays(current.startDate, -1), settings).startDate);
+    if (settings.summary_period === '1' && today < addDays(current.startDate, PERIOD_SUMMARY_DAYS) &&
+        settings.summary_period_last_sent !== completedStart) {
+        await sendSummary(user, 'period', now);
+        await markSent('summary_period_last_sent', completedStart);
+    }
+}
+
+// Check every user who has opted in to a summary (run on a schedule)
+async function checkAllSummaries() {
+    const users = await dbAll(
+        `SELECT DISTINCT u.id, u.username, u.email FROM users u
+         JOIN settings s ON s.user_id = u.id AND s.setting_key IN ('summary_weekly', 'summary_period')
+         WHERE s.setting_value = '1' AND u.is_active = 1 AND u.email IS NOT NULL`
+    );
+    for (const user of users) {
+        try {
+            await checkUserSummaries(user);
+        } catch (err) {
+            console.error(`Summary email failed for user ${user.id}:`, err.message);
+        }
+    }
+}
+
+function startSummarySchedule() {
+    return setInterval(() => {
+        checkAllSummaries().catch(err => console.error('Summary email error:', err.message));
+    }, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+    SUMMARY_TYPES,
+    sendSummary,
+    checkAllSummaries,
+    startSummarySchedule
+};
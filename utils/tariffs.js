@@ -0,0 +1,536 @@
+// Tariff schedules: versioned rates with effective-from dates, kept separately
+// for each utility (water, electricity, gas).
+// A tariff is a list of charges (water, sewage, ...), each with a monthly basic
+// charge and any number of usage blocks, plus line items (fixed monthly amounts
+// such as refuse or availability levies, or flat levies per unit, stored as
+// 'per_kl') and a VAT rate. Block limits are cumulative usage in the utility's
+// unit (kL, kWh, ...); the last block has no limit. Charges and line items
+// marked vatable have VAT added at the tariff's VAT rate.
+//
+// Block limits are monthly allowances. With 'monthly' block pro-ration they
+// apply as-is to every billing period; with 'daily' they are converted to a
+// per-day allowance and scaled to the number of days in the billing period.
+//
+// Time-of-use tariffs (type 'time_of_use', for electricity) price usage by
+// time band instead of blocks. Their time_of_use config lists the bands
+// (peak, standard, off-peak, ...) and the seasons, each covering some months
+// with the band of every hour on weekdays, Saturdays and Sundays. Each charge
+// then has a rate per season and band (band_rates) instead of blocks.
+//
+// Named presets (municipalities and years) are JSON files in
+// config/tariff-presets; new users start with one of them.
+
+const fs = require('fs');
+const path = require('path');
+const { dbAll, dbRun } = require('../config/database');
+const { UTILITIES, DEFAULT_UTILITY } = require('./meters');
+
+const DEFAULT_VAT_RATE = 15;
+
+const LINE_ITEM_TYPES = ['fixed', 'per_kl'];
+
+const BLOCK_PRORATION_MODES = ['monthly', 'daily'];
+
+const TARIFF_TYPES = ['blocks', 'time_of_use'];
+
+// Day types with their own hourly band schedule in a time-of-use season
+const TOU_DAY_TYPES = ['weekday', 'saturday', 'sunday'];
+
+const HOURS_PER_DAY = 24;
+
+// Days in an average month, for converting monthly block limits to per-day allowances
+const DAYS_PER_MONTH = 365 / 12;
+
+const PRESETS_DIR = path.join(__dirname, '..', 'config', 'tariff-presets');
+const DEFAULT_PRESET = 'default';
+
+// Identifies exported tariff files
+const TARIFF_FILE_FORMAT = 'water-monitor-tariff';
+const TARIFF_FILE_VERSION = 1;
+
+// The first tariff applies to everything before any later version
+const INITIAL_EFFECTIVE_FROM = '2000-01-01';
+
+// Convert rates stored as flat water_block_N/sewage_block_N keys (before
+// structured tariffs) into charges, with the same defaults the old cost code used
+function legacyCharges(rates) {
+    const value = (key, fallback) => parseFloat(rates[key] !== undefined ? rates[key] : fallback) || 0;
+
+    return [
+        {
+            key: 'water',
+            name: 'Water',
+            basic_charge: value('water_basic_monthly_cost', 0),
+            blocks: [
+                { limit: value('water_block_1_limit', 6), rate: value('water_block_1_rate', 0) },
+                { limit: value('water_block_2_limit', 15), rate: value('water_block_2_rate', 0) },
+                { limit: value('water_block_3_limit', 25), rate: value('water_block_3_rate', 0) },
+                { limit: value('water_block_4_limit', 35), rate: value('water_block_4_rate', 0) },
+                { limit: null, rate: value('water_block_5_rate', rates.water_block_4_rate || 0) }
+            ]
+        },
+        {
+            key: 'sewage',
+            name: 'Sewage',
+            basic_charge: 0,
+            blocks: [
+                { limit: value('sewage_block_1_limit', 6), rate: value('sewage_block_1_rate', 0) },
+                { limit: value('sewage_block_2_limit', 15), rate: value('sewage_block_2_rate', 0) },
+                { limit: value('sewage_block_3_limit', 25), rate: value('sewage_block_3_rate', 0) },
+                { limit: null, rate: value('sewage_block_4_rate', 0) }
+            ]
+        }
+    ];
+}
+
+// Parse a tariffs row into { id, utility, effective_from, type, time_of_use, charges, line_items, vat_rate, block_proration, ... }
+function parseTariff(row) {
+    const rates = JSON.parse(row.rates);
+    const tariff = {
+        ...row,
+        type: rates.type || 'blocks',
+        time_of_use: rates.time_of_use || null,
+        charges: Array.isArray(rates.charges) ? rates.charges : legacyCharges(rates),
+        line_items: rates.line_items || [],
+        vat_rate: rates.vat_rate !== undefined ? rates.vat_rate : DEFAULT_VAT_RATE,
+        block_proration: rates.block_proration || 'monthly'
+    };
+    delete tariff.rates;
+    return tariff;
+}
+
+// JSON stored in tariffs.rates
+function serializeTariff({ type = 'blocks', time_of_use = null, charges, line_items = [], vat_rate = DEFAULT_VAT_RATE, block_proration = 'monthly' }) {
+    return JSON.stringify({
+        type,
+        time_of_use: type === 'time_of_use' ? time_of_use : undefined,
+        charges,
+        line_items,
+        vat_rate,
+        block_proration
+    });
+}
+
+// Derive a charge key from its name (used to match charges across tariff versions)
+function chargeKey(name) {
+    return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function isNonNegative(value) {
+    return value !== '' && value !== null && !isNaN(parseFloat(value)) && parseFloat(value) >= 0;
+}
+
+// Key of a named entry (a time band or season)
+function entryKey(entry) {
+    return chargeKey(entry.key || entry.name);
+}
+
+// Check a list of named bands or seasons. Returns an error message, or null if valid.
+function validateNamedEntries(entries, label) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return `At least one ${label} is required`;
+    }
+
+    const keys = new Set();
+    for (const entry of entries) {
+        if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+            return `Each ${label} needs a name`;
+        }
+        const key = entryKey(entry);
+        if (!key || keys.has(key)) {
+            return `${label[0].toUpperCase()}${label.slice(1)} names must be unique (${entry.name})`;
+        }
+        keys.add(key);
+    }
+    return null;
+}
+
+/**
+ * Validate a time-of-use config. Returns an error message, or null if valid.
+ * Every month must be in exactly one season, and each season needs a time
+ * band for all 24 hours of each day type.
+ */
+function validateTimeOfUse(timeOfUse) {
+    if (!timeOfUse || typeof timeOfUse !== 'object' || Array.isArray(timeOfUse)) {
+        return 'Time-of-use tariffs need time bands and seasons';
+    }
+
+    const error = validateNamedEntries(timeOfUse.bands, 'time band') || validateNamedEntries(timeOfUse.seasons, 'season');
+    if (error) return error;
+
+    const bandKeys = timeOfUse.bands.map(entryKey);
+    const months = new Set();
+    for (const season of timeOfUse.seasons) {
+        if (!Array.isArray(season.months) || season.months.length === 0) {
+            return `${season.name}: at least one month is required`;
+        }
+        for (const month of season.months.map(Number)) {
+            if (!Number.isInteger(month) || month < 1 || month > 12) {
+                return `${season.name}: months must be numbers from 1 to 12`;
+            }
+            if (months.has(month)) {
+                return `Month ${month} is in more than one season`;
+            }
+            months.add(month);
+        }
+
+        for (const dayType of TOU_DAY_TYPES) {
+            const hours = season[dayType];
+            if (!Array.isArray(hours) || hours.length !== HOURS_PER_DAY) {
+                return `${season.name}: the ${dayType} schedule needs a time band for each of the ${HOURS_PER_DAY} hours`;
+            }
+            const unknown = hours.find(band => !bandKeys.includes(chargeKey(band === null || band === undefined ? '' : band)));
+            if (unknown !== undefined) {
+                return `${season.name}: unknown time band in the ${dayType} schedule (${unknown})`;
+            }
+        }
+    }
+    if (months.size !== 12) {
+        return 'Every month must be in a season';
+    }
+
+    return null;
+}
+
+// Check a time-of-use charge has a rate for every season and time band
+// (of an already validated config). Returns an error message, or null if valid.
+function validateBandRates(charge, timeOfUse) {
+    if (!charge.band_rates || typeof charge.band_rates !== 'object') {
+        return `${charge.name}: a rate for each season and time band is required`;
+    }
+
+    for (const season of timeOfUse.seasons) {
+        const rates = charge.band_rates[entryKey(season)] || {};
+        for (const band of timeOfUse.bands) {
+            if (!isNonNegative(rates[entryKey(band)])) {
+                return `${charge.name}: the ${season.name} ${band.name} rate must be a positive number`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate a list of charges. Returns an error message, or null if valid.
+ * Each charge needs a unique name and at least one block; block limits must be
+ * ascending and only the last block may (and must) be unlimited. Charges of a
+ * time-of-use tariff (given its validated config) need band rates instead.
+ */
+function validateCharges(charges, timeOfUse = null) {
+    if (!Array.isArray(charges) || charges.length === 0) {
+        return 'At least one charge is required';
+    }
+
+    const keys = new Set();
+    for (const charge of charges) {
+        if (!charge || typeof charge.name !== 'string' || !charge.name.trim()) {
+            return 'Each charge needs a name';
+        }
+
+        const key = chargeKey(charge.key || charge.name);
+        if (!key || keys.has(key)) {
+            return `Charge names must be unique (${charge.name})`;
+        }
+        keys.add(key);
+
+        if (charge.basic_charge !== undefined && !isNonNegative(charge.basic_charge)) {
+            return `${charge.name}: basic charge must be a positive number`;
+        }
+
+        if (timeOfUse) {
+            const error = validateBandRates(charge, timeOfUse);
+            if (error) return error;
+            continue;
+        }
+
+        if (!Array.isArray(charge.blocks) || charge.blocks.length === 0) {
+            return `${charge.name}: at least one block is required`;
+        }
+
+        let previousLimit = 0;
+        for (let i = 0; i < charge.blocks.length; i++) {
+            const block = charge.blocks[i] || {};
+            const last = i === charge.blocks.length - 1;
+
+            if (!isNonNegative(block.rate)) {
+                return `${charge.name}: block ${i + 1} rate must be a positive number`;
+            }
+
+            const unlimited = block.limit === null || block.limit === undefined || block.limit === '';
+            if (last && !unlimited) {
+                return `${charge.name}: the last block must have no upper limit`;
+            }
+            if (!last) {
+                if (unlimited || isNaN(parseFloat(block.limit))) {
+                    return `${charge.name}: block ${i + 1} needs an upper limit`;
+                }
+                if (parseFloat(block.limit) <= previousLimit) {
+                    return `${charge.name}: block limits must be ascending`;
+                }
+                previousLimit = parseFloat(block.limit);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a list of line items. Returns an error message, or null if valid.
+ * Names must be unique among the line items and the charges.
+ */
+function validateLineItems(lineItems, charges = []) {
+    if (!Array.isArray(lineItems)) {
+        return 'Line items must be a list';
+    }
+
+    const keys = new Set(charges.map(charge => chargeKey(charge.key || charge.name)));
+    for (const item of lineItems) {
+        if (!item || typeof item.name !== 'string' || !item.name.trim()) {
+            return 'Each line item needs a name';
+        }
+
+        const key = chargeKey(item.key || item.name);
+        if (!key || keys.has(key)) {
+            return `Line item names must be unique (${item.name})`;
+        }
+        keys.add(key);
+
+        if (!LINE_ITEM_TYPES.includes(item.type)) {
+            return `${item.name}: type must be one of: ${LINE_ITEM_TYPES.join(', ')}`;
+        }
+        if (!isNonNegative(item.amount)) {
+            return `${item.name}: amount must be a positive number`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a tariff document (a preset or an imported tariff file).
+ * Returns an error message, or null if valid.
+ */
+function validateTariffDocument(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return 'Tariff must be a JSON object';
+    }
+    if (doc.format !== undefined && doc.format !== TARIFF_FILE_FORMAT) {
+        return 'Not a tariff file';
+    }
+    if (doc.utility !== undefined && !UTILITIES[doc.utility]) {
+        return `Utility must be one of: ${Object.keys(UTILITIES).join(', ')}`;
+    }
+    if (doc.effective_from !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(doc.effective_from)) {
+        return 'Effective date must be in YYYY-MM-DD format';
+    }
+    if (doc.vat_rate !== undefined && !(isNonNegative(doc.vat_rate) && parseFloat(doc.vat_rate) <= 100)) {
+        return 'VAT rate must be a percentage between 0 and 100';
+    }
+    if (doc.block_proration !== undefined && !BLOCK_PRORATION_MODES.includes(doc.block_proration)) {
+        return `Block pro-ration must be one of: ${BLOCK_PRORATION_MODES.join(', ')}`;
+    }
+    if (doc.type !== undefined && !TARIFF_TYPES.includes(doc.type)) {
+        return `Tariff type must be one of: ${TARIFF_TYPES.join(', ')}`;
+    }
+
+    const timeOfUse = doc.type === 'time_of_use' ? doc.time_of_use : null;
+    if (doc.type === 'time_of_use') {
+        const error = validateTimeOfUse(timeOfUse);
+        if (error) return error;
+    }
+
+    return validateCharges(doc.charges, timeOfUse) || validateLineItems(doc.line_items || [], doc.charges);
+}
+
+// The rates of a validated tariff document, as stored in tariffs.rates
+function normalizeTariffDocument(doc) {
+    const timeOfUse = doc.type === 'time_of_use' ? normalizeTimeOfUse(doc.time_of_use) : null;
+    return {
+        type: doc.type || 'blocks',
+        time_of_use: timeOfUse,
+        charges: normalizeCharges(doc.charges, timeOfUse),
+        line_items: normalizeLineItems(doc.line_items || []),
+        vat_rate: doc.vat_rate !== undefined ? parseFloat(doc.vat_rate) : DEFAULT_VAT_RATE,
+        block_proration: doc.block_proration || 'monthly'
+    };
+}
+
+// A tariff version as a file that can be imported by another user
+function exportTariff(tariff) {
+    return {
+        format: TARIFF_FILE_FORMAT,
+        version: TARIFF_FILE_VERSION,
+        utility: tariff.utility,
+        type: tariff.type,
+        time_of_use: tariff.type === 'time_of_use' ? tariff.time_of_use : undefined,
+        effective_from: tariff.effective_from,
+        vat_rate: tariff.vat_rate,
+        block_proration: tariff.block_proration,
+        charges: tariff.charges,
+        line_items: tariff.line_items
+    };
+}
+
+let presets = null;
+
+// Presets from config/tariff-presets keyed by file name (the default first),
+// loaded once and validated
+function getTariffPresets() {
+    if (presets) return presets;
+
+    const files = fs.readdirSync(PRESETS_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort((a, b) => (b === `${DEFAULT_PRESET}.json`) - (a === `${DEFAULT_PRESET}.json`) || a.localeCompare(b));
+
+    presets = {};
+    for (const file of files) {
+        const id = path.basename(file, '.json');
+        const preset = JSON.parse(fs.readFileSync(path.join(PRESETS_DIR, file), 'utf8'));
+        const error = validateTariffDocument(preset);
+        if (error) {
+            throw new Error(`Invalid tariff preset ${file}: ${error}`);
+        }
+        presets[id] = { id, ...preset };
+    }
+    return presets;
+}
+
+function getTariffPreset(id) {
+    return getTariffPresets()[id] || null;
+}
+
+function normalizeLineItems(lineItems) {
+    return lineItems.map(item => ({
+        key: chargeKey(item.key || item.name),
+        name: item.name.trim(),
+        type: item.type,
+        amount: parseFloat(item.amount),
+        vatable: !!item.vatable
+    }));
+}
+
+// Normalize a validated time-of-use config, with keys for its bands and seasons
+function normalizeTimeOfUse(timeOfUse) {
+    return {
+        bands: timeOfUse.bands.map(band => ({ key: entryKey(band), name: band.name.trim() })),
+        seasons: timeOfUse.seasons.map(season => ({
+            key: entryKey(season),
+            name: season.name.trim(),
+            months: season.months.map(Number).sort((a, b) => a - b),
+            ...Object.fromEntries(TOU_DAY_TYPES.map(dayType => [dayType, season[dayType].map(band => chargeKey(band))]))
+        }))
+    };
+}
+
+// Normalize validated charges to numbers with keys (with band rates for a
+// time-of-use tariff, given its config)
+function normalizeCharges(charges, timeOfUse = null) {
+    return charges.map(charge => ({
+        key: chargeKey(charge.key || charge.name),
+        name: charge.name.trim(),
+        basic_charge: parseFloat(charge.basic_charge) || 0,
+        vatable: !!charge.vatable,
+        ...(timeOfUse ? { band_rates: normalizeBandRates(charge.band_rates, timeOfUse) } : { blocks: normalizeBlocks(charge.blocks) })
+    }));
+}
+
+function normalizeBlocks(blocks) {
+    return blocks.map((block, i) => ({
+        limit: i === blocks.length - 1 ? null : parseFloat(block.limit),
+        rate: parseFloat(block.rate)
+    }));
+}
+
+function normalizeBandRates(bandRates, timeOfUse) {
+    return Object.fromEntries(timeOfUse.seasons.map(season => [
+        entryKey(season),
+        Object.fromEntries(timeOfUse.bands.map(band => [entryKey(band), parseFloat(bandRates[entryKey(season)][entryKey(band)])]))
+    ]));
+}
+
+// The utility a preset or tariff file is for (water unless it says otherwise)
+function documentUtility(doc) {
+    return doc.utility || DEFAULT_UTILITY;
+}
+
+// The first tariff of a new user, from a preset (applied to all past readings)
+function createInitialTariff(userId, presetId = DEFAULT_PRESET) {
+    const preset = getTariffPreset(presetId) || getTariffPreset(DEFAULT_PRESET);
+    return dbRun(
+        "INSERT INTO tariffs (user_id, utility, effective_from, rates) VALUES (?, ?, ?, ?)",
+        [userId, documentUtility(preset), INITIAL_EFFECTIVE_FROM, serializeTariff(normalizeTariffDocument(preset))]
+    );
+}
+
+// A user's tariff versions for one utility, oldest first
+async function getUserTariffs(userId, utility = DEFAULT_UTILITY) {
+    const rows = await dbAll(
+        "SELECT * FROM tariffs WHERE user_id = ? AND utility = ? ORDER BY effective_from",
+        [userId, utility]
+    );
+    return rows.map(parseTariff);
+}
+
+// The tariff in force on a YYYY-MM-DD date (the earliest one if none has started yet)
+function tariffForDate(tariffs, date) {
+    let current = tariffs[0] || null;
+    for (const tariff of tariffs) {
+        if (tariff.effective_from <= date) current = tariff;
+    }
+    return current;
+}
+
+// The season of a time-of-use config a YYYY-MM-DD date falls in
+function touSeason(timeOfUse, date) {
+    const month = parseInt(date.slice(5, 7));
+    return timeOfUse.seasons.find(season => season.months.includes(month));
+}
+
+// The time-of-use day type of a YYYY-MM-DD date
+function touDayType(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(year, month - 1, day).getDay();
+    if (weekday === 0) return 'sunday';
+    if (weekday === 6) return 'saturday';
+    return 'weekday';
+}
+
+// The time band of each hour (0-23) of a YYYY-MM-DD date
+function touSchedule(timeOfUse, date) {
+    return touSeason(timeOfUse, date)[touDayType(date)];
+}
+
+module.exports = {
+    DEFAULT_VAT_RATE,
+    LINE_ITEM_TYPES,
+    BLOCK_PRORATION_MODES,
+    TARIFF_TYPES,
+    TOU_DAY_TYPES,
+    HOURS_PER_DAY,
+    DAYS_PER_MONTH,
+    DEFAULT_PRESET,
+    INITIAL_EFFECTIVE_FROM,
+    legacyCharges,
+    chargeKey,
+    parseTariff,
+    serializeTariff,
+    validateCharges,
+    validateLineItems,
+    validateTimeOfUse,
+    normalizeTimeOfUse,
+    normalizeCharges,
+    normalizeLineItems,
+    validateTariffDocument,
+    normalizeTariffDocument,
+    exportTariff,
+    documentUtility,
+    getTariffPresets,
+    getTariffPreset,
+    createInitialTariff,
+    getUserTariffs,
+    tariffForDate,
+    touSeason,
+    touDayType,
+    touSchedule
+};
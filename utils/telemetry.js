@@ -0,0 +1,402 @@
+// High-resolution telemetry: hourly and daily usage rollups maintained as
+// readings change, flow rates derived from consecutive readings, and a
+// retention window for the raw samples pushed by devices
+
+const { dbGet, dbAll, dbRun } = require('../config/database');
+const { getRegisterCapacity, usageBetween } = require('./readings');
+const { MS_PER_DAY, formatISODate, readingTimestamp } = require('./statistics');
+const { DEFAULT_UTILITY, meterUnit, getUserMeters } = require('./meters');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+// Readings from these sources are raw samples, thinned once they are older
+// than the retention window (readings entered by hand or imported are kept)
+const RAW_SOURCES = ['device', 'mqtt'];
+
+const RETENTION_DAYS = parseInt(process.env.TELEMETRY_RETENTION_DAYS) || 90;
+const PRUNE_INTERVAL_MS = 24 * MS_PER_HOUR;
+
+// Rows per multi-row INSERT when writing rollups
+const INSERT_CHUNK_SIZE = 200;
+
+// Reading intervals longer than this are spread a day at a time instead of
+// hour by hour: each day's share goes in one row at the first hour it covers
+const DAILY_SPREAD_DAYS = 31;
+
+// Reading intervals longer than this are not spread at all; their usage is
+// counted in the hour of the later reading, so a mistyped date cannot make a
+// rebuild walk centuries of days
+const MAX_SPREAD_DAYS = 3660;
+
+// Start of the local hour containing time (ms)
+function floorHour(time) {
+    const date = new Date(time);
+    date.setMinutes(0, 0, 0);
+    return date.getTime();
+}
+
+// Rollup key of a local hour: YYYY-MM-DD HH:00
+function hourKey(time) {
+    const date = new Date(time);
+    return `${formatISODate(date)} ${String(date.getHours()).padStart(2, '0')}:00`;
+}
+
+// Start of the local day after the one containing time (ms)
+function nextDay(time) {
+    const date = new Date(time);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+// reading_date and reading_time of a moment, for comparing against readings
+function readingKey(time) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        date: formatISODate(date),
+        time: `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    };
+}
+
+// Flow rate (L/min) over an interval with the given usage (kL)
+function flowRate(usage, start, end) {
+    return end > start ? usage * 1000 / ((end - start) / MS_PER_MINUTE) : null;
+}
+
+// Flow rates are only kept for water meters (L/min means nothing in kWh)
+function measuresFlow(meter) {
+    return (meter.utility || DEFAULT_UTILITY) === DEFAULT_UTILITY;
+}
+
+/**
+ * Spread the usage between consecutive readings across local hours in
+ * proportion to the time elapsed in each. Returns a Map of hour key to
+ * { usage, covered, peakFlow } where covered is the hours spanned by readings
+ * (a fraction of the hour, or up to a day for intervals spread a day at a
+ * time) and peakFlow the highest interval flow rate (L/min), or null
+ * without withFlow.
+ */
+function distributeHourly(readings, capacity, withFlow = true) {
+    const hours = new Map();
+    const addToHour = (time, usage, covered, flow) => {
+        const key = hourKey(time);
+        const hour = hours.get(key) || { usage: 0, covered: 0, peakFlow: null };
+        hour.usage += usage;
+        hour.covered += covered;
+        if (flow !== null && (hour.peakFlow === null || flow > hour.peakFlow)) hour.peakFlow = flow;
+        hours.set(key, hour);
+    };
+
+    for (let i = 1; i < readings.length; i++) {
+        const usage = usageBetween(readings[i - 1], readings[i], capacity);
+        const start = readingTimestamp(readings[i - 1]);
+        const end = readingTimestamp(readings[i]);
+
+        // Two readings at the same moment: nothing to spread over
+        if (end <= start) {
+            addToHour(end, usage, 0, null);
+            continue;
+        }
+
+        const flow = withFlow ? flowRate(usage, start, end) : null;
+        const days = (end - start) / MS_PER_DAY;
+        if (days > MAX_SPREAD_DAYS) {
+            addToHour(end, usage, 0, flow);
+            continue;
+        }
+
+        let cursor = start;
+        while (cursor < end) {
+            const boundary = days > DAILY_SPREAD_DAYS ? nextDay(cursor) : floorHour(cursor) + MS_PER_HOUR;
+            const segmentEnd = Math.min(boundary, end);
+            addToHour(cursor, usage * (segmentEnd - cursor) / (end - start), (segmentEnd - cursor) / MS_PER_HOUR, flow);
+            cursor = segmentEnd;
+        }
+    }
+
+    return hours;
+}
+
+// Insert rows in chunks of multi-row INSERTs
+async function insertRows(sql, columns, rows) {
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+        const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE);
+        const placeholders = chunk.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+        await dbRun(`${sql} VALUES ${placeholders}`, chunk.flat());
+    }
+}
+
+// Date (YYYY-MM-DD) before which a meter's raw samples were thinned, or null.
+// Rebuilding rollups before it from the thinned readings would flatten the
+// hourly detail and peak flows they were built with, so they are kept.
+async function rollupsFrozenBefore(meter) {
+    const row = await dbGet("SELECT rollups_frozen_before FROM meters WHERE id = ?", [meter.id]);
+    return row ? row.rollups_frozen_before : null;
+}
+
+/**
+ * Recalculate a meter's hourly rollups for the hours from the one containing
+ * `from` to the one containing `to`, then the daily rollups of those days.
+ * Hours before the meter's frozen date are left as they are.
+ */
+async function rebuildRollups(meter, from, to) {
+    const frozen = await rollupsFrozenBefore(meter);
+    const startHour = Math.max(floorHour(from), frozen ? readingTimestamp({ reading_date: frozen }) : -Infinity);
+    const endHour = floorHour(to) + MS_PER_HOUR;
+    if (startHour >= endHour) return;
+
+    const start = readingKey(startHour);
+    const end = readingKey(endHour);
+
+    // Readings in the range plus the nearest reading either side, so intervals
+    // crossing the range boundaries are included
+    const before = await dbGet(
+        `SELECT * FROM readings WHERE meter_id = ?
+         AND (reading_date < ? OR (reading_date = ? AND reading_time < ?))
+         ORDER BY reading_date DESC, reading_time DESC LIMIT 1`,
+        [meter.id, start.date, start.date, start.time]
+    );
+    const within = await dbAll(
+        `SELECT * FROM readings WHERE meter_id = ?
+         AND (reading_date > ? OR (reading_date = ? AND reading_time >= ?))
+         AND (reading_date < ? OR (reading_date = ? AND reading_time < ?))
+         ORDER BY reading_date, reading_time`,
+        [meter.id, start.date, start.date, start.time, end.date, end.date, end.time]
+    );
+    const after = await dbGet(
+        `SELECT * FROM readings WHERE meter_id = ?
+         AND (reading_date > ? OR (reading_date = ? AND reading_time >= ?))
+         ORDER BY reading_date, reading_time LIMIT 1`,
+        [meter.id, end.date, end.date, end.time]
+    );
+
+    const readings = [before, ...within, after].filter(Boolean);
+    const startKey = hourKey(startHour);
+    const endKey = hourKey(endHour);
+    const rows = [...distributeHourly(readings, getRegisterCapacity(meter), measuresFlow(meter))]
+        .filter(([hour]) => hour >= startKey && hour < endKey)
+        .map(([hour, { usage, covered, peakFlow }]) => [meter.id, hour, usage, covered, peakFlow]);
+
+    await dbRun("DELETE FROM usage_hourly WHERE meter_id = ? AND hour >= ? AND hour < ?", [meter.id, startKey, endKey]);
+    await insertRows(
+        "INSERT OR REPLACE INTO usage_hourly (meter_id, hour, usage, covered, peak_flow_lpm)",
+        ['meter_id', 'hour', 'usage', 'covered', 'peak_flow_lpm'],
+        rows
+    );
+
+    // Days are summed from all their hours, including those outside the range
+    const firstDate = start.date;
+    const lastDate = formatISODate(new Date(endHour - 1));
+    await dbRun("DELETE FROM usage_daily WHERE meter_id = ? AND date BETWEEN ? AND ?", [meter.id, firstDate, lastDate]);
+    await dbRun(
+        `INSERT INTO usage_daily (meter_id, date, usage, covered, peak_flow_lpm)
+         SELECT meter_id, substr(hour, 1, 10), SUM(usage), SUM(covered) / 24.0, MAX(peak_flow_lpm)
+         FROM usage_hourly WHERE meter_id = ? AND hour BETWEEN ? AND ?
+         GROUP BY substr(hour, 1, 10)`,
+        [meter.id, `${firstDate} 00:00`, `${lastDate} 23:00`]
+    );
+}
+
+// Rollup rebuilds run one at a time so overlapping ranges are not interleaved
+let rollupQueue = Promise.resolve();
+
+function queueRollups(task) {
+    const run = rollupQueue.then(task);
+    rollupQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Bring a meter's rollups up to date after readings were created, edited or
+ * deleted. `readings` gives the affected positions (reading_date and
+ * reading_time; for an edit, both the old and new values): the intervals from
+ * the reading before the earliest to the reading after the latest are redone.
+ */
+function updateRollups(meter, readings) {
+    if (readings.length === 0) return Promise.resolve();
+
+    return queueRollups(async () => {
+        const sorted = [...readings].sort((a, b) => readingTimestamp(a) - readingTimestamp(b));
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+
+        const previous = await dbGet(
+            `SELECT reading_date, reading_time FROM readings WHERE meter_id = ?
+             AND (reading_date < ? OR (reading_date = ? AND reading_time < ?))
+             ORDER BY reading_date DESC, reading_time DESC LIMIT 1`,
+            [meter.id, first.reading_date, first.reading_date, first.reading_time]
+        );
+        const next = await dbGet(
+            `SELECT reading_date, reading_time FROM readings WHERE meter_id = ?
+             AND (reading_date > ? OR (reading_date = ? AND reading_time > ?))
+             ORDER BY reading_date, reading_time LIMIT 1`,
+            [meter.id, last.reading_date, last.reading_date, last.reading_time]
+        );
+
+        await rebuildRollups(meter, readingTimestamp(previous || first), readingTimestamp(next || last));
+    });
+}
+
+// Recalculate all of a meter's rollups (e.g. after its register capacity
+// changed), except those before its frozen date
+function rebuildMeterRollups(meter) {
+    return queueRollups(async () => {
+        const frozen = await rollupsFrozenBefore(meter);
+        await dbRun("DELETE FROM usage_hourly WHERE meter_id = ? AND hour >= ?", [meter.id, frozen ? `${frozen} 00:00` : '']);
+        await dbRun("DELETE FROM usage_daily WHERE meter_id = ? AND date >= ?", [meter.id, frozen || '']);
+
+        const range = await dbGet(
+            `SELECT MIN(reading_date || ' ' || reading_time) AS first, MAX(reading_date || ' ' || reading_time) AS last
+             FROM readings WHERE meter_id = ?`,
+            [meter.id]
+        );
+        if (!range.first) return;
+
+        const [firstDate, firstTime] = range.first.split(' ');
+        const [lastDate, lastTime] = range.last.split(' ');
+        await rebuildRollups(
+            meter,
+            readingTimestamp({ reading_date: firstDate, reading_time: firstTime }),
+            readingTimestamp({ reading_date: lastDate, reading_time: lastTime })
+        );
+    });
+}
+
+// Build rollups for meters with readings from before rollups existed (run at startup)
+async function backfillRollups() {
+    const meters = await dbAll(
+        `SELECT m.* FROM meters m
+         WHERE EXISTS (SELECT 1 FROM readings r WHERE r.meter_id = m.id)
+           AND NOT EXISTS (SELECT 1 FROM usage_hourly h WHERE h.meter_id = m.id)`
+    );
+    for (const meter of meters) {
+        await rebuildMeterRollups(meter);
+    }
+    if (meters.length > 0) {
+        console.log(`Built usage rollups for ${meters.length} meter(s)`);
+    }
+}
+
+/**
+ * Thin raw samples older than the retention window to the last reading of
+ * each day. Flagged readings and meter events are kept; the rollups already
+ * hold the hourly detail, and are frozen before the cutoff on the meters
+ * thinned so later rebuilds keep it. Also drops device idempotency keys past
+ * the window.
+ */
+async function pruneRawSamples() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - RETENTION_DAYS);
+    const cutoffDate = formatISODate(cutoff);
+
+    const prunable = `source IN (${RAW_SOURCES.map(() => '?').join(', ')}) AND reading_date < ?
+           AND event_type = 'reading' AND flag IS NULL
+           AND EXISTS (SELECT 1 FROM readings later WHERE later.meter_id = readings.meter_id
+                       AND later.reading_date = readings.reading_date AND later.reading_time > readings.reading_time)`;
+    const meters = await dbAll(`SELECT DISTINCT meter_id FROM readings WHERE ${prunable}`, [...RAW_SOURCES, cutoffDate]);
+
+    let pruned = 0;
+    if (meters.length > 0) {
+        // Freeze first: a rebuild between the two would flatten the thinned days
+        await dbRun(
+            `UPDATE meters SET rollups_frozen_before = COALESCE(MAX(rollups_frozen_before, ?), ?)
+             WHERE id IN (${meters.map(() => '?').join(', ')})`,
+            [cutoffDate, cutoffDate, ...meters.map(row => row.meter_id)]
+        );
+        pruned = (await dbRun(`DELETE FROM readings WHERE ${prunable}`, [...RAW_SOURCES, cutoffDate])).changes;
+        await dbRun("DELETE FROM reading_revisions WHERE reading_id NOT IN (SELECT id FROM readings)");
+    }
+    await dbRun("DELETE FROM device_ingestions WHERE created_at < datetime('now', ?)", [`-${RETENTION_DAYS} days`]);
+    return pruned;
+}
+
+function startRetentionSchedule() {
+    const prune = () => pruneRawSamples()
+        .then(count => count > 0 && console.log(`Pruned ${count} raw samples older than ${RETENTION_DAYS} days`))
+        .catch(err => console.error('Raw sample pruning error:', err.message));
+    prune();
+    return setInterval(prune, PRUNE_INTERVAL_MS);
+}
+
+// Raw readings of a meter in [startDate, endDate] with the usage and flow rate
+// since the previous reading
+async function rawHistory(meter, startDate, endDate) {
+    const start = formatISODate(startDate);
+    const end = formatISODate(endDate);
+    const before = await dbGet(
+        "SELECT * FROM readings WHERE meter_id = ? AND reading_date < ? ORDER BY reading_date DESC, reading_time DESC LIMIT 1",
+        [meter.id, start]
+    );
+    const within = await dbAll(
+        "SELECT * FROM readings WHERE meter_id = ? AND reading_date BETWEEN ? AND ? ORDER BY reading_date, reading_time",
+        [meter.id, start, end]
+    );
+
+    const capacity = getRegisterCapacity(meter);
+    return within.map((reading, i) => {
+        const previous = i > 0 ? within[i - 1] : before;
+        const usage = previous ? usageBetween(previous, reading, capacity) : null;
+        return {
+            time: `${reading.reading_date} ${reading.reading_time}`,
+            reading_id: reading.id,
+            reading_value: reading.reading_value,
+            usage,
+            flow_lpm: previous && measuresFlow(meter) ? flowRate(usage, readingTimestamp(previous), readingTimestamp(reading)) : null
+        };
+    });
+}
+
+// Hourly or daily rollups of a meter in [startDate, endDate], with the average
+// flow rate over the time covered by readings (water meters only)
+async function rollupHistory(meter, startDate, endDate, resolution) {
+    const start = formatISODate(startDate);
+    const end = formatISODate(endDate);
+    const rows = resolution === 'hour'
+        ? await dbAll(
+            `SELECT hour AS time, usage, covered, peak_flow_lpm FROM usage_hourly
+             WHERE meter_id = ? AND hour BETWEEN ? AND ? ORDER BY hour`,
+            [meter.id, `${start} 00:00`, `${end} 23:00`]
+        )
+        : await dbAll(
+            `SELECT date AS time, usage, covered, peak_flow_lpm FROM usage_daily
+             WHERE meter_id = ? AND date BETWEEN ? AND ? ORDER BY date`,
+            [meter.id, start, end]
+        );
+
+    const unitMinutes = resolution === 'hour' ? 60 : 24 * 60;
+    const water = measuresFlow(meter);
+    return rows.map(row => ({
+        ...row,
+        // Rollups built before flows were limited to water may still hold one
+        peak_flow_lpm: water ? row.peak_flow_lpm : null,
+        flow_lpm: water && row.covered > 0 ? row.usage * 1000 / (row.covered * unitMinutes) : null
+    }));
+}
+
+/**
+ * Usage history at a resolution: 'raw' readings, 'hour' or 'day' rollups.
+ * With a meter, returns that meter's series; otherwise one per meter.
+ */
+async function loadHistory(userId, startDate, endDate, resolution, meter = null) {
+    const meters = meter ? [meter] : await getUserMeters(userId);
+    const series = [];
+    for (const m of meters) {
+        const points = resolution === 'raw'
+            ? await rawHistory(m, startDate, endDate)
+            : await rollupHistory(m, startDate, endDate, resolution);
+        series.push({ meter: { id: m.id, name: m.name, type: m.type, utility: m.utility, unit: meterUnit(m) }, points });
+    }
+    return series;
+}
+
+module.exports = {
+    RAW_SOURCES,
+    RETENTION_DAYS,
+    updateRollups,
+    rebuildMeterRollups,
+    backfillRollups,
+    pruneRawSamples,
+    startRetentionSchedule,
+    distributeHourly,
+    loadHistory
+};